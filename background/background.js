@@ -1,10 +1,46 @@
 /**
  * scatalog - Background Service Worker
  * Handles extension lifecycle, installation, and background tasks
+ * Owns the single SpotifyAPI instance that content scripts and the popup call through SpotifyApiClient
  */
 
+importScripts('../utils/api-cache.js', '../utils/spotify-api-error.js', '../utils/label-normalizer.js', '../utils/search-planner.js', '../utils/spotify-api.js');
+
+// Client ID of the scatalog Spotify app used by "Log in with Spotify" (PKCE needs no secret).
+// The app must list chrome.identity.getRedirectURL('spotify') as a redirect URI.
+// When empty, login falls back to the Client ID the user saved in the popup.
+const SPOTIFY_LOGIN_CLIENT_ID = '';
+
 class BackgroundManager {
   constructor() {
+    this.authorizeURL = 'https://accounts.spotify.com/authorize';
+    this.tokenURL = 'https://accounts.spotify.com/api/token';
+    this.authScopes = ['playlist-modify-private', 'playlist-modify-public']; // Catalog browsing needs none; "Save as playlist" does
+    this.tokenRefresh = null; // In-flight refresh shared by concurrent token requests
+    this.api = new SpotifyAPI({ userTokenProvider: options => this.getUserAccessToken(options) });
+    this.apiReady = null; // Pending or successful initialize() of the shared API
+    this.credentialsChange = Promise.resolve(); // Serializes API resets after login, logout and settings changes
+    this.apiStreamPortName = 'api-stream';
+    // SpotifyAPI methods clients may call with { action: 'api.<method>', args }
+    this.apiMethods = new Set([
+      'searchByLabel',
+      'getArtistAlbums',
+      'getArtist',
+      'getArtistsDetails',
+      'getAlbumDetails',
+      'getAlbumsDetails',
+      'getArtistLabels',
+      'getAlbumTracks',
+      'getTracksDetails',
+      'getCurrentUser',
+      'createPlaylist',
+      'addTracksToPlaylist',
+      'testConnection',
+      'clearCache',
+      'getCacheStats',
+      'setCacheMaxBytes',
+      'getQueueStatus'
+    ]);
     this.init();
   }
 
@@ -36,6 +72,13 @@ class BackgroundManager {
       return true; // Keep message channel open for async responses
     });
 
+    // Ports for API calls that stream progress (an open port also keeps the service worker alive)
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === this.apiStreamPortName) {
+        this.handleApiStream(port);
+      }
+    });
+
     // Tab updates (for reinjecting content scripts if needed)
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
@@ -137,6 +180,16 @@ class BackgroundManager {
    * Handle messages from content scripts and popup
    */
   async handleMessage(request, sender, sendResponse) {
+    if (typeof request.action === 'string' && request.action.startsWith('api.')) {
+      try {
+        const data = await this.callApi(request.action, request.args);
+        sendResponse({ success: true, data });
+      } catch (error) {
+        sendResponse({ success: false, error: SpotifyApiError.serialize(error) });
+      }
+      return;
+    }
+
     try {
       switch (request.action) {
         case 'getStoredCredentials':
@@ -159,6 +212,21 @@ class BackgroundManager {
           sendResponse({ success: true, data: info });
           break;
 
+        case 'loginWithSpotify':
+          const loginStatus = await this.loginWithSpotify();
+          sendResponse({ success: true, data: loginStatus });
+          break;
+
+        case 'logoutFromSpotify':
+          await this.logoutFromSpotify();
+          sendResponse({ success: true });
+          break;
+
+        case 'getAuthStatus':
+          const authStatus = await this.getAuthStatus();
+          sendResponse({ success: true, data: authStatus });
+          break;
+
         default:
           console.log('Unknown message action:', request.action);
           sendResponse({ success: false, error: 'Unknown action' });
@@ -169,6 +237,107 @@ class BackgroundManager {
     }
   }
 
+  /**
+   * Initialize the shared API once; a failed attempt (e.g. no credentials yet) is retried on the next call
+   */
+  ensureApi() {
+    if (!this.apiReady) {
+      this.apiReady = this.trackApiReady(this.api.initialize());
+    }
+    return this.apiReady;
+  }
+
+  /**
+   * Drop tokens and queued requests of the shared API and initialize it again
+   */
+  resetApi() {
+    this.apiReady = this.trackApiReady(this.api.reinitialize());
+    return this.apiReady;
+  }
+
+  /**
+   * Forget an initialization that failed so the next call tries again
+   */
+  trackApiReady(initialization) {
+    const apiReady = initialization.then((ready) => {
+      if (!ready && this.apiReady === apiReady) {
+        this.apiReady = null;
+      }
+      return ready;
+    });
+    return apiReady;
+  }
+
+  /**
+   * Run a SpotifyAPI method for a client ({ action: 'api.<method>', args })
+   */
+  async callApi(action, args = []) {
+    const method = action.slice('api.'.length);
+
+    if (method === 'initialize') {
+      const initialized = await this.ensureApi();
+      return { initialized, authMode: this.api.authMode };
+    }
+
+    if (method === 'makeRequest') {
+      const [url, options = {}] = args;
+      // Clients only get queued GET requests to the Web API
+      if (typeof url !== 'string' || !url.startsWith(`${this.api.baseURL}/`)) {
+        throw new SpotifyApiError('Only Spotify Web API URLs can be requested', { code: 'client_error' });
+      }
+      await this.ensureApi();
+      return this.api.makeRequest(url, { priority: options.priority });
+    }
+
+    if (!this.apiMethods.has(method)) {
+      throw new SpotifyApiError(`Unknown API method: ${method}`, { code: 'client_error' });
+    }
+
+    await this.ensureApi();
+    return this.api[method](...args);
+  }
+
+  /**
+   * Run a streaming API call on a port: progress messages, then one result or error
+   */
+  handleApiStream(port) {
+    let disconnected = false;
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+    });
+
+    const post = (message) => {
+      // The tab may have navigated away mid-search
+      if (!disconnected) {
+        port.postMessage(message);
+      }
+    };
+
+    port.onMessage.addListener(async (request) => {
+      try {
+        if (request.action !== 'api.searchAllAlbumsByLabel') {
+          throw new SpotifyApiError(`Unknown streaming API method: ${request.action}`, { code: 'client_error' });
+        }
+
+        const [labelName, requestOptions = {}] = request.args || [];
+        await this.ensureApi();
+        const results = await this.api.searchAllAlbumsByLabel(labelName, (...progress) => {
+          post({ type: 'progress', args: progress });
+        }, requestOptions);
+
+        post({
+          type: 'result',
+          data: {
+            ...results,
+            failures: results.failures.map(failure => ({ ...failure, error: SpotifyApiError.serialize(failure.error) }))
+          }
+        });
+      } catch (error) {
+        post({ type: 'error', error: SpotifyApiError.serialize(error) });
+      }
+    });
+  }
+
   /**
    * Handle tab updates
    */
@@ -203,7 +372,7 @@ class BackgroundManager {
   handleStorageChange(changes, namespace) {
     if (namespace === 'sync') {
       // Log important storage changes
-      if (changes.spotifyClientId || changes.spotifyClientSecret) {
+      if (changes.spotifyClientId || changes.spotifyClientSecret || changes.authMode) {
         console.log('Spotify credentials updated');
         this.notifyCredentialsChange();
       }
@@ -211,15 +380,21 @@ class BackgroundManager {
   }
 
   /**
-   * Notify all Spotify tabs about credential changes
+   * Reset the shared API if its auth settings changed and notify all Spotify tabs
+   * force resets even when the stored settings are unchanged (e.g. after logout)
    */
-  async notifyCredentialsChange() {
+  async notifyCredentialsChange(action = 'credentialsUpdated', { force = false } = {}) {
+    // Tabs re-read the API state when notified, so reset it first
+    const change = this.credentialsChange.then(() => this.syncApiCredentials(force));
+    this.credentialsChange = change.catch(() => {});
+    await change;
+
     try {
       const tabs = await chrome.tabs.query({ url: 'https://open.spotify.com/*' });
       
       for (const tab of tabs) {
         try {
-          await chrome.tabs.sendMessage(tab.id, { action: 'credentialsUpdated' });
+          await chrome.tabs.sendMessage(tab.id, { action });
         } catch (error) {
           // Tab might not have content script, ignore
         }
@@ -229,6 +404,27 @@ class BackgroundManager {
     }
   }
 
+  /**
+   * Reset the shared API unless it already uses the stored auth settings
+   * Login stores several settings and each fires a storage change, so comparing keeps it to one reset
+   */
+  async syncApiCredentials(force) {
+    const settings = await chrome.storage.sync.get(['authMode', 'spotifyClientId', 'spotifyClientSecret']);
+    const stored = this.getCredentialsKey(settings.authMode, settings.spotifyClientId, settings.spotifyClientSecret);
+    const current = this.getCredentialsKey(this.api.authMode, this.api.clientId, this.api.clientSecret);
+
+    if (force || stored !== current) {
+      await this.resetApi();
+    }
+  }
+
+  /**
+   * Compare key of auth settings (app credentials don't matter in login mode)
+   */
+  getCredentialsKey(authMode, clientId, clientSecret) {
+    return authMode === 'login' ? 'login' : `credentials:${clientId || ''}:${clientSecret || ''}`;
+  }
+
   /**
    * Get stored credentials
    */
@@ -267,7 +463,19 @@ class BackgroundManager {
         body: 'grant_type=client_credentials'
       });
 
-      return response.ok;
+      if (!response.ok) {
+        return false;
+      }
+
+      // Test the token with a simple API call
+      const tokenData = await response.json();
+      const testResponse = await fetch(`${this.api.baseURL}/search?q=test&type=album&limit=1`, {
+        headers: {
+          'Authorization': `Bearer ${tokenData.access_token}`
+        }
+      });
+
+      return testResponse.ok;
     } catch (error) {
       console.error('API connection test failed:', error);
       return false;
@@ -275,20 +483,252 @@ class BackgroundManager {
   }
 
   /**
-   * Clear cached data
+   * Get the Client ID used for the PKCE login
    */
-  async clearCache() {
+  async getLoginClientId() {
+    if (SPOTIFY_LOGIN_CLIENT_ID) {
+      return SPOTIFY_LOGIN_CLIENT_ID;
+    }
+
+    const result = await chrome.storage.sync.get(['spotifyClientId']);
+    return result.spotifyClientId || null;
+  }
+
+  /**
+   * Base64url-encode bytes (RFC 4648 §5, no padding)
+   */
+  base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Generate a random URL-safe string (used for the code verifier and state)
+   */
+  generateRandomString(byteLength) {
+    return this.base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+  }
+
+  /**
+   * Derive the S256 code challenge for a code verifier
+   */
+  async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return this.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  /**
+   * Log in with the Authorization Code flow with PKCE
+   * Runs here rather than in the popup, which closes when the login window opens
+   */
+  async loginWithSpotify() {
+    const clientId = await this.getLoginClientId();
+    if (!clientId) {
+      throw new Error('Spotify login is not configured. Enter a Client ID under "Use my own app credentials".');
+    }
+
+    const codeVerifier = this.generateRandomString(64);
+    const state = this.generateRandomString(16);
+    const redirectUri = chrome.identity.getRedirectURL('spotify');
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      code_challenge_method: 'S256',
+      code_challenge: await this.createCodeChallenge(codeVerifier),
+      state
+    });
+    if (this.authScopes.length > 0) {
+      params.set('scope', this.authScopes.join(' '));
+    }
+
+    const responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: `${this.authorizeURL}?${params.toString()}`,
+      interactive: true
+    });
+
+    const returned = new URL(responseUrl).searchParams;
+    if (returned.get('error')) {
+      throw new Error(`Spotify login failed: ${returned.get('error')}`);
+    }
+    if (returned.get('state') !== state) {
+      throw new Error('Spotify login failed: state mismatch');
+    }
+
+    const tokens = await this.requestUserTokens({
+      grant_type: 'authorization_code',
+      code: returned.get('code'),
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier
+    });
+
+    const auth = await this.saveUserTokens(tokens, clientId);
+    await this.loadUserProfile(auth);
+
+    // Login replaces app credentials - stop syncing the secret
+    await chrome.storage.sync.set({ authMode: 'login' });
+    await chrome.storage.sync.remove('spotifyClientSecret');
+
+    // Resets the API once, whether this or the storage listener gets to the new settings first
+    this.notifyCredentialsChange('reinitialize');
+    console.log('Logged in with Spotify');
+
+    return this.getAuthStatus();
+  }
+
+  /**
+   * Exchange a code or refresh token at the token endpoint
+   */
+  async requestUserTokens(params) {
+    const response = await fetch(this.tokenURL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Token request failed: ${data.error_description || data.error || response.status}`);
+      error.code = data.error || null;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Store user tokens in local storage (never synced)
+   */
+  async saveUserTokens(tokens, clientId, previous = null) {
+    const auth = {
+      accessToken: tokens.access_token,
+      // Spotify may omit the refresh token on refresh - keep the previous one then
+      refreshToken: tokens.refresh_token || (previous && previous.refreshToken) || null,
+      expiresAt: Date.now() + tokens.expires_in * 1000,
+      scope: tokens.scope || '',
+      clientId,
+      displayName: previous ? previous.displayName : null
+    };
+
+    await chrome.storage.local.set({ spotifyAuth: auth });
+    return auth;
+  }
+
+  /**
+   * Fetch the display name of the logged in user for the popup
+   */
+  async loadUserProfile(auth) {
     try {
-      // Clear any cached data from storage
-      const keys = await chrome.storage.local.get();
-      const cacheKeys = Object.keys(keys).filter(key => key.startsWith('cache_'));
-      
-      if (cacheKeys.length > 0) {
-        await chrome.storage.local.remove(cacheKeys);
-        console.log(`Cleared ${cacheKeys.length} cache entries`);
+      const response = await fetch('https://api.spotify.com/v1/me', {
+        headers: { 'Authorization': `Bearer ${auth.accessToken}` }
+      });
+      if (!response.ok) return;
+
+      const profile = await response.json();
+      auth.displayName = profile.display_name || profile.id || null;
+      await chrome.storage.local.set({ spotifyAuth: auth });
+    } catch (error) {
+      console.warn('Failed to load Spotify profile:', error);
+    }
+  }
+
+  /**
+   * Get a valid user access token, refreshing it when it is about to expire or Spotify rejected it (rejectedToken)
+   */
+  async getUserAccessToken({ rejectedToken = null } = {}) {
+    const { spotifyAuth } = await chrome.storage.local.get(['spotifyAuth']);
+    if (!spotifyAuth) {
+      throw new Error('Not logged in to Spotify');
+    }
+
+    let auth = spotifyAuth;
+    if (Date.now() >= auth.expiresAt - 60000 || auth.accessToken === rejectedToken) { // Refresh 1 minute early
+      if (!this.tokenRefresh) {
+        this.tokenRefresh = this.refreshUserToken(auth).finally(() => {
+          this.tokenRefresh = null;
+        });
       }
+      auth = await this.tokenRefresh;
+    }
+
+    return {
+      accessToken: auth.accessToken,
+      expiresAt: auth.expiresAt
+    };
+  }
+
+  /**
+   * Refresh the user access token
+   */
+  async refreshUserToken(auth) {
+    if (!auth.refreshToken) {
+      await this.logoutFromSpotify();
+      throw new Error('Spotify session expired - please log in again');
+    }
+
+    try {
+      const tokens = await this.requestUserTokens({
+        grant_type: 'refresh_token',
+        refresh_token: auth.refreshToken,
+        client_id: auth.clientId
+      });
+      console.log('Spotify access token refreshed');
+      return await this.saveUserTokens(tokens, auth.clientId, auth);
     } catch (error) {
-      console.error('Failed to clear cache:', error);
+      // A revoked or expired refresh token can't be recovered from
+      if (error.code === 'invalid_grant') {
+        await this.logoutFromSpotify();
+        throw new Error('Spotify session expired - please log in again');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the user tokens
+   */
+  async logoutFromSpotify() {
+    await chrome.storage.local.remove('spotifyAuth');
+    // The stored settings don't change, but the API still holds the user's token
+    this.notifyCredentialsChange('reinitialize', { force: true });
+    console.log('Logged out from Spotify');
+  }
+
+  /**
+   * Get login state for the popup
+   */
+  async getAuthStatus() {
+    const [local, sync] = await Promise.all([
+      chrome.storage.local.get(['spotifyAuth']),
+      chrome.storage.sync.get(['authMode'])
+    ]);
+    const auth = local.spotifyAuth;
+
+    return {
+      authMode: sync.authMode || null,
+      loggedIn: !!auth,
+      displayName: auth ? auth.displayName : null,
+      expiresAt: auth ? auth.expiresAt : null,
+      loginAvailable: !!(await this.getLoginClientId()),
+      redirectUri: chrome.identity ? chrome.identity.getRedirectURL('spotify') : null
+    };
+  }
+
+  /**
+   * Clear cached data
+   */
+  async clearCache() {
+    // Goes through the shared API's cache so its memory layer and pending index updates are dropped too
+    const removed = await this.api.cache.clear();
+    if (removed > 0) {
+      console.log(`Cleared ${removed} cache entries`);
     }
   }
 
@@ -316,26 +756,10 @@ class BackgroundManager {
    * Cleanup old data periodically
    */
   async cleanupOldData() {
-    try {
-      // Remove cache entries older than 7 days
-      const keys = await chrome.storage.local.get();
-      const now = Date.now();
-      const weekAgo = now - (7 * 24 * 60 * 60 * 1000);
-      
-      const keysToRemove = [];
-      
-      for (const [key, value] of Object.entries(keys)) {
-        if (key.startsWith('cache_') && value.timestamp && value.timestamp < weekAgo) {
-          keysToRemove.push(key);
-        }
-      }
-      
-      if (keysToRemove.length > 0) {
-        await chrome.storage.local.remove(keysToRemove);
-        console.log(`Cleaned up ${keysToRemove.length} old cache entries`);
-      }
-    } catch (error) {
-      console.error('Failed to cleanup old data:', error);
+    // Remove expired cache entries (entries without a TTL expire after 7 days)
+    const removed = await this.api.cache.removeExpired();
+    if (removed > 0) {
+      console.log(`Cleaned up ${removed} old cache entries`);
     }
   }
 }
@@ -343,14 +767,6 @@ class BackgroundManager {
 // Initialize background manager
 const backgroundManager = new BackgroundManager();
 
-// Keep service worker alive
-chrome.runtime.onConnect.addListener((port) => {
-  // This helps keep the service worker alive
-  port.onDisconnect.addListener(() => {
-    console.log('Port disconnected');
-  });
-});
-
 // Periodic cleanup (every 24 hours)
 // Check if alarms API is available before using it
 if (chrome.alarms) {
@@ -5,7 +5,8 @@
 
 class SpotifyLabelExplorer {
   constructor() {
-    this.api = new SpotifyAPI();
+    this.api = new SpotifyApiClient(); // Calls go through the background's shared SpotifyAPI
+    this.playlistBuilder = new PlaylistBuilder(this.api);
     this.isInitialized = false;
     this.observer = null;
     this.processedElements = new WeakSet();
@@ -13,6 +14,7 @@ class SpotifyLabelExplorer {
     this.currentModal = null;
     this.iconSvg = null; // Cache for the SVG icon
     this.scatalogs = new Map(); // Cache for Scatalogs
+    this.scatalogTransfer = new ScatalogTransfer(); // JSON export/import of Scatalogs
     this.scatalogMenu = null; // Scatalog management menu
     this.currentArtistDrawer = null; // Track current artist drawer
     this.artistDrawerVisible = true; // Track drawer visibility state
@@ -22,6 +24,33 @@ class SpotifyLabelExplorer {
     this.contextValid = true; // Track extension context validity
     this.shutdownInitiated = false; // Track if shutdown was initiated
     this.activeIntervals = new Set(); // Track active intervals
+    this.incompleteLabels = new Set(); // Labels whose search lost requests after retries
+    this.newAlbumIds = new Set(); // Releases found by the last Scatalog refresh, badged as "new"
+    this.albumFilter = new AlbumFilter();
+    this.activeFilters = this.albumFilter.getDefaults(); // Advanced filters of the open catalog view
+    this.filterPanelOpen = false;
+    this.searchHighlights = null; // Text matched by the search query, highlighted in album cards
+    this.resultsGrid = null; // VirtualGrid of the open catalog view
+    this.catalogTimeline = new CatalogTimeline();
+    this.resultsView = 'grid'; // 'grid', 'timeline', 'table', 'stats', 'compare', 'graph' or 'similar', remembered across modals
+    this.resultsTable = null; // CatalogTable of the open catalog view
+    this.albumPreview = null; // Open preview in the table view ({ album, row, audio })
+    this.popularityRequests = new Set(); // Album IDs whose popularity was requested for the table view
+    this.labelStats = new LabelStats();
+    this.svgCharts = new SvgCharts();
+    this.labelComparison = new LabelComparison();
+    this.artistGenres = new Map(); // Artist ID -> Promise of genres, looked up in batches for genre chips, filters and the comparison view
+    this.genreProfiler = new GenreProfiler();
+    this.genreAlbums = null; // originalAlbums whose artist genres have been looked up
+    this.resultsSort = { sortBy: 'release_date', sortOrder: 'desc' };
+    this.labelNormalizer = new LabelNormalizer(); // Merges label name variants and applies the user's aliases
+    this.searchTelemetry = new Map(); // Label -> telemetry of the search that loaded it, shown on the results summary
+    this.labelGraph = null; // LabelGraph of the open modal, kept across re-renders so expanded nodes stay
+    this.graphView = null; // GraphView showing labelGraph while the graph view is open
+    this.labelSimilarity = null; // LabelSimilarity of the current labels, filled in while the similar labels view is open
+    this.artistLabelLookups = new Map(); // Artist ID -> Promise of their labels, shared by similar labels searches
+    this.artistRanker = new ArtistRanker(); // Scores Related Artists with the weights set in the popup
+    this.artistSort = 'score'; // Related Artists order: 'score', 'latest', 'cadence' or 'rising'
     
     this.init();
   }
@@ -167,6 +196,8 @@ class SpotifyLabelExplorer {
       
       // Load the SVG icon first
       await this.loadSvgIcon();
+      await this.labelNormalizer.load();
+      await this.artistRanker.load();
       
       const initialized = await this.api.initialize();
       if (initialized) {
@@ -180,8 +211,9 @@ class SpotifyLabelExplorer {
         // Add Scatalog management menu
         this.addScatalogMenu();
         
-        // Load cached Scatalogs
+        // Load cached Scatalogs (and pick up ones imported from the popup)
         await this.loadCachedScatalogs();
+        this.watchScatalogStorage();
         
         // Set up navigation detection
         this.setupNavigationDetection();
@@ -686,23 +718,23 @@ class SpotifyLabelExplorer {
 
       if (labelInfo.albumId) {
         // Get album data directly
-        albumData = await this.api.makeRequest(`https://api.spotify.com/v1/albums/${labelInfo.albumId}`);
+        albumData = await this.api.getAlbumDetails(labelInfo.albumId, { priority: 'high' });
       } else if (labelInfo.trackId) {
         // Get track data first, then album data
-        const trackData = await this.api.makeRequest(`https://api.spotify.com/v1/tracks/${labelInfo.trackId}`);
+        const trackData = await this.api.makeRequest(`https://api.spotify.com/v1/tracks/${labelInfo.trackId}`, { priority: 'high' });
         if (trackData.album && trackData.album.id) {
-          albumData = await this.api.makeRequest(`https://api.spotify.com/v1/albums/${trackData.album.id}`);
+          albumData = await this.api.getAlbumDetails(trackData.album.id, { priority: 'high' });
         }
       } else if (labelInfo.track && labelInfo.artist) {
         // Search for the track using track and artist names
         const searchQuery = encodeURIComponent(`track:"${labelInfo.track}" artist:"${labelInfo.artist}"`);
         const searchUrl = `https://api.spotify.com/v1/search?q=${searchQuery}&type=track&limit=1`;
-        const searchData = await this.api.makeRequest(searchUrl);
+        const searchData = await this.api.makeRequest(searchUrl, { priority: 'high' });
         
         if (searchData.tracks && searchData.tracks.items && searchData.tracks.items.length > 0) {
           const track = searchData.tracks.items[0];
           if (track.album && track.album.id) {
-            albumData = await this.api.makeRequest(`https://api.spotify.com/v1/albums/${track.album.id}`);
+            albumData = await this.api.getAlbumDetails(track.album.id, { priority: 'high' });
           }
         }
       }
@@ -710,7 +742,7 @@ class SpotifyLabelExplorer {
       if (albumData && albumData.label) {
         return {
           ...labelInfo,
-          label: albumData.label,
+          label: this.labelNormalizer.resolve(albumData.label), // "(P) 2019 Warp Records Ltd." -> "Warp Records"
           album: albumData.name,
           albumId: albumData.id,
           needsApiLookup: false
@@ -745,6 +777,10 @@ class SpotifyLabelExplorer {
     this.currentLabels = null;
     this.originalAlbums = [];
     this.currentAlbums = [];
+    this.incompleteLabels = new Set();
+    this.newAlbumIds = new Set();
+    this.activeFilters = this.albumFilter.getDefaults();
+    this.searchHighlights = null;
 
     // Create modal overlay with three-panel flexbox layout
     const overlay = document.createElement('div');
@@ -840,7 +876,8 @@ class SpotifyLabelExplorer {
          }
       };
       
-      const results = await this.api.searchAllAlbumsByLabel(labelInfo.label, updateProgress);
+      // The click that opened the modal goes ahead of any background loads
+      const results = await this.api.searchAllAlbumsByLabel(labelInfo.label, updateProgress, { priority: 'high' });
       console.log(`🎯 Search completed for "${labelInfo.label}":`, {
         totalItems: results.albums?.items?.length || 0,
         reportedTotal: results.albums?.total || 0,
@@ -987,7 +1024,7 @@ class SpotifyLabelExplorer {
         
         try {
           // Search for albums from this label with comprehensive search
-          const results = await this.api.searchAllAlbumsByLabel(labelName);
+          const results = await this.api.searchAllAlbumsByLabel(labelName, null, { priority: 'high' });
           
           // Create a new Scatalog
           await this.createScatalog(labelName, results);
@@ -1037,17 +1074,13 @@ class SpotifyLabelExplorer {
       return;
     }
     
-    for (const item of labelItems) {
-      // Check again in the loop in case shutdown is initiated during processing
-      if (this.shutdownInitiated || !this.isExtensionContextValid()) {
-        break;
-      }
-      
+    // Request all counts at once - they're queued at low priority behind user actions
+    await Promise.all(Array.from(labelItems).map(async (item) => {
       const labelName = item.dataset.labelName;
       const totalCountElement = item.querySelector('.label-total-count');
       const totalTextElement = item.querySelector('.total-text');
       
-      if (!totalCountElement || !totalTextElement) continue;
+      if (!totalCountElement || !totalTextElement) return;
       
       if (!loadedCounts.has(labelName) && !pendingRequests.has(labelName)) {
         pendingRequests.add(labelName);
@@ -1060,7 +1093,7 @@ class SpotifyLabelExplorer {
           
           // Check if shutdown occurred during the async operation
           if (this.shutdownInitiated || !this.isExtensionContextValid()) {
-            break;
+            return;
           }
           
           loadedCounts.set(labelName, totalCount);
@@ -1077,7 +1110,7 @@ class SpotifyLabelExplorer {
         } catch (error) {
           // Silently handle extension context errors
           if (error.message && error.message.includes('Extension context invalidated')) {
-            break;
+            return;
           }
           console.warn('Failed to load count for label:', labelName, error);
           loadedCounts.set(labelName, null);
@@ -1086,11 +1119,8 @@ class SpotifyLabelExplorer {
         } finally {
           pendingRequests.delete(labelName);
         }
-        
-        // Small delay between requests to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 150));
       }
-    }
+    }));
   }
 
   /**
@@ -1124,7 +1154,7 @@ class SpotifyLabelExplorer {
       const searchQuery = encodeURIComponent(`label:"${labelName}"`);
       const searchUrl = `https://api.spotify.com/v1/search?q=${searchQuery}&type=album&limit=1&market=US`;
       
-      const searchData = await this.api.makeRequest(searchUrl);
+      const searchData = await this.api.makeRequest(searchUrl, { priority: 'low' });
       
       if (searchData.albums && searchData.albums.total !== undefined) {
         const total = searchData.albums.total;
@@ -1175,7 +1205,8 @@ class SpotifyLabelExplorer {
     const currentFilters = {
       sortBy: sortSelect ? sortSelect.value : 'release_date',
       sortOrder: sortOrderBtn ? (sortOrderBtn.querySelector('.sort-order-text').textContent.toLowerCase()) : 'desc',
-      searchTerm: searchInput ? searchInput.value : ''
+      searchTerm: searchInput ? searchInput.value : '',
+      ...this.activeFilters
     };
 
     // Get current artist buttons state for restoration
@@ -1246,6 +1277,7 @@ class SpotifyLabelExplorer {
         lastAccessed: new Date().toISOString(),
         filters: currentFilters,
         artistButtons: artistButtons, // Save artist button state
+        genreFingerprint: this.genreProfiler.getFingerprints(this.originalAlbums, this.currentLabels),
         openInNewTab: newTabToggle ? newTabToggle.checked : this.openInNewTab
       };
 
@@ -1298,6 +1330,214 @@ class SpotifyLabelExplorer {
     }
   }
 
+  /**
+   * Wire up the "Save as playlist" toolbar button
+   */
+  setupSavePlaylistButton(root) {
+    const savePlaylistBtn = root.querySelector('#savePlaylistBtn');
+    if (!savePlaylistBtn) return;
+
+    savePlaylistBtn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      await this.showPlaylistDialog();
+    });
+  }
+
+  /**
+   * Show the "Save as playlist" dialog for the current (filtered and sorted) view
+   */
+  async showPlaylistDialog() {
+    if (!this.currentModal) return;
+
+    const existingDialog = this.currentModal.querySelector('.playlist-dialog-overlay');
+    if (existingDialog) {
+      existingDialog.remove();
+    }
+
+    const albums = [...(this.currentAlbums || [])];
+    const labels = this.currentLabels || [];
+    const canUseAccount = this.api.authMode === 'login';
+    const pendingJob = canUseAccount ? await this.playlistBuilder.loadJob() : null;
+
+    const dialogOverlay = document.createElement('div');
+    dialogOverlay.className = 'playlist-dialog-overlay';
+    dialogOverlay.innerHTML = `
+      <div class="playlist-dialog">
+        <div class="playlist-dialog-header">
+          <h3>Save as playlist</h3>
+          <button class="playlist-dialog-close" title="Close">×</button>
+        </div>
+        ${!canUseAccount ? `
+          <p class="playlist-dialog-note">Saving playlists needs your Spotify account. Open the scatalog popup and choose <strong>Log in with Spotify</strong>.</p>
+        ` : `
+          ${pendingJob ? `
+            <div class="playlist-resume">
+              <p>Unfinished playlist <strong>${escapeHtml(pendingJob.name)}</strong>${pendingJob.trackUris ? ` (${pendingJob.addedCount} of ${pendingJob.trackUris.length} tracks added)` : ''}</p>
+              <div class="playlist-dialog-actions">
+                <button class="playlist-btn playlist-btn-primary" id="playlistResumeBtn">Resume</button>
+                <button class="playlist-btn" id="playlistDiscardBtn">Discard</button>
+              </div>
+            </div>
+          ` : ''}
+          <div class="playlist-form">
+            <label class="playlist-field">
+              <span class="playlist-field-label">Name</span>
+              <input type="text" id="playlistNameInput" class="playlist-name-input" />
+            </label>
+            <div class="playlist-field">
+              <span class="playlist-field-label">Tracks per release</span>
+              <label class="playlist-option">
+                <input type="radio" name="playlistMode" value="first" checked />
+                First track
+              </label>
+              <label class="playlist-option">
+                <input type="radio" name="playlistMode" value="top" />
+                Top <input type="number" id="playlistTopCount" class="playlist-top-count" min="1" max="10" value="3" /> most popular
+              </label>
+              <label class="playlist-option">
+                <input type="radio" name="playlistMode" value="all" />
+                All tracks
+              </label>
+            </div>
+            <p class="playlist-summary">${albums.length} release${albums.length !== 1 ? 's' : ''} in the current view</p>
+            <div class="playlist-dialog-actions">
+              <button class="playlist-btn playlist-btn-primary" id="playlistCreateBtn" ${albums.length === 0 ? 'disabled' : ''}>Create playlist</button>
+            </div>
+          </div>
+          <div class="playlist-progress" style="display: none;">
+            <div class="playlist-progress-bar">
+              <div class="playlist-progress-fill"></div>
+            </div>
+            <p class="playlist-progress-text"></p>
+            <div class="playlist-dialog-actions"></div>
+          </div>
+        `}
+      </div>
+    `;
+
+    this.currentModal.appendChild(dialogOverlay);
+
+    const closeDialog = () => {
+      clearTimeout(dialogOverlay.resumeTimeout);
+      dialogOverlay.remove();
+    };
+    dialogOverlay.querySelector('.playlist-dialog-close').addEventListener('click', closeDialog);
+    dialogOverlay.addEventListener('click', (e) => {
+      if (e.target === dialogOverlay) closeDialog();
+    });
+
+    if (!canUseAccount) return;
+
+    const nameInput = dialogOverlay.querySelector('#playlistNameInput');
+    nameInput.value = `${labels.join(' + ')} – scatalog`;
+
+    dialogOverlay.querySelector('#playlistCreateBtn').addEventListener('click', () => {
+      const mode = dialogOverlay.querySelector('input[name="playlistMode"]:checked').value;
+      const topCount = Math.min(10, Math.max(1, parseInt(dialogOverlay.querySelector('#playlistTopCount').value) || 3));
+      const job = this.playlistBuilder.createJob(albums, {
+        name: nameInput.value.trim() || `${labels.join(' + ')} – scatalog`,
+        description: `Made with scatalog from ${labels.join(', ')} (${albums.length} releases)`,
+        mode,
+        topCount
+      });
+      this.runPlaylistJob(job, dialogOverlay);
+    });
+
+    if (pendingJob) {
+      dialogOverlay.querySelector('#playlistResumeBtn').addEventListener('click', () => {
+        this.runPlaylistJob(pendingJob, dialogOverlay);
+      });
+      dialogOverlay.querySelector('#playlistDiscardBtn').addEventListener('click', async () => {
+        await this.playlistBuilder.clearJob();
+        dialogOverlay.querySelector('.playlist-resume').remove();
+      });
+    }
+  }
+
+  /**
+   * Run (or resume) a playlist job with progress in the dialog
+   */
+  async runPlaylistJob(job, dialogOverlay) {
+    clearTimeout(dialogOverlay.resumeTimeout);
+
+    const form = dialogOverlay.querySelector('.playlist-form');
+    const resumeBox = dialogOverlay.querySelector('.playlist-resume');
+    const progress = dialogOverlay.querySelector('.playlist-progress');
+    const progressFill = progress.querySelector('.playlist-progress-fill');
+    const progressText = progress.querySelector('.playlist-progress-text');
+    const actions = progress.querySelector('.playlist-dialog-actions');
+
+    if (form) form.style.display = 'none';
+    if (resumeBox) resumeBox.remove();
+    progress.style.display = 'block';
+    actions.innerHTML = '';
+
+    const stageLabels = {
+      collecting: 'Collecting tracks',
+      creating: 'Creating playlist',
+      adding: 'Adding tracks'
+    };
+    const onProgress = ({ stage, done, total }) => {
+      progressFill.style.width = `${total > 0 ? Math.round(done / total * 100) : 0}%`;
+      progressText.textContent = `${stageLabels[stage]}... ${done}/${total}`;
+    };
+
+    // The request queue waits out 429s on its own - say so instead of looking stuck
+    let running = true;
+    const rateLimitWatcher = setInterval(async () => {
+      try {
+        const { pausedUntil } = await this.api.getQueueStatus();
+        const waitSeconds = Math.ceil((pausedUntil - Date.now()) / 1000);
+        if (running && waitSeconds > 0) {
+          progressText.textContent = `Rate limited – continuing in ${waitSeconds}s...`;
+        }
+      } catch (error) {
+        // Status is cosmetic - the job reports real failures
+      }
+    }, 1000);
+    this.activeIntervals.add(rateLimitWatcher);
+
+    try {
+      const finishedJob = await this.playlistBuilder.run(job, onProgress);
+
+      progressFill.style.width = '100%';
+      progressText.textContent = `Added ${finishedJob.addedCount} tracks to “${finishedJob.name}”` +
+        (finishedJob.skippedAlbums > 0 ? ` (${finishedJob.skippedAlbums} releases skipped)` : '');
+      actions.innerHTML = '<button class="playlist-btn playlist-btn-primary" id="playlistOpenBtn">Open playlist</button>';
+      actions.querySelector('#playlistOpenBtn').addEventListener('click', () => {
+        this.closeModal();
+        this.navigateToSpotifyUrl(finishedJob.playlistUrl);
+      });
+    } catch (error) {
+      console.error('Failed to save playlist:', error);
+      actions.innerHTML = '<button class="playlist-btn playlist-btn-primary" id="playlistRetryBtn">Resume now</button>';
+      actions.querySelector('#playlistRetryBtn').addEventListener('click', () => {
+        this.runPlaylistJob(job, dialogOverlay);
+      });
+
+      if (error.code === 'rate_limited') {
+        // Pick up where we stopped once the rate limit window has passed
+        const { pausedUntil } = await this.api.getQueueStatus().catch(() => ({ pausedUntil: 0 }));
+        const waitSeconds = Math.max(5, Math.ceil((pausedUntil - Date.now()) / 1000));
+        progressText.textContent = `Paused by rate limiting – resuming in ${waitSeconds}s (${job.addedCount} tracks added so far)`;
+        dialogOverlay.resumeTimeout = setTimeout(() => {
+          if (dialogOverlay.isConnected) {
+            this.runPlaylistJob(job, dialogOverlay);
+          }
+        }, waitSeconds * 1000);
+      } else if (error.status === 403) {
+        progressText.textContent = 'Spotify refused access to your playlists. Log out and log in again in the scatalog popup to allow it.';
+      } else {
+        progressText.textContent = `Failed: ${error.message}. Progress is saved - you can resume.`;
+      }
+    } finally {
+      running = false;
+      clearInterval(rateLimitWatcher);
+      this.activeIntervals.delete(rateLimitWatcher);
+    }
+  }
+
   /**
    * Create a new Scatalog
    */
@@ -1359,6 +1599,18 @@ class SpotifyLabelExplorer {
       <div class="scatalog-menu-panel">
         <div class="scatalog-menu-header">
                       <h3><span style="font-weight: normal;">s</span><span style="font-weight: bold; font-size: 0.9em;">catalog</span></h3>
+          <div class="scatalog-menu-header-actions">
+            <button class="scatalog-menu-action-btn scatalog-import-btn" title="Import Scatalogs from a JSON file">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+              </svg>
+            </button>
+            <button class="scatalog-menu-action-btn scatalog-export-all-btn" title="Export all Scatalogs as JSON">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z"/>
+              </svg>
+            </button>
+          </div>
           <button class="scatalog-menu-close">×</button>
         </div>
         <div class="scatalog-menu-content">
@@ -1411,6 +1663,14 @@ class SpotifyLabelExplorer {
       panel.classList.remove('open');
     });
 
+    // Import and export
+    this.scatalogMenu.querySelector('.scatalog-import-btn').addEventListener('click', () => {
+      this.importScatalogsFromFile();
+    });
+    this.scatalogMenu.querySelector('.scatalog-export-all-btn').addEventListener('click', () => {
+      this.exportScatalogs(Array.from(this.scatalogs.values()));
+    });
+
     // Close on outside click
     document.addEventListener('click', (e) => {
       if (!this.scatalogMenu.contains(e.target)) {
@@ -1463,17 +1723,31 @@ class SpotifyLabelExplorer {
       contentElement.innerHTML = `
         <div class="scatalog-list">
           ${scatalogList.map(scatalog => `
-            <div class="scatalog-item" data-scatalog-id="${scatalog.id}" title="Click to open ${scatalog.name}">
+            <div class="scatalog-item" data-scatalog-id="${scatalog.id}" title="Click to open ${escapeHtml(scatalog.name)}">
               <div class="scatalog-info">
-                <div class="scatalog-name">${scatalog.name}</div>
+                <div class="scatalog-name">
+                  ${scatalog.newAlbumIds && scatalog.newAlbumIds.length > 0 ? `<span class="scatalog-new-count" title="New releases since your last visit">${scatalog.newAlbumIds.length} new</span>` : ''}
+                  ${escapeHtml(scatalog.name)}
+                </div>
                 <div class="scatalog-details">
-                  ${scatalog.albums.length} releases • ${scatalog.labels.length} label${scatalog.labels.length !== 1 ? 's' : ''}
+                  ${scatalog.albums.length} releases • ${scatalog.labels.length} label${scatalog.labels.length !== 1 ? 's' : ''}${scatalog.lastRefreshedAt ? ` • refreshed ${new Date(scatalog.lastRefreshedAt).toLocaleDateString()}` : ''}
                 </div>
                 <div class="scatalog-labels">
-                  ${scatalog.labels.map(label => `<span class="scatalog-label">${label}</span>`).join('')}
+                  ${scatalog.labels.map(label => `<span class="scatalog-label">${escapeHtml(label)}</span>`).join('')}
                 </div>
+                ${this.generateScatalogGenresHtml(scatalog)}
               </div>
               <div class="scatalog-actions">
+                <button class="scatalog-refresh-btn" data-scatalog-id="${scatalog.id}" title="Check for new releases">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M17.65,6.35C16.2,4.9 14.21,4 12,4A8,8 0 0,0 4,12A8,8 0 0,0 12,20C15.73,20 18.84,17.45 19.73,14H17.65C16.83,16.33 14.61,18 12,18A6,6 0 0,1 6,12A6,6 0 0,1 12,6C13.66,6 15.14,6.69 16.22,7.78L13,11H20V4L17.65,6.35Z"/>
+                  </svg>
+                </button>
+                <button class="scatalog-export-btn" data-scatalog-id="${scatalog.id}" title="Export Scatalog as JSON">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z"/>
+                  </svg>
+                </button>
                 <button class="scatalog-delete-btn" data-scatalog-id="${scatalog.id}" title="Delete Scatalog">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z"/>
@@ -1497,8 +1771,8 @@ class SpotifyLabelExplorer {
     // Make scatalog items clickable to open
     container.querySelectorAll('.scatalog-item').forEach(item => {
       item.addEventListener('click', (e) => {
-        // Don't open if clicking on delete button
-        if (e.target.closest('.scatalog-delete-btn')) {
+        // Don't open if clicking on an action button
+        if (e.target.closest('.scatalog-delete-btn, .scatalog-export-btn, .scatalog-refresh-btn')) {
           return;
         }
         
@@ -1507,6 +1781,40 @@ class SpotifyLabelExplorer {
       });
     });
 
+    // Refresh Scatalog buttons
+    container.querySelectorAll('.scatalog-refresh-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const scatalog = this.scatalogs.get(btn.dataset.scatalogId);
+        if (!scatalog || btn.classList.contains('refreshing')) return;
+
+        btn.classList.add('refreshing');
+        btn.disabled = true;
+        try {
+          const { added, incomplete } = await this.refreshScatalog(scatalog);
+          btn.title = `${added} new release${added !== 1 ? 's' : ''}${incomplete ? ' (search incomplete)' : ''}`;
+        } catch (error) {
+          console.error('Failed to refresh Scatalog:', error);
+          alert(`Could not refresh "${scatalog.name}": ${error.message}`);
+        } finally {
+          btn.classList.remove('refreshing');
+          btn.disabled = false;
+          this.updateScatalogMenu();
+        }
+      });
+    });
+
+    // Export Scatalog buttons
+    container.querySelectorAll('.scatalog-export-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const scatalog = this.scatalogs.get(btn.dataset.scatalogId);
+        if (scatalog) {
+          this.exportScatalogs([scatalog]);
+        }
+      });
+    });
+
     // Delete Scatalog buttons
     container.querySelectorAll('.scatalog-delete-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -1527,16 +1835,133 @@ class SpotifyLabelExplorer {
       return;
     }
 
+    // Imported Scatalogs only know their album IDs until the details are fetched
+    if (scatalog.needsHydration) {
+      const item = this.scatalogMenu.querySelector(`.scatalog-item[data-scatalog-id="${scatalogId}"]`);
+      const details = item && item.querySelector('.scatalog-details');
+      if (details) {
+        details.textContent = 'Loading release details...';
+      }
+
+      try {
+        const { missing } = await this.scatalogTransfer.hydrate(scatalog, this.api, { priority: 'high' });
+        if (missing > 0) {
+          console.warn(`${missing} release(s) of "${scatalog.name}" are no longer available on Spotify`);
+        }
+      } catch (error) {
+        console.error('Failed to load Scatalog releases:', error);
+        alert(`Could not load the releases of "${scatalog.name}": ${error.message}. Please try again in a moment.`);
+        this.updateScatalogMenu();
+        return;
+      }
+    }
+
+    // Releases found since the last visit are badged during this visit only
+    const unseenAlbumIds = scatalog.newAlbumIds || [];
+    scatalog.newAlbumIds = [];
+
     // Update last accessed time
     scatalog.lastAccessed = new Date().toISOString();
     await this.saveScatalogToCache(scatalog);
+    this.updateScatalogMenu();
 
     // Close the menu
     const panel = this.scatalogMenu.querySelector('.scatalog-menu-panel');
     panel.classList.remove('open');
 
     // Open the Scatalog modal
-    this.showScatalogModal(scatalog);
+    this.showScatalogModal(scatalog, unseenAlbumIds);
+  }
+
+  /**
+   * Re-run the label searches of a Scatalog and add releases it doesn't have yet
+   * New release IDs are kept in scatalog.newAlbumIds until the Scatalog is opened
+   */
+  async refreshScatalog(scatalog, requestOptions = {}) {
+    if (scatalog.needsHydration) {
+      await this.scatalogTransfer.hydrate(scatalog, this.api, requestOptions);
+    }
+
+    // Spellings of one label are searched once, under the merged name
+    Object.assign(scatalog, this.labelNormalizer.mergeCatalogLabels(scatalog.labels, scatalog.albums));
+
+    const knownIds = new Set(scatalog.albums.map(album => album.id));
+    // Cached search pages are up to a day old and would hide the releases we are looking for
+    const searches = await Promise.all(scatalog.labels.map(labelName =>
+      this.api.searchAllAlbumsByLabel(labelName, null, { ...requestOptions, bypassCache: true })
+        .then(results => ({ labelName, results }))
+    ));
+
+    const foundAlbums = new Map();
+    let incomplete = false;
+    searches.forEach(({ labelName, results }) => {
+      if (results.incomplete) incomplete = true;
+      (results.albums?.items || []).forEach(album => {
+        if (!knownIds.has(album.id) && !foundAlbums.has(album.id)) {
+          foundAlbums.set(album.id, { ...album, labelName });
+        }
+      });
+    });
+
+    const newAlbums = await this.processVariousArtistsAlbums(Array.from(foundAlbums.values()));
+
+    scatalog.albums = [...newAlbums, ...scatalog.albums];
+    scatalog.newAlbumIds = [...new Set([...(scatalog.newAlbumIds || []), ...newAlbums.map(album => album.id)])];
+    scatalog.lastRefreshedAt = new Date().toISOString();
+    await this.saveScatalogToCache(scatalog);
+
+    console.log(`Refreshed Scatalog "${scatalog.name}": ${newAlbums.length} new release(s)${incomplete ? ', search incomplete' : ''}`);
+    return { added: newAlbums.length, newAlbumIds: newAlbums.map(album => album.id), incomplete };
+  }
+
+  /**
+   * Download Scatalogs as a JSON export
+   */
+  exportScatalogs(scatalogs) {
+    if (scatalogs.length === 0) {
+      alert('There are no Scatalogs to export yet');
+      return;
+    }
+
+    try {
+      this.scatalogTransfer.exportToFile(scatalogs);
+      console.log(`Exported ${scatalogs.length} Scatalog(s)`);
+    } catch (error) {
+      console.error('Failed to export Scatalogs:', error);
+      alert(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import Scatalogs from a JSON export picked by the user
+   */
+  async importScatalogsFromFile() {
+    try {
+      const text = await this.scatalogTransfer.pickFile();
+      if (text === null) return;
+
+      const imported = this.scatalogTransfer.parse(text);
+      const added = await this.scatalogTransfer.importScatalogs(imported);
+
+      // Release details can be fetched now or when each Scatalog is first opened
+      const releaseCount = added.reduce((sum, scatalog) => sum + scatalog.albums.length, 0);
+      if (confirm(`Imported ${added.length} Scatalog(s) with ${releaseCount} releases.\n\nLoad the release details now? (Otherwise they load when you open a Scatalog.)`)) {
+        for (const scatalog of added) {
+          try {
+            await this.scatalogTransfer.hydrate(scatalog, this.api);
+            await this.saveScatalogToCache(scatalog);
+          } catch (error) {
+            console.warn(`Could not load releases of "${scatalog.name}" yet:`, error);
+          }
+        }
+      }
+
+      await this.loadCachedScatalogs();
+      this.animateScatalogToggle();
+    } catch (error) {
+      console.error('Failed to import Scatalogs:', error);
+      alert(`Import failed: ${error.message}`);
+    }
   }
 
   /**
@@ -1557,7 +1982,7 @@ class SpotifyLabelExplorer {
   /**
    * Show Scatalog modal
    */
-  showScatalogModal(scatalog) {
+  showScatalogModal(scatalog, newAlbumIds = []) {
     // Close any existing modal first
     if (this.currentModal) {
       this.closeModal();
@@ -1627,19 +2052,27 @@ class SpotifyLabelExplorer {
     this.setupRateLimitIndicator();
     
     // Display Scatalog content
-    this.displayScatalogContent(content, scatalog);
+    this.displayScatalogContent(content, scatalog, newAlbumIds);
   }
 
   /**
    * Display Scatalog content
    */
-  async displayScatalogContent(container, scatalog) {
+  async displayScatalogContent(container, scatalog, newAlbumIds = []) {
     // Load cached "open in new tab" preference or use saved preference
     this.openInNewTab = scatalog.openInNewTab !== undefined ? scatalog.openInNewTab : await this.getOpenInNewTabPreference();
+    this.resultsView = await this.getResultsViewPreference();
 
     // Set up state variables needed for related artists and labels functionality
-    this.currentLabels = [...scatalog.labels];
-    this.originalAlbums = [...scatalog.albums];
+    // Spellings of one label saved as separate labels (or made aliases since) are merged
+    const { labels, albums } = this.labelNormalizer.mergeCatalogLabels(scatalog.labels, scatalog.albums);
+    this.currentLabels = labels;
+    this.originalAlbums = albums;
+    this.incompleteLabels = new Set();
+    this.searchTelemetry = new Map();
+    this.newAlbumIds = new Set(newAlbumIds);
+    this.activeFilters = this.albumFilter.normalize(scatalog.filters);
+    this.searchHighlights = null;
     
     // Sort albums by release date descending to match UI default (if not already sorted)
     this.originalAlbums.sort((a, b) => {
@@ -1671,9 +2104,9 @@ class SpotifyLabelExplorer {
         <div class="label-management-title">Active labels:</div>
         <div class="active-labels-list">
           ${this.currentLabels.map(label => `
-            <div class="active-label-item" data-label-name="${label}">
-              <span class="label-name-highlight">${label}</span>
-              <button class="remove-label-btn" data-label-name="${label}" title="Remove ${label} from results">
+            <div class="active-label-item" data-label-name="${escapeHtml(label)}">
+              <span class="label-name-highlight">${escapeHtml(label)}</span>
+              <button class="remove-label-btn" data-label-name="${escapeHtml(label)}" title="Remove ${escapeHtml(label)} from results">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                   <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
                 </svg>
@@ -1691,8 +2124,9 @@ class SpotifyLabelExplorer {
           <div class="results-header-content">
             ${labelManagementHtml}
             <div class="results-summary">
-              <p>Found ${scatalog.albums.length} release${scatalog.albums.length !== 1 ? 's' : ''}</p>
+              <p>Found ${scatalog.albums.length} release${scatalog.albums.length !== 1 ? 's' : ''}${this.newAlbumIds.size > 0 ? ` <span class="results-new-count">${this.newAlbumIds.size} new</span>` : ''}</p>
             </div>
+            <div class="genre-chips"></div>
           </div>
           <div class="results-header-actions">
             <div class="header-add-label-container">
@@ -1708,6 +2142,11 @@ class SpotifyLabelExplorer {
                 <path d="M12,4A4,4 0 0,1 16,8A4,4 0 0,1 12,12A4,4 0 0,1 8,8A4,4 0 0,1 12,4M12,14C16.42,14 20,15.79 20,18V20H4V18C4,15.79 7.58,14 12,14Z"/>
               </svg>
             </button>
+            <button class="save-playlist-btn" id="savePlaylistBtn" title="Save current view as Spotify playlist">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14,10H3V12H14V10M14,6H3V8H14V6M3,16H10V14H3V16M16,13V21L22,17L16,13Z"/>
+              </svg>
+            </button>
             <button class="save-scatalog-btn" id="saveScatalogBtn" title="Save current catalog as Scatalog">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M19,13H13V19H11V13H5V11H11V5H13V11H19V13Z"/>
@@ -1735,9 +2174,20 @@ class SpotifyLabelExplorer {
         </div>
         
         <div class="control-group">
-          <input type="text" id="search-input" class="search-input" placeholder="Search releases..." value="${scatalog.filters.searchTerm}" />
+          <input type="text" id="search-input" class="search-input" placeholder="Search releases..." title="${this.getSearchSyntaxHelp()}" value="${escapeHtml(scatalog.filters.searchTerm || '')}" />
+        </div>
+        
+        <div class="control-group">
+          <button id="filter-toggle-btn" class="filter-toggle-btn" title="Filter by year, type, track count and label">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M14,12V19.88C14.04,20.18 13.94,20.5 13.71,20.71C13.32,21.1 12.69,21.1 12.3,20.71L10.29,18.7C10.06,18.47 9.96,18.16 10,17.87V12H9.97L4.21,4.62C3.87,4.19 3.95,3.56 4.38,3.22C4.57,3.08 4.78,3 5,3H19C19.22,3 19.43,3.08 19.62,3.22C20.05,3.56 20.13,4.19 19.79,4.62L14.03,12H14Z"/>
+            </svg>
+            <span class="filter-toggle-text">Filters</span>
+          </button>
         </div>
         
+        ${this.renderViewToggle()}
+        
         <div class="control-group">
           <label class="toggle-label">
             <input type="checkbox" id="new-tab-toggle" ${this.openInNewTab ? 'checked' : ''} />
@@ -1747,12 +2197,19 @@ class SpotifyLabelExplorer {
         </div>
       </div>
       
-      <div class="results-grid" id="results-grid">
-        ${this.renderAlbumCards(scatalog.albums)}
-      </div>
+      <div class="filter-panel" id="filter-panel" style="display: none;"></div>
+      
+      <div class="results-grid" id="results-grid"></div>
+      <div class="results-timeline" id="results-timeline" style="display: none;"></div>
+      <div class="results-table" id="results-table" style="display: none;"></div>
+      <div class="results-stats" id="results-stats" style="display: none;"></div>
+      <div class="results-compare" id="results-compare" style="display: none;"></div>
+      <div class="results-graph" id="results-graph" style="display: none;"></div>
+      <div class="results-similar" id="results-similar" style="display: none;"></div>
       
       <div class="scatalog-metadata">
-        <small>Created ${new Date(scatalog.createdAt).toLocaleDateString()} • Last accessed ${new Date(scatalog.lastAccessed).toLocaleDateString()}</small>
+        <small>Created ${new Date(scatalog.createdAt).toLocaleDateString()} • Last accessed ${new Date(scatalog.lastAccessed).toLocaleDateString()}${scatalog.lastRefreshedAt ? ` • Refreshed ${new Date(scatalog.lastRefreshedAt).toLocaleDateString()}` : ''}</small>
+        <button class="scatalog-refresh-link" id="refreshScatalogBtn" title="Search the labels again for new releases">Check for new releases</button>
       </div>
     `;
     
@@ -1774,6 +2231,9 @@ class SpotifyLabelExplorer {
       });
     });
 
+    // Set up save as playlist button
+    this.setupSavePlaylistButton(container);
+
     // Set up save Scatalog button
     const saveScatalogBtn = container.querySelector('#saveScatalogBtn');
     if (saveScatalogBtn) {
@@ -1784,6 +2244,28 @@ class SpotifyLabelExplorer {
       });
     }
 
+    // Set up refresh button - new releases are badged right away, so they don't count as unseen
+    const refreshScatalogBtn = container.querySelector('#refreshScatalogBtn');
+    if (refreshScatalogBtn) {
+      refreshScatalogBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        refreshScatalogBtn.disabled = true;
+        refreshScatalogBtn.textContent = 'Checking for new releases...';
+        try {
+          const { newAlbumIds } = await this.refreshScatalog(scatalog, { priority: 'high' });
+          scatalog.newAlbumIds = [];
+          await this.saveScatalogToCache(scatalog);
+          await this.displayScatalogContent(container, scatalog, [...this.newAlbumIds, ...newAlbumIds]);
+          this.updateScatalogMenu();
+        } catch (error) {
+          console.error('Failed to refresh Scatalog:', error);
+          refreshScatalogBtn.disabled = false;
+          refreshScatalogBtn.textContent = `Refresh failed: ${error.message} – try again`;
+        }
+      });
+    }
+
     // Set up Related Artists button
     const relatedArtistsBtn = container.querySelector('#relatedArtistsBtn');
     if (relatedArtistsBtn) {
@@ -1796,6 +2278,20 @@ class SpotifyLabelExplorer {
       // Initialize the button state based on current drawer visibility
       this.updateRelatedArtistsButton(relatedArtistsBtn);
     }
+
+    this.enrichGenres(container, scatalog);
+  }
+
+  /**
+   * Top genres of a saved Scatalog from its genre fingerprint
+   */
+  generateScatalogGenresHtml(scatalog) {
+    const genres = this.genreProfiler.mergeFingerprints(scatalog.genreFingerprint, 4);
+    if (genres.length === 0) {
+      return '';
+    }
+
+    return `<div class="scatalog-genres" title="Genre fingerprint of its labels">${genres.map(entry => escapeHtml(entry.genre)).join(' • ')}</div>`;
   }
 
   /**
@@ -1830,6 +2326,20 @@ class SpotifyLabelExplorer {
     }
   }
 
+  /**
+   * Reload Scatalogs when another page (e.g. a popup import) changes them
+   */
+  watchScatalogStorage() {
+    if (this.scatalogStorageListener) return;
+
+    this.scatalogStorageListener = (changes, namespace) => {
+      if (namespace === 'local' && changes.scatalogs && this.scatalogMenu && !this.shutdownInitiated) {
+        this.loadCachedScatalogs();
+      }
+    };
+    chrome.storage.onChanged.addListener(this.scatalogStorageListener);
+  }
+
   /**
    * Get cached Scatalogs from storage
    */
@@ -1877,6 +2387,8 @@ class SpotifyLabelExplorer {
       if (this.labelTotalCounts) {
         this.labelTotalCounts.delete(labelName);
       }
+      this.incompleteLabels.delete(labelName);
+      this.searchTelemetry.delete(labelName);
       
       // Update the display
       this.refreshResultsDisplay(container);
@@ -1915,7 +2427,7 @@ class SpotifyLabelExplorer {
   async getArtistTotalLabelsCount(artistId) {
     try {
       // Use the existing API method which should work like the showOtherLabelsModal
-      const labels = await this.api.getArtistLabels(artistId);
+      const labels = await this.api.getArtistLabels(artistId, { priority: 'low' });
       
       if (!labels || labels.length === 0) {
         console.log(`No labels found for artist ${artistId}`);
@@ -1936,7 +2448,7 @@ class SpotifyLabelExplorer {
   async loadTotalLabelCounts(container) {
     const labelCountElements = container.querySelectorAll('.artist-total-labels');
     
-    // Process artists one by one to avoid overwhelming the API
+    // Process artists one by one; each lookup walks a whole discography
     for (const element of labelCountElements) {
       const artistId = element.dataset.artistId;
       if (!artistId) continue;
@@ -1962,10 +2474,6 @@ class SpotifyLabelExplorer {
           element.textContent = '?';
           element.title = 'Could not determine total label count';
         }
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
       } catch (error) {
         console.error('Failed to load label count for artist:', artistId, error);
         element.textContent = '!';
@@ -2011,9 +2519,16 @@ class SpotifyLabelExplorer {
   }
 
   /**
-   * Generate tooltip text for artist buttons (kept for backward compatibility)
+   * Generate tooltip text for artists: the score breakdown of ranked artists, else their explanation or a summary
    */
   generateArtistTooltip(artist, isGray = false) {
+    if (artist.factors) {
+      return this.artistRanker.describe(artist);
+    }
+    if (artist.explanation) {
+      return artist.explanation;
+    }
+
     const albumText = artist.albumCount === 1 ? 'album' : 'albums';
     const baseText = `${artist.name} has ${artist.albumCount} ${albumText}`;
     
@@ -2202,13 +2717,17 @@ class SpotifyLabelExplorer {
     }
     
     if (resultsGrid && resultsHeader) {
-      // Update the grid
-      resultsGrid.innerHTML = this.renderAlbumCards(this.currentAlbums);
-      this.setupAlbumClickHandlers(resultsGrid);
+      // Update the filter panel (years and labels may have changed) and the grid
+      this.renderFilterPanel(container);
+      if (this.reapplyResultsFilters) {
+        this.reapplyResultsFilters();
+      } else if (this.resultsGrid) {
+        this.renderResultsView(container);
+      }
 
       // Regenerate the entire header with updated data
       const labelNamesHtml = this.currentLabels.map(label => 
-        `<span class="label-name-highlight">${label}</span>`
+        `<span class="label-name-highlight">${escapeHtml(label)}</span>`
       ).join(', ');
 
       // Generate label management HTML for multiple labels
@@ -2218,9 +2737,9 @@ class SpotifyLabelExplorer {
           <div class="label-management-title">Active labels:</div>
           <div class="active-labels-list">
             ${this.currentLabels.map(label => `
-              <div class="active-label-item" data-label-name="${label}">
-                <span class="label-name-highlight">${label}</span>
-                <button class="remove-label-btn" data-label-name="${label}" title="Remove ${label} from results">
+              <div class="active-label-item" data-label-name="${escapeHtml(label)}">
+                <span class="label-name-highlight">${escapeHtml(label)}</span>
+                <button class="remove-label-btn" data-label-name="${escapeHtml(label)}" title="Remove ${escapeHtml(label)} from results">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
                   </svg>
@@ -2239,8 +2758,10 @@ class SpotifyLabelExplorer {
           <div class="results-header-content">
             ${labelManagementHtml}
             <div class="results-summary">
-              <p>${this.generateResultsSummary()}</p>
+              <p title="${this.generateSearchReport()}">${this.generateResultsSummary()}</p>
             </div>
+            <div class="genre-chips"></div>
+            ${this.generateIncompleteNoticeHtml()}
           </div>
           <div class="results-header-actions">
             <div class="header-add-label-container">
@@ -2256,6 +2777,11 @@ class SpotifyLabelExplorer {
                 <path d="M12,4A4,4 0 0,1 16,8A4,4 0 0,1 12,12A4,4 0 0,1 8,8A4,4 0 0,1 12,4M12,14C16.42,14 20,15.79 20,18V20H4V18C4,15.79 7.58,14 12,14Z"/>
               </svg>
             </button>
+            <button class="save-playlist-btn" id="savePlaylistBtn" title="Save current view as Spotify playlist">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14,10H3V12H14V10M14,6H3V8H14V6M3,16H10V14H3V16M16,13V21L22,17L16,13Z"/>
+              </svg>
+            </button>
             <button class="save-scatalog-btn" id="saveScatalogBtn" title="Save current catalog as Scatalog">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M19,13H13V19H11V13H5V11H11V5H13V11H19V13Z"/>
@@ -2278,6 +2804,12 @@ class SpotifyLabelExplorer {
         });
       });
 
+      // Re-setup retry button of the incomplete catalog notice
+      this.setupIncompleteNotice(newHeader, container);
+
+      // Re-setup save as playlist button
+      this.setupSavePlaylistButton(newHeader);
+
       // Re-setup save Scatalog button
       const saveScatalogBtn = newHeader.querySelector('#saveScatalogBtn');
       if (saveScatalogBtn) {
@@ -2331,7 +2863,8 @@ class SpotifyLabelExplorer {
       setTimeout(async () => {
         await this.recreateArtistDrawer();
       }, 100);
-      
+
+      this.enrichGenres(container);
     }
   }
 
@@ -2353,21 +2886,51 @@ class SpotifyLabelExplorer {
       }
     }
     
+    // Totals of incomplete labels are only what we managed to fetch
+    const incompleteSuffix = this.currentLabels.some(label => this.incompleteLabels.has(label)) ? ' (incomplete)' : '';
+    
     // Show both currently displayed and total available
     if (this.currentAlbums.length === totalActualReleases) {
-      return `Found ${totalActualReleases} release${totalActualReleases !== 1 ? 's' : ''}`;
+      return `Found ${totalActualReleases} release${totalActualReleases !== 1 ? 's' : ''}${incompleteSuffix}`;
     } else {
-      return `Showing ${this.currentAlbums.length} of ${totalActualReleases} release${totalActualReleases !== 1 ? 's' : ''}`;
+      return `Showing ${this.currentAlbums.length} of ${totalActualReleases} release${totalActualReleases !== 1 ? 's' : ''}${incompleteSuffix}`;
     }
   }
 
+  /**
+   * Tooltip text describing how each label was searched: mode, calls and the releases each strategy added
+   */
+  generateSearchReport() {
+    const lines = [];
+    (this.currentLabels || []).forEach((labelName) => {
+      const telemetry = this.searchTelemetry.get(labelName);
+      if (!telemetry) return;
+
+      lines.push(`${labelName}: ${telemetry.mode} search, ${telemetry.calls} call${telemetry.calls !== 1 ? 's' : ''} in ${(telemetry.durationMs / 1000).toFixed(1)}s`);
+      Object.entries(telemetry.strategies).forEach(([strategy, stats]) => {
+        if (stats.calls === 0) return;
+        lines.push(`  ${strategy}: +${stats.added} new of ${stats.results} found (${stats.calls} call${stats.calls !== 1 ? 's' : ''}${stats.failures > 0 ? `, ${stats.failures} failed` : ''})`);
+      });
+      if (telemetry.skippedRanges.length > 0) {
+        lines.push(`  skipped empty years: ${telemetry.skippedRanges.join(', ')}`);
+      }
+      if (telemetry.saturatedYears.length > 0) {
+        lines.push(`  over 1000 releases in ${telemetry.saturatedYears.join(', ')}${telemetry.mode === 'exhaustive' ? '' : ' (exhaustive mode searches these further)'}`);
+      }
+      if (telemetry.truncated) {
+        lines.push('  stopped at 1000 releases (thorough mode searches further)');
+      }
+    });
+
+    return lines.map(line => escapeHtml(line)).join('&#10;');
+  }
+
   /**
    * Process albums to handle "Various Artists" cases
    */
   async processVariousArtistsAlbums(albums) {
-    const processedAlbums = [];
-    
-    for (const album of albums) {
+    // Look up all albums concurrently so the API can batch the detail requests
+    return Promise.all(albums.map(async (album) => {
       let processedAlbum = { ...album };
       
       // Check if this is a "Various Artists" album (German or English)
@@ -2380,7 +2943,7 @@ class SpotifyLabelExplorer {
       if (isVariousArtists) {
         try {
           // Get the album tracks to find the actual artists
-          const albumDetails = await this.api.makeRequest(`https://api.spotify.com/v1/albums/${album.id}`);
+          const albumDetails = await this.api.getAlbumDetails(album.id);
           
           if (albumDetails && albumDetails.tracks && albumDetails.tracks.items) {
             // Collect all unique artists from tracks
@@ -2427,20 +2990,31 @@ class SpotifyLabelExplorer {
         }
       }
       
-      processedAlbums.push(processedAlbum);
-    }
-    
-    return processedAlbums;
+      return processedAlbum;
+    }));
   }
 
   /**
    * Add albums from a label to the current results
    */
   async addLabelToCurrentResults(labelName) {
+    // Another spelling of an active label adds its releases to that label
+    labelName = this.labelNormalizer.findLabel(labelName, this.currentLabels) || this.labelNormalizer.resolve(labelName);
+
     try {
       // Search for albums from this label with comprehensive search
-      const results = await this.api.searchAllAlbumsByLabel(labelName);
+      const results = await this.api.searchAllAlbumsByLabel(labelName, null, { priority: 'high' });
       const newAlbums = results.albums?.items || [];
+
+      // Track partial searches so the header can flag them
+      if (results.incomplete) {
+        this.incompleteLabels.add(labelName);
+      } else {
+        this.incompleteLabels.delete(labelName);
+      }
+      if (results.telemetry) {
+        this.searchTelemetry.set(labelName, results.telemetry);
+      }
       
       if (newAlbums.length === 0) {
         return;
@@ -2517,7 +3091,7 @@ class SpotifyLabelExplorer {
     if (albums.length === 0) {
       container.innerHTML = `
         <div class="no-results">
-          <p>No releases found for "${labelName}"</p>
+          <p>No releases found for "${escapeHtml(labelName)}"</p>
           <p>This might be because:</p>
           <ul>
             <li>The label name wasn't detected correctly</li>
@@ -2554,9 +3128,12 @@ class SpotifyLabelExplorer {
       this.labelTotalCounts = new Map();
     }
     this.labelTotalCounts.set(labelName, results.albums?.total || processedAlbums.length);
+    this.incompleteLabels = new Set(results.incomplete ? [labelName] : []);
+    this.searchTelemetry = new Map(results.telemetry ? [[labelName, results.telemetry]] : []);
     
-    // Load cached "open in new tab" preference
+    // Load cached "open in new tab" and results view preferences
     this.openInNewTab = await this.getOpenInNewTabPreference();
+    this.resultsView = await this.getResultsViewPreference();
 
     // Get all artists from the albums for flexible "Other Labels" exploration
     const artistsMap = new Map();
@@ -2653,7 +3230,7 @@ class SpotifyLabelExplorer {
 
     // Create label names display with green styling
     const labelNamesHtml = this.currentLabels.map(label => 
-      `<span class="label-name-highlight">${label}</span>`
+      `<span class="label-name-highlight">${escapeHtml(label)}</span>`
     ).join(', ');
 
     // Get top artists across all current albums for gray buttons
@@ -2705,9 +3282,9 @@ class SpotifyLabelExplorer {
         <div class="label-management-title">Active labels:</div>
         <div class="active-labels-list">
           ${this.currentLabels.map(label => `
-            <div class="active-label-item" data-label-name="${label}">
-              <span class="label-name-highlight">${label}</span>
-              <button class="remove-label-btn" data-label-name="${label}" title="Remove ${label} from results">
+            <div class="active-label-item" data-label-name="${escapeHtml(label)}">
+              <span class="label-name-highlight">${escapeHtml(label)}</span>
+              <button class="remove-label-btn" data-label-name="${escapeHtml(label)}" title="Remove ${escapeHtml(label)} from results">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                   <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
                 </svg>
@@ -2724,8 +3301,10 @@ class SpotifyLabelExplorer {
           <div class="results-header-content">
             ${labelManagementHtml}
             <div class="results-summary">
-              <p>${this.generateResultsSummary()}</p>
+              <p title="${this.generateSearchReport()}">${this.generateResultsSummary()}</p>
             </div>
+            <div class="genre-chips"></div>
+            ${this.generateIncompleteNoticeHtml()}
           </div>
           <div class="results-header-actions">
             <div class="header-add-label-container">
@@ -2741,6 +3320,11 @@ class SpotifyLabelExplorer {
                 <path d="M12,4A4,4 0 0,1 16,8A4,4 0 0,1 12,12A4,4 0 0,1 8,8A4,4 0 0,1 12,4M12,14C16.42,14 20,15.79 20,18V20H4V18C4,15.79 7.58,14 12,14Z"/>
               </svg>
             </button>
+            <button class="save-playlist-btn" id="savePlaylistBtn" title="Save current view as Spotify playlist">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14,10H3V12H14V10M14,6H3V8H14V6M3,16H10V14H3V16M16,13V21L22,17L16,13Z"/>
+              </svg>
+            </button>
             <button class="save-scatalog-btn" id="saveScatalogBtn" title="Save current catalog as Scatalog">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M19,13H13V19H11V13H5V11H11V5H13V11H19V13Z"/>
@@ -2768,9 +3352,20 @@ class SpotifyLabelExplorer {
         </div>
         
         <div class="control-group">
-          <input type="text" id="search-input" class="search-input" placeholder="Search releases..." />
+          <input type="text" id="search-input" class="search-input" placeholder="Search releases..." title="${this.getSearchSyntaxHelp()}" />
+        </div>
+        
+        <div class="control-group">
+          <button id="filter-toggle-btn" class="filter-toggle-btn" title="Filter by year, type, track count and label">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M14,12V19.88C14.04,20.18 13.94,20.5 13.71,20.71C13.32,21.1 12.69,21.1 12.3,20.71L10.29,18.7C10.06,18.47 9.96,18.16 10,17.87V12H9.97L4.21,4.62C3.87,4.19 3.95,3.56 4.38,3.22C4.57,3.08 4.78,3 5,3H19C19.22,3 19.43,3.08 19.62,3.22C20.05,3.56 20.13,4.19 19.79,4.62L14.03,12H14Z"/>
+            </svg>
+            <span class="filter-toggle-text">Filters</span>
+          </button>
         </div>
         
+        ${this.renderViewToggle()}
+        
         <div class="control-group">
           <label class="toggle-label">
             <input type="checkbox" id="new-tab-toggle" ${this.openInNewTab ? 'checked' : ''} />
@@ -2780,9 +3375,15 @@ class SpotifyLabelExplorer {
         </div>
       </div>
       
-      <div class="results-grid" id="results-grid">
-        ${this.renderAlbumCards(albums)}
-      </div>
+      <div class="filter-panel" id="filter-panel" style="display: none;"></div>
+      
+      <div class="results-grid" id="results-grid"></div>
+      <div class="results-timeline" id="results-timeline" style="display: none;"></div>
+      <div class="results-table" id="results-table" style="display: none;"></div>
+      <div class="results-stats" id="results-stats" style="display: none;"></div>
+      <div class="results-compare" id="results-compare" style="display: none;"></div>
+      <div class="results-graph" id="results-graph" style="display: none;"></div>
+      <div class="results-similar" id="results-similar" style="display: none;"></div>
     `;
     
     container.innerHTML = resultsHTML;
@@ -2803,6 +3404,12 @@ class SpotifyLabelExplorer {
       });
     });
 
+    // Set up retry button of the incomplete catalog notice
+    this.setupIncompleteNotice(container, container);
+
+    // Set up save as playlist button
+    this.setupSavePlaylistButton(container);
+
     // Set up save Scatalog button
     const saveScatalogBtn = container.querySelector('#saveScatalogBtn');
     if (saveScatalogBtn) {
@@ -2822,50 +3429,1108 @@ class SpotifyLabelExplorer {
         this.toggleRelatedArtistsDrawer(relatedArtistsBtn);
       });
     }
+
+    this.enrichGenres(container);
   }
 
   /**
-   * Render album cards HTML
+   * Look up the genres of the current artists in batches and attach them to the albums' artists,
+   * then show the genre chips; a Scatalog gets its labels' genre fingerprint saved
    */
-  renderAlbumCards(albums) {
-    const showLabels = this.currentLabels && this.currentLabels.length >= 1;
-    
-    return albums.map(album => {
-      // Format artist display for Various Artists albums
-      let artistDisplay = '';
-      if (album.artists.length > 0 && album.artists[0].name === 'Various Artists') {
-        if (album.artists.length > 1) {
-          // Show "Various Artists" and a few actual artists
-          const actualArtists = album.artists.slice(1, 4).map(a => a.name);
-          artistDisplay = `Various Artists (${actualArtists.join(', ')}${album.artists.length > 4 ? '...' : ''})`;
-        } else {
-          artistDisplay = 'Various Artists';
+  async enrichGenres(container, scatalog = null) {
+    const albums = this.originalAlbums;
+    this.renderGenreChips(container);
+
+    const genres = await this.loadArtistGenres(this.genreProfiler.getArtistIds(albums));
+    albums.forEach((album) => {
+      (album.artists || []).forEach((artist) => {
+        if (genres.has(artist.id)) {
+          artist.genres = genres.get(artist.id);
         }
-      } else {
-        artistDisplay = album.artists.map(a => a.name).join(', ');
-      }
-      
-      return `
-      <div class="album-card" data-spotify-url="${album.external_urls.spotify}" data-album-name="${album.name.toLowerCase()}" data-artist-name="${album.artists.map(a => a.name).join(', ').toLowerCase()}" data-release-date="${album.release_date}">
-        <div class="album-artwork">
-          <img src="${album.images[0]?.url || ''}" alt="${album.name}" loading="lazy">
-          <div class="play-overlay">
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
-              <path d="M8 5v14l11-7z"/>
-            </svg>
-          </div>
-        </div>
-        <div class="album-info">
-          <h3 class="album-title" title="${album.name}">${album.name}</h3>
-            <p class="album-artist" title="${artistDisplay}">${artistDisplay}</p>
-          <p class="album-year">${new Date(album.release_date).getFullYear()}</p>
-            ${showLabels && album.labelName ? `<p class="album-label"><span class="label-name-highlight">${album.labelName}</span></p>` : ''}
-        </div>
-      </div>
-      `;
-    }).join('');
-  }
-
+      });
+    });
+
+    // The modal may have been closed or shows other labels meanwhile
+    if (!container.isConnected || albums !== this.originalAlbums) return;
+
+    this.genreAlbums = albums;
+    this.renderGenreChips(container);
+    if (this.activeFilters.genres.length > 0 && this.reapplyResultsFilters) {
+      this.reapplyResultsFilters();
+    }
+
+    if (scatalog && this.scatalogs.has(scatalog.id)) {
+      scatalog.genreFingerprint = this.genreProfiler.getFingerprints(albums, scatalog.labels);
+      await this.saveScatalogToCache(scatalog);
+    }
+  }
+
+  /**
+   * Genres of artists by ID; lookups are shared and go out as one batched request per call
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async loadArtistGenres(artistIds) {
+    const missingIds = artistIds.filter(artistId => !this.artistGenres.has(artistId));
+    if (missingIds.length > 0) {
+      const batch = this.api.getArtistsDetails(missingIds, { priority: 'low' });
+      missingIds.forEach((artistId, index) => {
+        this.artistGenres.set(artistId, batch
+          .then(artists => (artists[index] && artists[index].genres) || [])
+          .catch((error) => {
+            if (index === 0) console.warn('scatalog: Could not load artist genres:', error);
+            this.artistGenres.delete(artistId); // Try again next time
+            return [];
+          }));
+      });
+    }
+
+    const genres = await Promise.all(artistIds.map(artistId => this.artistGenres.get(artistId)));
+    return new Map(artistIds.map((artistId, index) => [artistId, genres[index]]));
+  }
+
+  /**
+   * Genre chips of the current labels in the results header; clicking a chip filters by that genre
+   */
+  renderGenreChips(container) {
+    const chips = container.querySelector('.genre-chips');
+    if (!chips) return;
+
+    const selected = this.activeFilters.genres;
+    const profile = this.genreProfiler.profile(this.originalAlbums, 8);
+    // Selected genres stay visible so they can be turned off again
+    const genres = [...profile.map(entry => entry.genre), ...selected.filter(genre => !profile.some(entry => entry.genre === genre))];
+
+    if (genres.length === 0) {
+      chips.innerHTML = this.genreAlbums === this.originalAlbums ? '' : '<span class="genre-chips-loading">Loading genres…</span>';
+      return;
+    }
+
+    // Share of each genre per label, listed in the chip titles when several labels are shown
+    const labels = this.currentLabels || [];
+    const labelProfiles = labels.length > 1
+      ? labels.map(label => ({ label, profile: this.genreProfiler.profile(this.originalAlbums.filter(album => album.labelName === label), Infinity) }))
+      : [];
+
+    chips.innerHTML = genres.map((genre) => {
+      const entry = profile.find(item => item.genre === genre);
+      const perLabel = labelProfiles.map(({ label, profile: labelProfile }) => {
+        const labelEntry = labelProfile.find(item => item.genre === genre);
+        return `${escapeHtml(label)}: ${labelEntry ? Math.round(labelEntry.share * 100) : 0}%`;
+      }).join('&#10;');
+      const title = `${entry ? `${Math.round(entry.share * 100)}% of genre tags` : 'Selected genre'}${perLabel ? `&#10;${perLabel}` : ''}&#10;Click to ${selected.includes(genre) ? 'stop filtering' : 'filter releases'} by this genre`;
+      return `<button class="genre-chip${selected.includes(genre) ? ' active' : ''}" data-genre="${escapeHtml(genre)}" title="${title}">${escapeHtml(genre)}</button>`;
+    }).join('');
+
+    chips.querySelectorAll('.genre-chip').forEach((chip) => {
+      chip.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggleGenreFilter(container, chip.dataset.genre);
+      });
+    });
+  }
+
+  /**
+   * Add or remove a genre from the genre filter
+   */
+  toggleGenreFilter(container, genre) {
+    const genres = this.activeFilters.genres.includes(genre)
+      ? this.activeFilters.genres.filter(selected => selected !== genre)
+      : [...this.activeFilters.genres, genre];
+    this.activeFilters = { ...this.activeFilters, genres };
+
+    this.renderGenreChips(container);
+    if (this.reapplyResultsFilters) {
+      this.reapplyResultsFilters();
+    }
+  }
+
+  /**
+   * Generate the notice shown when some labels could only be searched partially
+   */
+  generateIncompleteNoticeHtml() {
+    const incompleteLabels = (this.currentLabels || []).filter(label => this.incompleteLabels.has(label));
+    if (incompleteLabels.length === 0) {
+      return '';
+    }
+
+    const labelNames = incompleteLabels.map(label => `<span class="label-name-highlight">${escapeHtml(label)}</span>`).join(', ');
+
+    return `
+      <div class="incomplete-catalog-notice">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M1,21H23L12,2L1,21M13,18H11V16H13V18M13,14H11V10H13V14Z"/>
+        </svg>
+        <span class="incomplete-catalog-text">
+          Catalog incomplete for ${labelNames}: some requests kept failing (rate limit or network), so releases may be missing.
+        </span>
+        <button class="incomplete-catalog-retry-btn" id="retryIncompleteBtn" title="Search the missing parts again">Retry</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up the retry button of the incomplete catalog notice
+   */
+  setupIncompleteNotice(root, container) {
+    const retryButton = root.querySelector('#retryIncompleteBtn');
+    if (!retryButton) return;
+
+    retryButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      retryButton.disabled = true;
+      retryButton.textContent = 'Retrying...';
+      await this.retryIncompleteLabels(container);
+    });
+  }
+
+  /**
+   * Search incomplete labels again; pages that already succeeded come from the cache
+   */
+  async retryIncompleteLabels(container) {
+    const labels = this.currentLabels.filter(label => this.incompleteLabels.has(label));
+
+    for (const labelName of labels) {
+      try {
+        await this.addLabelToCurrentResults(labelName);
+      } catch (error) {
+        console.warn(`Retry failed for label "${labelName}":`, error);
+      }
+    }
+
+    // Refresh even if nothing new was found so the notice reflects the retry
+    await this.refreshResultsDisplay(container);
+  }
+
+  /**
+   * Artist line of an album, listing a few actual artists for Various Artists albums
+   */
+  getArtistDisplay(album) {
+    if (album.artists.length > 0 && album.artists[0].name === 'Various Artists') {
+      if (album.artists.length > 1) {
+        // Show "Various Artists" and a few actual artists
+        const actualArtists = album.artists.slice(1, 4).map(a => a.name);
+        return `Various Artists (${actualArtists.join(', ')}${album.artists.length > 4 ? '...' : ''})`;
+      }
+      return 'Various Artists';
+    }
+    return album.artists.map(a => a.name).join(', ');
+  }
+
+  /**
+   * Render the HTML of one album card (the results grid renders cards as they scroll into view)
+   */
+  renderAlbumCard(album) {
+    const showLabels = this.currentLabels && this.currentLabels.length >= 1;
+    const catalogQuery = this.albumFilter.catalogQuery;
+    const highlights = this.searchHighlights;
+    const mark = (text, terms) => (highlights ? catalogQuery.highlight(text, terms) : escapeHtml(text));
+    const artistDisplay = this.getArtistDisplay(album);
+    
+    return `
+      <div class="album-card${this.newAlbumIds.has(album.id) ? ' album-card-new' : ''}" data-spotify-url="${escapeHtml(album.external_urls.spotify)}" data-album-name="${escapeHtml(album.name.toLowerCase())}" data-artist-name="${escapeHtml(album.artists.map(a => a.name).join(', ').toLowerCase())}" data-release-date="${escapeHtml(album.release_date)}">
+        <div class="album-artwork">
+          <img src="${escapeHtml(album.images[0]?.url || '')}" alt="${escapeHtml(album.name)}" loading="lazy">
+          ${this.newAlbumIds.has(album.id) ? '<span class="album-new-badge">New</span>' : ''}
+          <div class="play-overlay">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
+              <path d="M8 5v14l11-7z"/>
+            </svg>
+          </div>
+        </div>
+        <div class="album-info">
+          <h3 class="album-title" title="${escapeHtml(album.name)}">${mark(album.name, highlights && highlights.album)}</h3>
+            <p class="album-artist" title="${escapeHtml(artistDisplay)}">${mark(artistDisplay, highlights && highlights.artist)}</p>
+          <p class="album-year">${new Date(album.release_date).getFullYear()}</p>
+            ${showLabels && album.labelName ? `<p class="album-label"><span class="label-name-highlight">${mark(album.labelName, highlights && highlights.label)}</span></p>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Set up the virtualized results grid of a catalog view
+   */
+  setupResultsGrid(container) {
+    if (this.resultsGrid) {
+      this.resultsGrid.destroy();
+    }
+
+    const gridElement = container.querySelector('#results-grid');
+    this.resultsGrid = new VirtualGrid(gridElement, {
+      renderItem: album => this.renderAlbumCard(album),
+      onItemClick: album => this.openAlbum(album)
+    });
+  }
+
+  /**
+   * Render the results view toggle (grid, timeline, table, stats, compare, graph, similar) for the results controls
+   */
+  renderViewToggle() {
+    const views = [
+      { id: 'grid', title: 'Grid', icon: 'M3,3H11V11H3V3M13,3H21V11H13V3M3,13H11V21H3V13M13,13H21V21H13V13Z' },
+      { id: 'timeline', title: 'Timeline by year', icon: 'M3,4H7V8H3V4M9,5V7H21V5H9M3,10H7V14H3V10M9,11V13H21V11H9M3,16H7V20H3V16M9,17V19H21V17H9' },
+      { id: 'table', title: 'Table (arrow keys to move, Enter to open, Space to preview)', icon: 'M3,4H21V6H3V4M3,9H21V11H3V9M3,14H21V16H3V14M3,19H21V21H3V19Z' },
+      { id: 'stats', title: 'Label statistics', icon: 'M3,21V19H21V21H3M4,17V10H7V17H4M9,17V4H12V17H9M14,17V8H17V17H14M19,17V13H21V17H19Z' },
+      { id: 'compare', title: 'Compare labels side by side', icon: 'M3,3H11V21H3V3M13,3H21V21H13V3M5,5V19H9V5H5M15,5V19H19V5H15Z' },
+      { id: 'graph', title: 'Explore the artist and label network', icon: 'M12,2A3,3 0 0,1 15,5C15,6.3 14.16,7.4 13,7.82V10.1L17.3,13.1C17.8,12.72 18.37,12.5 19,12.5A3,3 0 0,1 22,15.5A3,3 0 0,1 19,18.5A3,3 0 0,1 16,15.5C16,15.18 16.05,14.88 16.14,14.59L12,11.7L7.86,14.59C7.95,14.88 8,15.18 8,15.5A3,3 0 0,1 5,18.5A3,3 0 0,1 2,15.5A3,3 0 0,1 5,12.5C5.63,12.5 6.2,12.72 6.7,13.1L11,10.1V7.82C9.84,7.4 9,6.3 9,5A3,3 0 0,1 12,2Z' },
+      { id: 'similar', title: 'Similar labels', icon: 'M5.5,7A1.5,1.5 0 0,1 4,5.5A1.5,1.5 0 0,1 5.5,4A1.5,1.5 0 0,1 7,5.5A1.5,1.5 0 0,1 5.5,7M21.41,11.58L12.41,2.58C12.05,2.22 11.55,2 11,2H4C2.89,2 2,2.89 2,4V11C2,11.55 2.22,12.05 2.59,12.41L11.58,21.41C11.95,21.77 12.45,22 13,22C13.55,22 14.05,21.77 14.41,21.41L21.41,14.41C21.78,14.05 22,13.55 22,13C22,12.44 21.77,11.94 21.41,11.58Z' }
+    ];
+
+    return `
+        <div class="control-group view-toggle">
+          ${views.map(view => `
+            <button class="view-toggle-btn${this.resultsView === view.id ? ' active' : ''}" data-view="${view.id}" title="${view.title}">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                <path d="${view.icon}"/>
+              </svg>
+            </button>
+          `).join('')}
+        </div>`;
+  }
+
+  /**
+   * Show the current albums in the selected view (grid, timeline, table, stats, compare, graph or similar labels)
+   */
+  renderResultsView(container) {
+    const gridElement = container.querySelector('#results-grid');
+    const timelineElement = container.querySelector('#results-timeline');
+    const tableElement = container.querySelector('#results-table');
+    const statsElement = container.querySelector('#results-stats');
+    const compareElement = container.querySelector('#results-compare');
+    const graphElement = container.querySelector('#results-graph');
+    const similarElement = container.querySelector('#results-similar');
+    const view = this.resultsView;
+
+    container.querySelectorAll('.view-toggle-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === view);
+    });
+
+    gridElement.style.display = view === 'grid' ? '' : 'none';
+    timelineElement.style.display = view === 'timeline' ? 'block' : 'none';
+    tableElement.style.display = view === 'table' ? 'block' : 'none';
+    statsElement.style.display = view === 'stats' ? 'block' : 'none';
+    compareElement.style.display = view === 'compare' ? 'block' : 'none';
+    graphElement.style.display = view === 'graph' ? 'block' : 'none';
+    similarElement.style.display = view === 'similar' ? 'block' : 'none';
+
+    // Hidden views are emptied so they don't hold thousands of nodes
+    this.resultsGrid.setItems(view === 'grid' ? this.currentAlbums : []);
+    if (view === 'timeline') {
+      this.renderTimeline(timelineElement);
+    } else {
+      timelineElement.innerHTML = '';
+    }
+    if (view === 'table') {
+      this.resultsTable.setItems(this.currentAlbums);
+      this.loadAlbumPopularity(this.currentAlbums);
+    } else {
+      this.resultsTable.setItems([]);
+    }
+    if (view === 'stats') {
+      this.renderStatsView(statsElement);
+    } else {
+      statsElement.innerHTML = '';
+    }
+    if (view === 'compare') {
+      this.renderCompareView(compareElement);
+    } else {
+      compareElement.innerHTML = '';
+    }
+    if (view === 'graph') {
+      this.renderGraphView(graphElement);
+    } else {
+      this.destroyGraphView();
+      graphElement.innerHTML = '';
+    }
+    if (view === 'similar') {
+      this.renderSimilarView(similarElement);
+    } else {
+      similarElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render the artist–label graph, seeded with the current labels and their artists
+   * The graph model lives as long as the modal, so nodes expanded earlier are still there
+   */
+  renderGraphView(graphElement) {
+    if (!this.labelGraph) {
+      this.labelGraph = new LabelGraph({ labelKey: name => this.labelNormalizer.getCanonicalKey(name) });
+    }
+    (this.currentLabels || []).forEach((label) => {
+      const node = this.labelGraph.addLabel(label, (this.labelTotalCounts && this.labelTotalCounts.get(label)) || 0);
+      if (!node.expanded) {
+        this.labelGraph.expandLabel(node, this.labelComparison.countArtists(this.originalAlbums.filter(album => album.labelName === label)));
+      }
+    });
+
+    // Filtering and sorting re-render the view; keep the running layout
+    const canvas = graphElement.querySelector('.graph-canvas-container');
+    if (canvas && this.graphView && this.graphView.element === canvas) {
+      this.graphView.refresh();
+      this.updateGraphPathOptions(graphElement);
+      return;
+    }
+
+    this.destroyGraphView();
+    graphElement.innerHTML = `
+      <div class="graph-toolbar">
+        <div class="graph-selection" id="graph-selection">
+          <span class="graph-hint">Click a label to show its artists, click an artist to show their other labels. Drag to move, scroll to zoom.</span>
+        </div>
+        <div class="graph-path-query">
+          <select class="graph-path-select" id="graph-path-from" title="From label"></select>
+          <span class="graph-path-arrow">→</span>
+          <select class="graph-path-select" id="graph-path-to" title="To label"></select>
+          <button class="graph-path-btn" id="graph-path-btn">Find path</button>
+        </div>
+      </div>
+      <div class="graph-path-result" id="graph-path-result"></div>
+      <div class="graph-canvas-container"></div>
+    `;
+
+    this.graphView = new GraphView(graphElement.querySelector('.graph-canvas-container'), {
+      graph: this.labelGraph,
+      onNodeClick: node => this.expandGraphNode(graphElement, node),
+      isActiveLabel: node => !!this.labelNormalizer.findLabel(node.ref, this.currentLabels || [])
+    });
+    graphElement.querySelector('#graph-path-btn').addEventListener('click', () => this.showGraphPath(graphElement));
+    this.updateGraphPathOptions(graphElement);
+  }
+
+  /**
+   * Stop the graph layout of the closed or hidden graph view
+   */
+  destroyGraphView() {
+    if (this.graphView) {
+      this.graphView.destroy();
+      this.graphView = null;
+    }
+  }
+
+  /**
+   * Select a graph node and pull in its neighbours the first time: a label's artists or an artist's labels
+   * Active labels use the loaded releases; other labels get a quick search
+   */
+  async expandGraphNode(graphElement, node) {
+    const graphView = this.graphView;
+    graphView.select(node.id);
+    this.showGraphSelection(graphElement, node);
+    if (node.expanded || graphView.loadingIds.has(node.id)) return;
+
+    graphView.setLoading(node.id, true);
+    try {
+      if (node.type === 'label') {
+        const activeLabel = this.labelNormalizer.findLabel(node.ref, this.currentLabels || []);
+        const albums = activeLabel
+          ? this.originalAlbums.filter(album => album.labelName === activeLabel)
+          : (await this.api.searchAllAlbumsByLabel(node.ref, null, { priority: 'normal', searchMode: 'quick' })).albums?.items || [];
+        node.releases = Math.max(node.releases, albums.length);
+        this.labelGraph.expandLabel(node, this.labelComparison.countArtists(albums));
+      } else {
+        const labels = await this.api.getArtistLabels(node.ref, { priority: 'normal' });
+        this.labelGraph.expandArtist(node, labels.map(label => ({ name: label.name, releases: label.albums.length })));
+      }
+    } catch (error) {
+      console.warn(`scatalog: Could not expand ${node.name} in the graph:`, error);
+      const result = graphElement.querySelector('#graph-path-result');
+      if (result) result.textContent = `Could not load ${node.type === 'label' ? 'the artists' : 'the labels'} of ${node.name}: ${error.message}`;
+    }
+
+    // The view may have been closed or re-rendered meanwhile
+    graphView.setLoading(node.id, false);
+    if (this.graphView !== graphView) return;
+    graphView.refresh();
+    this.showGraphSelection(graphElement, node);
+    this.updateGraphPathOptions(graphElement);
+  }
+
+  /**
+   * Describe the selected graph node, with a button to add a label to the catalog or open an artist
+   */
+  showGraphSelection(graphElement, node) {
+    const selection = graphElement.querySelector('#graph-selection');
+    if (!selection) return;
+
+    const neighbours = this.labelGraph.adjacency.get(node.id).size;
+    const isActive = node.type === 'label' && !!this.labelNormalizer.findLabel(node.ref, this.currentLabels || []);
+    const action = node.type === 'artist'
+      ? '<button class="graph-action-btn" data-graph-action="artist">Open artist</button>'
+      : (isActive ? '<span class="graph-hint">In this catalog</span>' : '<button class="graph-action-btn" data-graph-action="label">Add to results</button>');
+
+    selection.innerHTML = `
+      <span class="graph-selection-name">${escapeHtml(node.name)}</span>
+      <span class="graph-hint">${node.releases} release${node.releases !== 1 ? 's' : ''} • ${neighbours} ${node.type === 'label' ? 'artist' : 'label'}${neighbours !== 1 ? 's' : ''} shown</span>
+      ${action}
+    `;
+
+    const button = selection.querySelector('.graph-action-btn');
+    if (!button) return;
+    button.addEventListener('click', async () => {
+      if (button.dataset.graphAction === 'artist') {
+        await this.openArtistPage(node.ref);
+        return;
+      }
+      button.disabled = true;
+      button.textContent = 'Adding...';
+      try {
+        await this.addLabelToCurrentResults(node.ref);
+      } catch (error) {
+        button.textContent = 'Failed to add';
+      }
+    });
+  }
+
+  /**
+   * Fill the path query selects with the labels in the graph, keeping the current choice
+   */
+  updateGraphPathOptions(graphElement) {
+    const labels = this.labelGraph.getLabels();
+
+    ['#graph-path-from', '#graph-path-to'].forEach((selector, index) => {
+      const select = graphElement.querySelector(selector);
+      if (!select) return;
+      const previous = select.value || (labels[index] ? labels[index].id : '');
+      select.innerHTML = labels.map(label => `<option value="${escapeHtml(label.id)}">${escapeHtml(label.name)}</option>`).join('');
+      if (labels.some(label => label.id === previous)) {
+        select.value = previous;
+      }
+    });
+  }
+
+  /**
+   * Highlight the shortest connection between the two chosen labels
+   */
+  showGraphPath(graphElement) {
+    const from = graphElement.querySelector('#graph-path-from').value;
+    const to = graphElement.querySelector('#graph-path-to').value;
+    const result = graphElement.querySelector('#graph-path-result');
+    if (!from || !to || from === to) {
+      this.graphView.setPath([]);
+      result.textContent = 'Choose two different labels';
+      return;
+    }
+
+    const path = this.labelGraph.findPath(from, to);
+    this.graphView.setPath(path || []);
+    if (!path) {
+      result.textContent = 'No connection yet - expand more labels and artists to find one';
+      return;
+    }
+
+    const hops = (path.length - 1) / 2; // Label -> artist -> label is one hop
+    result.innerHTML = `${path.map(id => `<span class="graph-path-node">${escapeHtml(this.labelGraph.nodes.get(id).name)}</span>`).join(' → ')}
+      <span class="graph-hint">(${hops} shared artist${hops !== 1 ? 's' : ''} apart)</span>`;
+  }
+
+  /**
+   * Render the side-by-side comparison of the current labels
+   * Genres are filled in once the artists have been looked up
+   */
+  renderCompareView(compareElement) {
+    const labels = this.currentLabels || [];
+    if (labels.length < 2) {
+      compareElement.innerHTML = '<div class="timeline-empty">Add another label to compare it with this one</div>';
+      return;
+    }
+
+    const profiles = this.labelComparison.compare(this.originalAlbums, labels, this.labelTotalCounts || new Map());
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    const formatGap = (days) => {
+      if (days === null) return '–';
+      if (days < 14) return `every ${plural(Math.max(1, Math.round(days)), 'day')}`;
+      if (days < 60) return `every ${plural(Math.round(days / 7), 'week')}`;
+      return `every ${plural(Math.round(days / 30), 'month')}`;
+    };
+
+    const renderTopArtist = (artist, ownLabel) => {
+      // Where else among the active labels this artist released
+      const presence = this.analyzeArtistLabelPresence(artist.id);
+      const elsewhere = presence.labelsWithReleases.filter(label => label !== ownLabel);
+      return `
+        <li>
+          <span class="compare-artist-name">${escapeHtml(artist.name)}</span>
+          <span class="compare-muted">${artist.count}${elsewhere.length > 0 ? ` • also on ${elsewhere.map(label => `${escapeHtml(label)} (${presence.albumsPerLabel[label]})`).join(', ')}` : ''}</span>
+        </li>
+      `;
+    };
+
+    const rows = [
+      {
+        title: 'Catalog size',
+        cell: profile => `<span class="compare-value">${profile.catalogSize}</span>${profile.loaded < profile.catalogSize ? `<span class="compare-muted">${profile.loaded} loaded</span>` : ''}<span class="compare-muted">${plural(profile.artistCount, 'artist')}</span>`
+      },
+      {
+        title: 'Active years',
+        cell: profile => (profile.firstYear === null ? '–' : `
+          <span class="compare-value">${profile.firstYear}${profile.lastYear !== profile.firstYear ? ` – ${profile.lastYear}` : ''}</span>
+          <span class="compare-muted">releases in ${plural(profile.activeYears, 'year')}</span>
+        `)
+      },
+      {
+        title: 'Release cadence',
+        cell: profile => `
+          <span class="compare-value">${profile.cadence.toFixed(1)} / year</span>
+          <span class="compare-muted">typically ${formatGap(profile.medianGapDays)}</span>
+        `
+      },
+      {
+        title: 'Shared artists',
+        cell: profile => (profile.sharedArtists.length === 0 ? '<span class="compare-muted">None</span>' : `
+          <span class="compare-value">${profile.sharedArtists.length}</span>
+          <span class="compare-muted">${escapeHtml(profile.sharedArtists.slice(0, 6).map(artist => artist.name).join(', '))}${profile.sharedArtists.length > 6 ? '…' : ''}</span>
+        `)
+      },
+      {
+        title: 'Genre mix',
+        cell: profile => `<div class="compare-genres" data-label="${escapeHtml(profile.label)}"><span class="compare-muted">Loading genres…</span></div>`
+      },
+      {
+        title: 'Most prolific artists',
+        cell: profile => (profile.topArtists.length === 0 ? '<span class="compare-muted">–</span>' : `
+          <ol class="compare-artist-list">${profile.topArtists.map(artist => renderTopArtist(artist, profile.label)).join('')}</ol>
+        `)
+      }
+    ];
+
+    compareElement.innerHTML = `
+      <div class="compare-grid" style="grid-template-columns: 140px repeat(${profiles.length}, minmax(180px, 1fr));">
+        <div class="compare-corner"></div>
+        ${profiles.map(profile => `
+          <div class="compare-label-header" style="--label-color: ${this.catalogTimeline.getLabelColor(profile.label, labels)};">${escapeHtml(profile.label)}</div>
+        `).join('')}
+        ${rows.map(row => `
+          <div class="compare-row-title">${row.title}</div>
+          ${profiles.map(profile => `<div class="compare-cell">${row.cell(profile)}</div>`).join('')}
+        `).join('')}
+      </div>
+    `;
+
+    this.loadCompareGenres(compareElement, profiles);
+  }
+
+  /**
+   * Look up the genres of each label's main artists and fill in the genre mix cells
+   */
+  async loadCompareGenres(compareElement, profiles) {
+    // Lookups are shared, so re-rendering the view doesn't request an artist twice
+    const genres = await this.loadArtistGenres([...new Set(profiles.flatMap(profile => profile.genreArtists.map(artist => artist.id)))]);
+
+    // The view may have been re-rendered or closed meanwhile
+    if (!compareElement.isConnected) return;
+
+    profiles.forEach((profile) => {
+      const cell = [...compareElement.querySelectorAll('.compare-genres')].find(element => element.dataset.label === profile.label);
+      if (!cell) return;
+
+      const mix = this.labelComparison.summarizeGenres(profile.genreArtists.map(artist => ({ ...artist, genres: genres.get(artist.id) })));
+      cell.innerHTML = mix.length === 0
+        ? '<span class="compare-muted">No genres listed for its artists</span>'
+        : mix.map(entry => `
+          <div class="compare-genre" title="${Math.round(entry.share * 100)}% of genre tags">
+            <span class="compare-genre-name">${escapeHtml(entry.genre)}</span>
+            <span class="compare-genre-bar"><span style="width: ${Math.round(entry.share * 100)}%;"></span></span>
+          </div>
+        `).join('');
+    });
+  }
+
+  /**
+   * Render labels similar to the current ones, ranked as the labels of their main artists come in
+   * The ranking is kept while the labels stay the same, so switching views picks up where it left off
+   */
+  renderSimilarView(similarElement) {
+    const labels = this.currentLabels || [];
+    if (!this.labelSimilarity || !this.labelSimilarity.isFor(labels)) {
+      this.labelSimilarity = new LabelSimilarity({
+        labels,
+        albums: this.originalAlbums,
+        labelKey: name => this.labelNormalizer.getCanonicalKey(name)
+      });
+    }
+
+    if (this.labelSimilarity.artists.length === 0) {
+      similarElement.innerHTML = '<div class="timeline-empty">No artists to look up</div>';
+      return;
+    }
+
+    similarElement.innerHTML = `
+      <div class="similar-view">
+        <div class="similar-header">
+          <span class="similar-progress" id="similar-progress"></span>
+          <button class="similar-more-btn" id="similar-more-btn" style="display: none;">Look up more artists</button>
+        </div>
+        <div class="similar-list" id="similar-list"></div>
+      </div>
+    `;
+
+    similarElement.querySelector('#similar-more-btn').addEventListener('click', () => {
+      if (this.labelSimilarity.extend() > 0) {
+        this.loadSimilarLabels();
+      }
+    });
+    similarElement.querySelector('#similar-list').addEventListener('click', async (e) => {
+      const button = e.target.closest('.similar-add-btn');
+      if (!button || button.disabled) return;
+      button.disabled = true;
+      button.textContent = 'Adding...';
+      try {
+        await this.addLabelToCurrentResults(button.dataset.label);
+      } catch (error) {
+        console.error('Failed to add label:', error);
+        button.textContent = 'Add';
+        button.disabled = false;
+      }
+    });
+
+    this.updateSimilarLabels();
+    this.loadSimilarLabels();
+  }
+
+  /**
+   * Look up the labels of the sampled artists one at a time, updating the ranking after each
+   * Stops when the view is left or shows other labels; rendering it again continues with the remaining artists
+   */
+  async loadSimilarLabels() {
+    const similarity = this.labelSimilarity;
+    if (!similarity || similarity.loading) return;
+
+    similarity.loading = true;
+    try {
+      while (this.labelSimilarity === similarity && this.resultsView === 'similar' && document.getElementById('results-similar')) {
+        const artist = similarity.getPendingArtists()[0];
+        if (!artist) break;
+        try {
+          similarity.addArtist(artist, await this.loadArtistLabels(artist.id));
+        } catch (error) {
+          console.warn(`scatalog: Could not load the labels of ${artist.name}:`, error);
+          similarity.skipArtist(artist);
+        }
+        await this.updateSimilarLabels();
+      }
+    } finally {
+      similarity.loading = false;
+    }
+    await this.updateSimilarLabels();
+  }
+
+  /**
+   * Labels of an artist (merged entries from getArtistLabels)
+   * Lookups walk a whole discography, so they are shared; failed ones are tried again next time
+   */
+  loadArtistLabels(artistId) {
+    if (!this.artistLabelLookups.has(artistId)) {
+      this.artistLabelLookups.set(artistId, this.api.getArtistLabels(artistId, { priority: 'low' }).catch((error) => {
+        this.artistLabelLookups.delete(artistId);
+        throw error;
+      }));
+    }
+    return this.artistLabelLookups.get(artistId);
+  }
+
+  /**
+   * Show the current ranking of similar labels with its progress
+   */
+  async updateSimilarLabels() {
+    const similarity = this.labelSimilarity;
+    if (!similarity) return;
+    const genres = await this.loadArtistGenres(similarity.getArtistIds());
+
+    // The view may have been left, closed or re-rendered for other labels meanwhile
+    const similarElement = document.getElementById('results-similar');
+    if (!similarElement || this.resultsView !== 'similar' || this.labelSimilarity !== similarity) return;
+    const list = similarElement.querySelector('#similar-list');
+    const progress = similarElement.querySelector('#similar-progress');
+    const moreButton = similarElement.querySelector('#similar-more-btn');
+    if (!list) return;
+
+    const percent = value => `${Math.round(value * 100)}%`;
+    const sampled = similarity.getSampledArtists().length;
+    const done = sampled - similarity.getPendingArtists().length;
+    const failed = similarity.failed.length;
+    progress.textContent = `${similarity.loading ? 'Looking up' : 'Looked up'} the labels of ${done} of ${sampled} top artist${sampled !== 1 ? 's' : ''}${failed > 0 ? ` (${failed} failed)` : ''}${similarity.loading ? '…' : ''}`;
+    moreButton.style.display = !similarity.loading && similarity.artists.length > sampled ? '' : 'none';
+
+    const ranked = similarity.rank({ genres });
+    if (ranked.length === 0) {
+      list.innerHTML = `<div class="timeline-empty">${similarity.loading ? 'Looking for labels shared by these artists…' : 'None of these artists released on other labels'}</div>`;
+      return;
+    }
+
+    list.innerHTML = ranked.map((candidate) => {
+      const shared = candidate.sharedArtists.length;
+      const artistNames = candidate.sharedArtists.slice(0, 5).map(artist => artist.name).join(', ');
+      const scoreTitle = [
+        `${shared} shared artist${shared !== 1 ? 's' : ''}`,
+        `${percent(candidate.overlap)} release overlap`,
+        candidate.genreSimilarity !== null ? `${percent(candidate.genreSimilarity)} genre match` : 'no genre data'
+      ].join(' • ');
+
+      return `
+        <div class="similar-label">
+          <div class="similar-label-score" title="${escapeHtml(scoreTitle)}">${percent(candidate.score)}</div>
+          <div class="similar-label-info">
+            <span class="similar-label-name">${escapeHtml(candidate.name)}</span>
+            <span class="similar-label-meta">${escapeHtml(scoreTitle)} • ${candidate.releases} release${candidate.releases !== 1 ? 's' : ''} by these artists</span>
+            <span class="similar-label-artists" title="${escapeHtml(candidate.sharedArtists.map(artist => `${artist.name} (${artist.releases})`).join(', '))}">${escapeHtml(artistNames)}${shared > 5 ? ` and ${shared - 5} more` : ''}</span>
+            ${candidate.topGenres.length > 0 ? `<span class="similar-label-genres">${candidate.topGenres.map(genre => `<span class="similar-label-genre">${escapeHtml(genre)}</span>`).join('')}</span>` : ''}
+          </div>
+          <button class="similar-add-btn" data-label="${escapeHtml(candidate.name)}" title="Add ${escapeHtml(candidate.name)} to the results">Add</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render the stats view for all releases of the current labels
+   */
+  renderStatsView(statsElement) {
+    const labels = this.currentLabels || [];
+    const stats = this.labelStats.compute(this.originalAlbums, labels);
+    const formatDate = album => (album ? `${escapeHtml(album.release_date)}<small>${escapeHtml(album.name)}</small>` : '–');
+
+    if (stats.total === 0) {
+      statsElement.innerHTML = '<div class="timeline-empty">No releases to analyse</div>';
+      return;
+    }
+
+    const hiddenCount = this.originalAlbums.length - this.currentAlbums.length;
+    const topArtists = this.getTopArtistsAcrossCurrentLabels().slice(0, 10);
+    const typeColors = { album: '#1db954', single: '#509bf5', compilation: '#f59b23' };
+    const typeNames = { album: 'Albums', single: 'Singles', compilation: 'Compilations' };
+
+    const overlapHtml = stats.overlap.length > 0 ? `
+      <section class="stats-section">
+        <h3 class="stats-section-title">Shared artists between labels</h3>
+        ${this.svgCharts.matrix(labels, (a, b) => {
+          const pair = stats.overlap.find(entry => (entry.labelA === labels[a] && entry.labelB === labels[b]) ||
+            (entry.labelA === labels[b] && entry.labelB === labels[a]));
+          return pair ? pair.sharedArtists.length : 0;
+        })}
+        <ul class="stats-overlap-list">
+          ${stats.overlap.filter(pair => pair.sharedArtists.length > 0).map(pair => `
+            <li>
+              <span class="label-name-highlight">${escapeHtml(pair.labelA)}</span> &amp; <span class="label-name-highlight">${escapeHtml(pair.labelB)}</span>:
+              ${escapeHtml(pair.sharedArtists.slice(0, 8).join(', '))}${pair.sharedArtists.length > 8 ? ` and ${pair.sharedArtists.length - 8} more` : ''}
+            </li>
+          `).join('') || '<li>No artist released on more than one of these labels</li>'}
+        </ul>
+      </section>
+    ` : '';
+
+    statsElement.innerHTML = `
+      <div class="stats-view">
+        ${hiddenCount > 0 ? `<p class="stats-note">Covers all ${stats.total} releases of the current labels, including ${hiddenCount} hidden by search and filters.</p>` : ''}
+        <div class="stats-tiles">
+          <div class="stats-tile"><span class="stats-tile-value">${stats.total}</span><span class="stats-tile-label">Releases</span></div>
+          <div class="stats-tile"><span class="stats-tile-value">${formatDate(stats.firstRelease)}</span><span class="stats-tile-label">First release</span></div>
+          <div class="stats-tile"><span class="stats-tile-value">${formatDate(stats.latestRelease)}</span><span class="stats-tile-label">Latest release</span></div>
+          <div class="stats-tile"><span class="stats-tile-value">${stats.averageTracks === null ? '–' : stats.averageTracks.toFixed(1)}</span><span class="stats-tile-label">Tracks per release</span></div>
+          <div class="stats-tile"><span class="stats-tile-value">${Math.round(stats.variousArtistsShare * 100)}%</span><span class="stats-tile-label">Various Artists (${stats.variousArtists})</span></div>
+        </div>
+
+        <section class="stats-section">
+          <h3 class="stats-section-title">Releases per year</h3>
+          ${this.svgCharts.columnChart(stats.perYear.map(entry => ({ label: String(entry.year), value: entry.count })))}
+        </section>
+
+        <div class="stats-columns">
+          <section class="stats-section">
+            <h3 class="stats-section-title">Release types</h3>
+            ${this.svgCharts.stackedBar(Object.entries(stats.types).map(([type, count]) => ({ label: typeNames[type], value: count, color: typeColors[type] })))}
+          </section>
+          ${labels.length > 1 ? `
+            <section class="stats-section">
+              <h3 class="stats-section-title">Releases per label</h3>
+              ${this.svgCharts.barList(stats.perLabel.map(entry => ({ label: entry.label, value: entry.count, color: this.catalogTimeline.getLabelColor(entry.label, labels) })))}
+            </section>
+          ` : ''}
+          <section class="stats-section">
+            <h3 class="stats-section-title">Top artists</h3>
+            ${topArtists.length > 0
+              ? this.svgCharts.barList(topArtists.map(artist => ({ label: artist.name, value: artist.albumCount })))
+              : '<p class="stats-note">No artist has more than one release here</p>'}
+          </section>
+        </div>
+
+        ${overlapHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Set up the table view of a catalog view
+   */
+  setupResultsTable(container) {
+    if (this.resultsTable) {
+      this.resultsTable.destroy();
+    }
+
+    const catalogQuery = this.albumFilter.catalogQuery;
+    this.resultsTable = new CatalogTable(container.querySelector('#results-table'), {
+      onOpen: album => this.openAlbum(album),
+      onPreview: (album, row) => this.toggleAlbumPreview(album, row),
+      onRender: () => this.stopAlbumPreview(),
+      renderText: (text, field) => (this.searchHighlights
+        ? catalogQuery.highlight(text, this.searchHighlights[field])
+        : escapeHtml(text))
+    });
+  }
+
+  /**
+   * Fetch popularity for albums that came from search results (which don't include it)
+   * Runs at low priority in chunks and fills the table's popularity column as values arrive
+   */
+  async loadAlbumPopularity(albums) {
+    const pending = albums.filter(album => typeof album.popularity !== 'number' && !this.popularityRequests.has(album.id));
+    if (pending.length === 0) return;
+
+    pending.forEach(album => this.popularityRequests.add(album.id));
+    const table = this.resultsTable;
+    const chunkSize = 100;
+
+    for (let i = 0; i < pending.length; i += chunkSize) {
+      const chunk = pending.slice(i, i + chunkSize);
+      try {
+        const details = await this.api.getAlbumsDetails(chunk.map(album => album.id), { priority: 'low' });
+        chunk.forEach((album, index) => {
+          if (details[index] && typeof details[index].popularity === 'number') {
+            album.popularity = details[index].popularity;
+          }
+        });
+      } catch (error) {
+        console.warn('scatalog: Could not load album popularity:', error);
+        pending.slice(i).forEach(album => this.popularityRequests.delete(album.id)); // Try again next time
+        return;
+      }
+
+      // Stop when the table was closed or replaced meanwhile
+      if (this.resultsTable !== table || this.resultsView !== 'table') return;
+      table.refreshColumn('popularity');
+    }
+  }
+
+  /**
+   * Show or hide a preview of an album under its table row: artwork, track list and,
+   * where Spotify provides one, a 30 second audio preview of the first track
+   */
+  async toggleAlbumPreview(album, row) {
+    const previewOpen = this.albumPreview && this.albumPreview.album === album;
+    this.stopAlbumPreview();
+    if (previewOpen || !row) return;
+
+    const previewRow = document.createElement('tr');
+    previewRow.className = 'table-preview-row';
+    previewRow.innerHTML = `
+      <td colspan="${row.children.length}">
+        <div class="table-preview">
+          <img class="table-preview-artwork" src="${album.images[0]?.url || ''}" alt="">
+          <div class="table-preview-tracks"><div class="loading">Loading tracks...</div></div>
+        </div>
+      </td>
+    `;
+    row.after(previewRow);
+    this.albumPreview = { album, row: previewRow, audio: null };
+    const preview = this.albumPreview;
+
+    try {
+      const tracks = await this.api.getAlbumTracks(album.id, 50, 0, { priority: 'high' });
+      if (this.albumPreview !== preview) return;
+
+      const items = tracks.items || [];
+      const playable = items.find(track => track.preview_url);
+      previewRow.querySelector('.table-preview-tracks').innerHTML = `
+        <p class="table-preview-status">${playable ? `Playing a preview of "${escapeHtml(playable.name)}" – press Space to stop` : 'No audio preview available – press Enter to open in Spotify'}</p>
+        <ol class="table-preview-list">
+          ${items.slice(0, 12).map(track => `<li${track === playable ? ' class="playing"' : ''}>${escapeHtml(track.name)}</li>`).join('')}
+        </ol>
+        ${items.length > 12 ? `<p class="table-preview-more">+${items.length - 12} more</p>` : ''}
+      `;
+
+      if (playable) {
+        preview.audio = new Audio(playable.preview_url);
+        preview.audio.volume = 0.6;
+        preview.audio.play().catch(error => console.warn('scatalog: Could not play preview:', error));
+      }
+    } catch (error) {
+      console.error('Failed to load album preview:', error);
+      if (this.albumPreview === preview) {
+        previewRow.querySelector('.table-preview-tracks').innerHTML = '<p class="table-preview-status">Could not load the track list</p>';
+      }
+    }
+  }
+
+  /**
+   * Stop the audio and remove the preview row of the table view
+   */
+  stopAlbumPreview() {
+    if (!this.albumPreview) return;
+    if (this.albumPreview.audio) {
+      this.albumPreview.audio.pause();
+    }
+    this.albumPreview.row.remove();
+    this.albumPreview = null;
+  }
+
+  /**
+   * Render the timeline view: a per-year histogram strip and the releases grouped by year (or month)
+   * The order follows the release date sort; other sort fields show the newest year first
+   */
+  renderTimeline(timelineElement) {
+    const ascending = this.resultsSort.sortBy === 'release_date' && this.resultsSort.sortOrder === 'asc';
+    const groups = this.catalogTimeline.group(this.currentAlbums, ascending);
+    const histogram = this.catalogTimeline.getHistogram(groups);
+    const labels = this.currentLabels || [];
+    const multiLabel = labels.length > 1;
+    const albumIndexes = new Map(this.currentAlbums.map((album, index) => [album, index]));
+    const maxCount = Math.max(1, ...histogram.map(entry => entry.count));
+    const catalogQuery = this.albumFilter.catalogQuery;
+    const highlights = this.searchHighlights;
+    const mark = (text, terms) => (highlights ? catalogQuery.highlight(text, terms) : escapeHtml(text));
+    const colorOf = labelName => this.catalogTimeline.getLabelColor(labelName, labels);
+
+    if (groups.length === 0) {
+      timelineElement.innerHTML = '<div class="timeline-empty">No releases match the current search and filters</div>';
+      return;
+    }
+
+    const renderBar = (entry) => {
+      const segments = Object.entries(entry.labelCounts).map(([labelName, count]) => `
+        <span class="timeline-bar-segment" style="height: ${(count / entry.count) * 100}%; background: ${colorOf(labelName)};"></span>
+      `).join('');
+      return `
+        <button class="timeline-bar${entry.count === 0 ? ' empty' : ''}" data-year="${entry.year}" title="${entry.year}: ${entry.count} release${entry.count === 1 ? '' : 's'}">
+          <span class="timeline-bar-fill" style="height: ${(entry.count / maxCount) * 100}%;">${segments}</span>
+        </button>
+      `;
+    };
+
+    const renderItem = (album) => `
+      <div class="timeline-item${this.newAlbumIds.has(album.id) ? ' album-card-new' : ''}" data-album-index="${albumIndexes.get(album)}" style="--label-color: ${colorOf(album.labelName)};">
+        <img class="timeline-item-artwork" src="${escapeHtml(album.images[album.images.length - 1]?.url || '')}" alt="" loading="lazy">
+        <div class="timeline-item-info">
+          <span class="timeline-item-title" title="${escapeHtml(album.name)}">${mark(album.name, highlights && highlights.album)}</span>
+          <span class="timeline-item-artist">${mark(this.getArtistDisplay(album), highlights && highlights.artist)}</span>
+          <span class="timeline-item-meta">${escapeHtml(album.release_date)}${multiLabel && album.labelName ? ` • ${escapeHtml(album.labelName)}` : ''}</span>
+        </div>
+      </div>
+    `;
+
+    const renderSection = (group) => `
+      <section class="timeline-year" data-year="${group.year}">
+        <h3 class="timeline-year-header">
+          <span class="timeline-year-title">${group.year === null ? 'Unknown year' : group.year}</span>
+          <span class="timeline-year-count">${group.albums.length} release${group.albums.length === 1 ? '' : 's'}</span>
+        </h3>
+        ${group.months ? group.months.map(month => `
+          <h4 class="timeline-month-header">${month.name} <span class="timeline-year-count">${month.albums.length}</span></h4>
+          <div class="timeline-items">${month.albums.map(renderItem).join('')}</div>
+        `).join('') : `
+          <div class="timeline-items">${group.albums.map(renderItem).join('')}</div>
+        `}
+      </section>
+    `;
+
+    timelineElement.innerHTML = `
+      <div class="timeline-strip">
+        <div class="timeline-histogram" title="Click or drag to jump to a year">
+          ${histogram.map(renderBar).join('')}
+        </div>
+        <div class="timeline-axis">
+          <span>${histogram.length > 0 ? histogram[0].year : ''}</span>
+          <span>${histogram.length > 0 ? histogram[histogram.length - 1].year : ''}</span>
+        </div>
+        ${multiLabel ? `
+          <div class="timeline-legend">
+            ${labels.map(labelName => `<span class="timeline-legend-item"><span class="timeline-legend-swatch" style="background: ${colorOf(labelName)};"></span>${escapeHtml(labelName)}</span>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+      <div class="timeline-sections">
+        ${groups.map(renderSection).join('')}
+      </div>
+    `;
+
+    // Year headers stick below the strip
+    const strip = timelineElement.querySelector('.timeline-strip');
+    timelineElement.style.setProperty('--timeline-strip-height', `${strip.offsetHeight}px`);
+  }
+
+  /**
+   * Delegated handlers for the timeline: open releases, and click or drag the histogram to scrub through years
+   */
+  setupTimelineEvents(container) {
+    const timelineElement = container.querySelector('#results-timeline');
+    if (!timelineElement) return;
+
+    const scrollToYear = (year) => {
+      // Empty years have no section, so jump to the nearest year that has one
+      const sections = [...timelineElement.querySelectorAll('.timeline-year')]
+        .filter(section => section.dataset.year !== 'null');
+      if (sections.length === 0) return;
+      const target = sections.reduce((best, section) => (
+        Math.abs(section.dataset.year - year) < Math.abs(best.dataset.year - year) ? section : best
+      ));
+      target.scrollIntoView({ block: 'start' });
+
+      timelineElement.querySelectorAll('.timeline-bar.active').forEach(bar => bar.classList.remove('active'));
+      const bar = timelineElement.querySelector(`.timeline-bar[data-year="${year}"]`);
+      if (bar) bar.classList.add('active');
+    };
+
+    const yearAtPointer = (event) => {
+      const histogramElement = timelineElement.querySelector('.timeline-histogram');
+      const bars = histogramElement.querySelectorAll('.timeline-bar');
+      if (bars.length === 0) return null;
+      const rect = histogramElement.getBoundingClientRect();
+      const position = Math.min(bars.length - 1, Math.max(0, Math.floor(((event.clientX - rect.left) / rect.width) * bars.length)));
+      return parseInt(bars[position].dataset.year, 10);
+    };
+
+    let scrubbing = false;
+    let scrubYear = null;
+    timelineElement.addEventListener('pointerdown', (e) => {
+      const histogramElement = e.target.closest('.timeline-histogram');
+      if (!histogramElement) return;
+      scrubbing = true;
+      histogramElement.setPointerCapture(e.pointerId);
+      scrubYear = yearAtPointer(e);
+      if (scrubYear !== null) scrollToYear(scrubYear);
+    });
+    timelineElement.addEventListener('pointermove', (e) => {
+      if (!scrubbing) return;
+      const year = yearAtPointer(e);
+      if (year !== null && year !== scrubYear) {
+        scrubYear = year;
+        scrollToYear(year);
+      }
+    });
+    const stopScrubbing = () => { scrubbing = false; };
+    timelineElement.addEventListener('pointerup', stopScrubbing);
+    timelineElement.addEventListener('pointercancel', stopScrubbing);
+
+    timelineElement.addEventListener('click', (e) => {
+      const item = e.target.closest('.timeline-item');
+      if (!item) return;
+      const album = this.currentAlbums[parseInt(item.dataset.albumIndex, 10)];
+      if (album) this.openAlbum(album);
+    });
+  }
+
+  /**
+   * Tooltip for the search box explaining the query syntax, escaped for a title attribute
+   */
+  getSearchSyntaxHelp() {
+    return [
+      'Search releases and artists, or narrow down with:',
+      'artist:"Burial"  album:untrue  label:hyperdub',
+      'year:2010-2015  year:>2019  type:single  tracks:<5',
+      '-remix excludes, OR (or |) matches either side'
+    ].map(line => escapeHtml(line)).join('&#10;');
+  }
+
   /**
    * Set up event listeners for results controls
    */
@@ -2874,7 +4539,9 @@ class SpotifyLabelExplorer {
     const sortOrderBtn = container.querySelector('#sort-order-btn');
     const searchInput = container.querySelector('#search-input');
     const newTabToggle = container.querySelector('#new-tab-toggle');
-    const resultsGrid = container.querySelector('#results-grid');
+    
+    this.setupResultsGrid(container);
+    this.setupResultsTable(container);
     
     let sortOrder = 'desc'; // Default to descending (newest first)
     
@@ -2908,25 +4575,23 @@ class SpotifyLabelExplorer {
         return 0;
       });
       
-      resultsGrid.innerHTML = this.renderAlbumCards(this.currentAlbums);
-      this.setupAlbumClickHandlers(resultsGrid);
+      this.resultsSort = { sortBy, sortOrder };
+      this.renderResultsView(container);
     };
     
-    // Search functionality
+    // Search functionality (combined with the advanced filters)
     const applySearch = () => {
-      const searchTerm = searchInput.value.toLowerCase().trim();
-      
-      if (searchTerm === '') {
-        this.currentAlbums = [...this.originalAlbums];
-      } else {
-        this.currentAlbums = this.originalAlbums.filter(album => 
-          album.name.toLowerCase().includes(searchTerm) ||
-          album.artists.some(artist => artist.name.toLowerCase().includes(searchTerm))
-        );
-      }
+      const query = this.albumFilter.catalogQuery.parse(searchInput.value);
+      this.searchHighlights = this.albumFilter.catalogQuery.isEmpty(query) ? null : this.albumFilter.catalogQuery.getHighlightTerms(query);
+      this.currentAlbums = this.albumFilter.apply(this.originalAlbums, this.activeFilters, searchInput.value);
+      this.updateFilterStatus(container);
+      this.updateModalTitle();
       
       applySorting(); // Re-apply sorting after filtering
     };
+
+    // Label changes re-run the search and filters on the new album list
+    this.reapplyResultsFilters = applySearch;
     
     // Sort select change
     sortSelect.addEventListener('change', applySorting);
@@ -2950,6 +4615,30 @@ class SpotifyLabelExplorer {
     
     // Search input
     searchInput.addEventListener('input', applySearch);
+
+    // Advanced filter panel
+    const filterToggleBtn = container.querySelector('#filter-toggle-btn');
+    const filterPanel = container.querySelector('#filter-panel');
+    if (filterToggleBtn && filterPanel) {
+      filterPanel.style.display = this.filterPanelOpen ? 'block' : 'none';
+      filterToggleBtn.classList.toggle('active', this.filterPanelOpen);
+      filterToggleBtn.addEventListener('click', () => {
+        this.filterPanelOpen = !this.filterPanelOpen;
+        filterPanel.style.display = this.filterPanelOpen ? 'block' : 'none';
+        filterToggleBtn.classList.toggle('active', this.filterPanelOpen);
+      });
+      this.renderFilterPanel(container);
+    }
+
+    // Results view toggle
+    container.querySelectorAll('.view-toggle-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.resultsView = button.dataset.view;
+        this.saveResultsViewPreference(this.resultsView);
+        this.renderResultsView(container);
+      });
+    });
+    this.setupTimelineEvents(container);
     
     // New tab toggle
     newTabToggle.addEventListener('change', () => {
@@ -2986,9 +4675,203 @@ class SpotifyLabelExplorer {
       addLabelSubmitBtn.disabled = true;
     }
 
-    // Initial setup
-    applySorting();
-    this.setupAlbumClickHandlers(resultsGrid);
+    // Initial setup (saved Scatalogs may come with a search term and filters)
+    applySearch();
+  }
+
+  /**
+   * Render the advanced filter panel for the current albums and labels
+   */
+  renderFilterPanel(container) {
+    const panel = container.querySelector('#filter-panel');
+    if (!panel) return;
+
+    const filters = this.activeFilters;
+    const currentYear = new Date().getFullYear();
+    const bounds = this.albumFilter.getYearBounds(this.originalAlbums) || { min: currentYear, max: currentYear };
+    const yearMin = Math.min(Math.max(filters.yearMin ?? bounds.min, bounds.min), bounds.max);
+    const yearMax = Math.max(Math.min(filters.yearMax ?? bounds.max, bounds.max), yearMin);
+    const typeLabels = { album: 'Albums', single: 'Singles & EPs', compilation: 'Compilations' };
+    const labels = this.currentLabels || [];
+
+    panel.innerHTML = `
+      <div class="filter-section">
+        <div class="filter-section-title">
+          Release year
+          <span class="filter-year-value">${yearMin} – ${yearMax}</span>
+        </div>
+        <div class="filter-year-range">
+          <input type="range" id="filter-year-min" class="filter-year-slider" min="${bounds.min}" max="${bounds.max}" value="${yearMin}" title="From" />
+          <input type="range" id="filter-year-max" class="filter-year-slider" min="${bounds.min}" max="${bounds.max}" value="${yearMax}" title="To" />
+        </div>
+      </div>
+      
+      <div class="filter-section">
+        <div class="filter-section-title">Release type</div>
+        <div class="filter-options">
+          ${this.albumFilter.releaseTypes.map(type => `
+            <label class="filter-option">
+              <input type="checkbox" class="filter-release-type" value="${type}" ${filters.releaseTypes.includes(type) ? 'checked' : ''} />
+              ${typeLabels[type]}
+            </label>
+          `).join('')}
+        </div>
+      </div>
+      
+      <div class="filter-section">
+        <div class="filter-section-title">Tracks</div>
+        <div class="filter-options">
+          <input type="number" id="filter-min-tracks" class="filter-number-input" min="1" placeholder="Min" value="${filters.minTracks ?? ''}" />
+          <span class="filter-range-separator">–</span>
+          <input type="number" id="filter-max-tracks" class="filter-number-input" min="1" placeholder="Max" value="${filters.maxTracks ?? ''}" />
+        </div>
+      </div>
+      
+      <div class="filter-section">
+        <div class="filter-section-title">Various Artists</div>
+        <select id="filter-various-artists" class="sort-select filter-select">
+          <option value="any" ${filters.variousArtists === 'any' ? 'selected' : ''}>Include</option>
+          <option value="only" ${filters.variousArtists === 'only' ? 'selected' : ''}>Only VA</option>
+          <option value="exclude" ${filters.variousArtists === 'exclude' ? 'selected' : ''}>Exclude VA</option>
+        </select>
+      </div>
+      
+      ${labels.length > 1 ? `
+        <div class="filter-section">
+          <div class="filter-section-title">Labels</div>
+          <div class="filter-options">
+            ${labels.map(label => `
+              <label class="filter-option">
+                <input type="checkbox" class="filter-label-toggle" value="${escapeHtml(label)}" ${!filters.hiddenLabels.includes(label) ? 'checked' : ''} />
+                ${escapeHtml(label)}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        
+        <div class="filter-section">
+          <div class="filter-section-title">Label set</div>
+          <div class="filter-options">
+            <select id="filter-label-set-mode" class="sort-select filter-select">
+              <option value="union" ${filters.labelSetMode === 'union' ? 'selected' : ''}>All releases</option>
+              <option value="intersection" ${filters.labelSetMode === 'intersection' ? 'selected' : ''}>Artists on all labels</option>
+              <option value="difference" ${filters.labelSetMode === 'difference' ? 'selected' : ''}>Artists on one label but not another…</option>
+              <option value="exclusive" ${filters.labelSetMode === 'exclusive' ? 'selected' : ''}>Artists on one label only</option>
+            </select>
+            <select id="filter-label-set-base" class="sort-select filter-select" title="Released on" style="${filters.labelSetMode === 'difference' ? '' : 'display: none;'}">
+              ${labels.map(label => `
+                <option value="${escapeHtml(label)}" ${this.albumFilter.labelSets.resolveBaseLabel(filters.labelSetBase, labels) === label ? 'selected' : ''}>${escapeHtml(label)}</option>
+              `).join('')}
+            </select>
+            <span class="filter-label-set-but-not" style="${filters.labelSetMode === 'difference' ? '' : 'display: none;'}">but not on</span>
+            <select id="filter-label-set-excluded" class="sort-select filter-select" title="Never released on" style="${filters.labelSetMode === 'difference' ? '' : 'display: none;'}">
+              ${labels.map(label => `
+                <option value="${escapeHtml(label)}" ${this.albumFilter.labelSets.resolveExcludedLabel(filters.labelSetExcluded, filters.labelSetBase, labels) === label ? 'selected' : ''}>${escapeHtml(label)}</option>
+              `).join('')}
+            </select>
+          </div>
+        </div>
+      ` : ''}
+      
+      <div class="filter-panel-footer">
+        <span class="filter-result-count"></span>
+        <button class="filter-reset-btn" id="filter-reset-btn">Reset filters</button>
+      </div>
+    `;
+
+    const yearMinInput = panel.querySelector('#filter-year-min');
+    const yearMaxInput = panel.querySelector('#filter-year-max');
+    const yearValue = panel.querySelector('.filter-year-value');
+    const parseTrackCount = (input) => {
+      const value = parseInt(input.value, 10);
+      return Number.isNaN(value) || value < 1 ? null : value;
+    };
+
+    const labelSetModeSelect = panel.querySelector('#filter-label-set-mode');
+    const labelSetBaseSelect = panel.querySelector('#filter-label-set-base');
+    const labelSetExcludedSelect = panel.querySelector('#filter-label-set-excluded');
+    const labelSetButNot = panel.querySelector('.filter-label-set-but-not');
+
+    const readFilters = () => {
+      // Keep the two year handles from crossing
+      if (parseInt(yearMinInput.value, 10) > parseInt(yearMaxInput.value, 10)) {
+        yearMaxInput.value = yearMinInput.value;
+      }
+      const from = parseInt(yearMinInput.value, 10);
+      const to = parseInt(yearMaxInput.value, 10);
+      yearValue.textContent = `${from} – ${to}`;
+
+      this.activeFilters = {
+        // A handle at the end of the range means "no limit"
+        yearMin: from > bounds.min ? from : null,
+        yearMax: to < bounds.max ? to : null,
+        releaseTypes: Array.from(panel.querySelectorAll('.filter-release-type:checked')).map(input => input.value),
+        minTracks: parseTrackCount(panel.querySelector('#filter-min-tracks')),
+        maxTracks: parseTrackCount(panel.querySelector('#filter-max-tracks')),
+        variousArtists: panel.querySelector('#filter-various-artists').value,
+        hiddenLabels: Array.from(panel.querySelectorAll('.filter-label-toggle:not(:checked)')).map(input => input.value),
+        genres: this.activeFilters.genres, // Set with the genre chips
+        // The label set controls only exist with several labels
+        labelSetMode: labelSetModeSelect ? labelSetModeSelect.value : this.activeFilters.labelSetMode,
+        labelSetBase: labelSetBaseSelect ? labelSetBaseSelect.value : this.activeFilters.labelSetBase,
+        labelSetExcluded: labelSetExcludedSelect ? labelSetExcludedSelect.value : this.activeFilters.labelSetExcluded
+      };
+      if (labelSetBaseSelect) {
+        // The excluded label moves off the base label when both are the same
+        const excluded = this.albumFilter.labelSets.resolveExcludedLabel(this.activeFilters.labelSetExcluded, this.activeFilters.labelSetBase, labels);
+        this.activeFilters.labelSetExcluded = excluded;
+        labelSetExcludedSelect.value = excluded;
+        const display = this.activeFilters.labelSetMode === 'difference' ? '' : 'none';
+        [labelSetBaseSelect, labelSetButNot, labelSetExcludedSelect].forEach((element) => {
+          element.style.display = display;
+        });
+      }
+
+      if (this.reapplyResultsFilters) {
+        this.reapplyResultsFilters();
+      }
+    };
+
+    yearMinInput.addEventListener('input', readFilters);
+    yearMaxInput.addEventListener('input', () => {
+      if (parseInt(yearMaxInput.value, 10) < parseInt(yearMinInput.value, 10)) {
+        yearMinInput.value = yearMaxInput.value;
+      }
+      readFilters();
+    });
+    panel.querySelectorAll('.filter-release-type, .filter-label-toggle, #filter-various-artists, #filter-label-set-mode, #filter-label-set-base, #filter-label-set-excluded').forEach(input => {
+      input.addEventListener('change', readFilters);
+    });
+    panel.querySelectorAll('.filter-number-input').forEach(input => {
+      input.addEventListener('input', readFilters);
+    });
+
+    panel.querySelector('#filter-reset-btn').addEventListener('click', () => {
+      this.activeFilters = this.albumFilter.getDefaults();
+      this.renderFilterPanel(container);
+      this.renderGenreChips(container);
+      if (this.reapplyResultsFilters) {
+        this.reapplyResultsFilters();
+      }
+    });
+
+    this.updateFilterStatus(container);
+  }
+
+  /**
+   * Show the number of active filters and matching releases
+   */
+  updateFilterStatus(container) {
+    const activeCount = this.albumFilter.countActive(this.activeFilters);
+    const toggleText = container.querySelector('.filter-toggle-text');
+    if (toggleText) {
+      toggleText.textContent = activeCount > 0 ? `Filters (${activeCount})` : 'Filters';
+    }
+
+    const resultCount = container.querySelector('.filter-result-count');
+    if (resultCount) {
+      resultCount.textContent = `Showing ${this.currentAlbums.length} of ${this.originalAlbums.length} releases`;
+    }
   }
 
   /**
@@ -3001,8 +4884,8 @@ class SpotifyLabelExplorer {
       return;
     }
     
-    // Check if label is already active
-    if (this.currentLabels.includes(labelName)) {
+    // Check if label is already active (under any spelling)
+    if (this.labelNormalizer.findLabel(labelName, this.currentLabels)) {
       // Show brief feedback
       inputElement.style.borderColor = '#ffa500';
       inputElement.placeholder = 'Label already active';
@@ -3071,29 +4954,20 @@ class SpotifyLabelExplorer {
   }
 
   /**
-   * Set up click handlers for album cards
+   * Open an album from the results in Spotify
    */
-  setupAlbumClickHandlers(container) {
-    container.querySelectorAll('.album-card').forEach(card => {
-      // Remove any existing click listeners by cloning the element
-      const newCard = card.cloneNode(true);
-      card.parentNode.replaceChild(newCard, card);
+  openAlbum(album) {
+    const spotifyUrl = album.external_urls && album.external_urls.spotify;
+    if (spotifyUrl) {
+      if (this.openInNewTab) {
+        window.open(spotifyUrl, '_blank');
+      } else {
+        this.navigateToSpotifyUrl(spotifyUrl);
+      }
       
-      // Add the click listener to the new element
-      newCard.addEventListener('click', () => {
-        const spotifyUrl = newCard.dataset.spotifyUrl;
-        if (spotifyUrl) {
-          if (this.openInNewTab) {
-            window.open(spotifyUrl, '_blank');
-          } else {
-            this.navigateToSpotifyUrl(spotifyUrl);
-          }
-          
-          // Close the modal after navigation
-          this.closeModal();
-        }
-      });
-    });
+      // Close the modal after navigation
+      this.closeModal();
+    }
   }
 
   /**
@@ -3249,22 +5123,33 @@ class SpotifyLabelExplorer {
    */
   updateModalTitle() {
     if (!this.currentModal || !this.currentLabels) return;
+
+    // Label set mode (multi-label views only), shown next to the active labels
+    const setMode = this.currentLabels.length > 1 && this.activeFilters.labelSetMode !== 'union'
+      ? this.albumFilter.labelSets.describe(this.activeFilters.labelSetMode, this.activeFilters.labelSetBase, this.currentLabels, this.activeFilters.labelSetExcluded)
+      : null;
+    const setModeHtml = setMode ? ` <span class="label-set-mode" title="Label set operation">${setMode}</span>` : '';
+
+    const managementTitle = this.currentModal.querySelector('.label-management-title');
+    if (managementTitle) {
+      managementTitle.innerHTML = `Active labels:${setModeHtml}`;
+    }
     
     const titleElement = this.currentModal.querySelector('#modal-title');
     if (!titleElement) return;
     
     if (this.currentLabels.length === 1) {
-      titleElement.innerHTML = `<span class="label-prefix">Label</span> ${this.currentLabels[0]}`;
+      titleElement.innerHTML = `<span class="label-prefix">Label</span> ${escapeHtml(this.currentLabels[0])}`;
     } else {
       const labelCount = this.currentLabels.length;
       const labelNames = this.currentLabels.slice(0, 2).map(label => 
-        `<span class="label-name-highlight">${label}</span>`
+        `<span class="label-name-highlight">${escapeHtml(label)}</span>`
       ).join(', ');
       
       if (labelCount > 2) {
-        titleElement.innerHTML = `<span class="label-prefix">Labels</span> ${labelNames} <span class="label-count">+${labelCount - 2} more</span>`;
+        titleElement.innerHTML = `<span class="label-prefix">Labels</span> ${labelNames} <span class="label-count">+${labelCount - 2} more</span>${setModeHtml}`;
       } else {
-        titleElement.innerHTML = `<span class="label-prefix">Labels</span> ${labelNames}`;
+        titleElement.innerHTML = `<span class="label-prefix">Labels</span> ${labelNames}${setModeHtml}`;
       }
     }
   }
@@ -3286,6 +5171,22 @@ class SpotifyLabelExplorer {
     // Clear drawer references
     this.currentArtistDrawer = null;
     this.artistDrawerVisible = true; // Reset for next modal
+
+    // The filter closure and the grid belong to the removed controls
+    this.reapplyResultsFilters = null;
+    if (this.resultsGrid) {
+      this.resultsGrid.destroy();
+      this.resultsGrid = null;
+    }
+    if (this.resultsTable) {
+      this.resultsTable.destroy();
+      this.resultsTable = null;
+    }
+    this.destroyGraphView();
+    this.labelGraph = null;
+    this.labelSimilarity = null;
+    this.stopAlbumPreview();
+    this.searchHighlights = null;
   }
 
   /**
@@ -3372,6 +5273,30 @@ class SpotifyLabelExplorer {
     }
   }
 
+  /**
+   * Get the cached results view preference ('grid', 'timeline', 'table', 'stats', 'compare', 'graph' or 'similar')
+   */
+  async getResultsViewPreference() {
+    try {
+      const result = await this.safeStorageOperation(() => chrome.storage.local.get(['resultsView']));
+      return result && ['timeline', 'table', 'stats', 'compare', 'graph', 'similar'].includes(result.resultsView) ? result.resultsView : 'grid';
+    } catch (error) {
+      console.error('Failed to get results view preference:', error);
+      return 'grid';
+    }
+  }
+
+  /**
+   * Save the results view preference
+   */
+  async saveResultsViewPreference(resultsView) {
+    try {
+      await this.safeStorageOperation(() => chrome.storage.local.set({ resultsView }));
+    } catch (error) {
+      console.error('Failed to save results view preference:', error);
+    }
+  }
+
   /**
    * Navigate to Spotify URL without page reload (client-side navigation)
    * This preserves music playback by using Spotify's internal routing
@@ -3628,7 +5553,7 @@ class SpotifyLabelExplorer {
     this.removeGlobalPressureIndicators();
     this.removeScatalogMenu();
     
-    // Reinitialize the API with new credentials (clears cache and tokens)
+    // Re-read the shared API state (the background already switched credentials)
     if (this.api) {
       await this.api.reinitialize();
     }
@@ -3794,9 +5719,9 @@ class SpotifyLabelExplorer {
         return;
       }
 
-      // Filter out all currently active labels
+      // Filter out all currently active labels, whatever their spelling
       const otherLabels = labels.filter(label => 
-        !this.currentLabels.includes(label.name)
+        !this.labelNormalizer.findLabel(label.name, this.currentLabels)
       );
       
       if (otherLabels.length === 0) {
@@ -3844,7 +5769,7 @@ class SpotifyLabelExplorer {
               </div>
             </div>
             <div class="label-info">
-              <h3 class="label-name">${label.name}</h3>
+              <h3 class="label-name"${(label.variants || []).length > 1 ? ` title="Also credited as ${label.variants.filter(variant => variant !== label.name).join(', ').replace(/"/g, '&quot;')}"` : ''}>${label.name}</h3>
               <p class="label-total-count" data-label-name="${label.name}">
                 <span class="total-text">loading...</span>
               </p>
@@ -4020,6 +5945,11 @@ class SpotifyLabelExplorer {
     drawerContent.innerHTML = `
       <div class="artist-drawer-header">
         <h3 style="color: #999; margin: 0; font-size: 14px;">Related Artists</h3>
+        <select class="artist-sort-select" title="Order related artists by">
+          ${Object.entries(this.artistRanker.sortOptions).map(([value, label]) => `
+            <option value="${value}"${value === this.artistSort ? ' selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
         <button class="artist-drawer-close">×</button>
       </div>
       <div class="artist-drawer-body">
@@ -4027,18 +5957,18 @@ class SpotifyLabelExplorer {
           ${artistButtons.map(artist => `
             <div class="artist-recommendation-item" 
                  data-artist-explanation="${artist.explanation || ''}"
-                 title="${artist.explanation || ''}">
+                 title="${escapeHtml(this.generateArtistTooltip(artist, artist.isGray))}">
               <div class="artist-item-row">
                 <div class="artist-thumbnail-placeholder" data-artist-id="${artist.id}">
                   <div class="artist-thumbnail-loading"></div>
                 </div>
                 <strong class="artist-name-link" 
                         data-artist-id="${artist.id}" 
-                        title="Open ${artist.name} page">${artist.name}</strong>
+                        title="Open ${escapeHtml(artist.name)} page">${escapeHtml(artist.name)}</strong>
                 <button class="artist-other-labels-btn" 
                         data-artist-id="${artist.id}" 
-                        data-artist-name="${artist.name}"
-                        title="View ${artist.name}'s other labels">
+                        data-artist-name="${escapeHtml(artist.name)}"
+                        title="View ${escapeHtml(artist.name)}'s other labels">
                   View Labels
                 </button>
               </div>
@@ -4125,6 +6055,15 @@ class SpotifyLabelExplorer {
       });
     }
     
+    // Sort order of the related artists; the list is ranked again from the top
+    const sortSelect = drawerContent.querySelector('.artist-sort-select');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', async () => {
+        this.artistSort = sortSelect.value;
+        await this.updateArtistDrawer();
+      });
+    }
+    
     // Setup event listeners for artist drawer content
     this.setupArtistDrawerEventListeners(drawerContent);
     
@@ -4197,138 +6136,59 @@ class SpotifyLabelExplorer {
    * Load artist thumbnails for the artist drawer
    */
   async loadArtistThumbnails(drawerContent, artists) {
-    // Load thumbnails with reduced batch size and longer delays for better performance
-    const batchSize = 2; // Reduced from 3 to 2
-    
-    for (let i = 0; i < artists.length; i += batchSize) {
-      const batch = artists.slice(i, i + batchSize);
-      
-      // Process batch in parallel
-      const promises = batch.map(async (artist) => {
-        try {
-          console.log(`Loading thumbnail for artist: ${artist.name} (ID: ${artist.id})`);
-          const artistDetails = await this.api.getArtist(artist.id);
-          const thumbnail = drawerContent.querySelector(`[data-artist-id="${artist.id}"]`);
-          
-          if (!thumbnail) {
-            console.warn(`Thumbnail element not found for artist ${artist.name} (ID: ${artist.id})`);
-            return;
-          }
+    // Thumbnails are background loads: queue them all at low priority so clicks stay responsive
+    await Promise.all(artists.map(async (artist) => {
+      try {
+        console.log(`Loading thumbnail for artist: ${artist.name} (ID: ${artist.id})`);
+        const artistDetails = await this.api.getArtist(artist.id, { priority: 'low' });
+        const thumbnail = drawerContent.querySelector(`[data-artist-id="${artist.id}"]`);
+        
+        if (!thumbnail) {
+          console.warn(`Thumbnail element not found for artist ${artist.name} (ID: ${artist.id})`);
+          return;
+        }
+        
+        if (artistDetails && artistDetails.images && artistDetails.images.length > 0) {
+          // Use the smallest image (usually the last one)
+          const image = artistDetails.images[artistDetails.images.length - 1];
+          console.log(`Found ${artistDetails.images.length} images for ${artist.name}, using: ${image.url}`);
           
-          if (artistDetails && artistDetails.images && artistDetails.images.length > 0) {
-            // Use the smallest image (usually the last one)
-            const image = artistDetails.images[artistDetails.images.length - 1];
-            console.log(`Found ${artistDetails.images.length} images for ${artist.name}, using: ${image.url}`);
-            
-            thumbnail.innerHTML = `
-              <img src="${image.url}" 
-                   alt="${artist.name}" 
-                   class="artist-thumbnail"
-                   onerror="this.parentElement.innerHTML='<div class=\\'artist-thumbnail-fallback\\'>♪</div>'" />
-            `;
-          } else {
-            console.log(`No images found for artist ${artist.name}, using fallback`);
-            thumbnail.innerHTML = '<div class="artist-thumbnail-fallback">♪</div>';
-          }
-        } catch (error) {
-          console.warn(`Failed to load thumbnail for artist ${artist.name} (ID: ${artist.id}):`, error);
-          const thumbnail = drawerContent.querySelector(`[data-artist-id="${artist.id}"]`);
-          if (thumbnail) {
-            thumbnail.innerHTML = '<div class="artist-thumbnail-fallback">♪</div>';
-          }
+          thumbnail.innerHTML = `
+            <img src="${image.url}" 
+                 alt="${escapeHtml(artist.name)}" 
+                 class="artist-thumbnail"
+                 onerror="this.parentElement.innerHTML='<div class=\\'artist-thumbnail-fallback\\'>♪</div>'" />
+          `;
+        } else {
+          console.log(`No images found for artist ${artist.name}, using fallback`);
+          thumbnail.innerHTML = '<div class="artist-thumbnail-fallback">♪</div>';
+        }
+      } catch (error) {
+        console.warn(`Failed to load thumbnail for artist ${artist.name} (ID: ${artist.id}):`, error);
+        const thumbnail = drawerContent.querySelector(`[data-artist-id="${artist.id}"]`);
+        if (thumbnail) {
+          thumbnail.innerHTML = '<div class="artist-thumbnail-fallback">♪</div>';
         }
-      });
-      
-      await Promise.all(promises);
-      
-      // Longer delay between batches for better performance
-      if (i + batchSize < artists.length) {
-        await new Promise(resolve => setTimeout(resolve, 300)); // Increased from 150ms to 300ms
       }
-    }
+    }));
   }
 
   /**
-   * Smart artist recommendation system
+   * Smart artist recommendation system: every artist is scored by the ArtistRanker, best first
    */
   async getSmartArtistRecommendations(allArtists, currentLabelName, originalLabelInfo = null) {
-    const recommendations = [];
-    
     console.log(`Getting smart recommendations for ${allArtists.length} artists across labels: ${this.currentLabels.join(', ')}`);
-    
-    // Analyze cross-label relationships for each artist (process all provided artists for pagination)
-    const artistsToProcess = allArtists.slice(0, Math.min(allArtists.length, 10)); // Process up to 10 artists
-    for (const artist of artistsToProcess) { 
-      try {
-        // Analyze this artist's presence across current labels
-        const labelAnalysis = this.analyzeArtistLabelPresence(artist.id);
-        
-        // For multi-label searches, prioritize cross-label artists but don't exclude single-label artists entirely
-        if (labelAnalysis.totalLabels < 1) {
-          continue; // Skip artists with no presence at all
-        }
-        
-        // Skip expensive API call for total label count - use estimated value
-        const totalLabelsCount = Math.max(labelAnalysis.totalLabels, 1);
-        
-        // Calculate smart recommendation score
-        const { score, reason, explanation } = this.calculateSmartScore(
-          artist, 
-          labelAnalysis, 
-          totalLabelsCount, 
-          originalLabelInfo
-        );
-        
-        recommendations.push({
-          id: artist.id,
-          name: artist.name,
-          albumCount: artist.albumCount,
-          totalLabelsCount: totalLabelsCount,
-          labelAnalysis: labelAnalysis,
-          score: score,
-          reason: reason,
-          explanation: explanation,
-          isGray: true
-        });
-        
-      } catch (error) {
-        console.warn(`Failed to analyze artist ${artist.name}:`, error);
-      }
-    }
-    
-    // Sort by score (highest first) and return all recommendations (no limit for pagination)
-    const sortedRecommendations = recommendations
-      .sort((a, b) => b.score - a.score);
-    
-    console.log(`Smart recommendations generated: ${sortedRecommendations.length}`);
-    sortedRecommendations.forEach(rec => {
-      console.log(`${rec.name}: ${rec.score} points - ${rec.reason}`);
-    });
-    
-    // Fallback: if we have very few smart recommendations, add some top artists
-    if (sortedRecommendations.length < 3) {
-      console.log('Adding fallback artists due to low recommendation count');
-      const fallbackArtists = allArtists.slice(0, 6).map(artist => ({
-        id: artist.id,
-        name: artist.name,
-        albumCount: artist.albumCount,
-        totalLabelsCount: 1,
-        score: 5,
-        reason: `featured artist`,
-        explanation: `• Featured in your current selection\n• Click to explore other labels`,
-        isGray: true
-      }));
-      
-      // Filter out duplicates and combine
-      const existingIds = new Set(sortedRecommendations.map(r => r.id));
-      const newFallbacks = fallbackArtists.filter(f => !existingIds.has(f.id));
-      
-      const combined = [...sortedRecommendations, ...newFallbacks];
-      console.log(`Added ${newFallbacks.length} fallback artists, total: ${combined.length}`);
-      return combined;
-    }
-    
-    return sortedRecommendations;
+
+    await this.artistRanker.load();
+    const recommendations = this.artistRanker.rank(allArtists, {
+      albums: this.originalAlbums || [],
+      labels: this.currentLabels,
+      originalArtist: originalLabelInfo && originalLabelInfo.artist,
+      sortBy: this.artistSort
+    }).map(recommendation => ({ ...recommendation, isGray: true }));
+
+    console.log(`Smart recommendations generated: ${recommendations.length}`);
+    return recommendations;
   }
 
   /**
@@ -4361,94 +6221,6 @@ class SpotifyLabelExplorer {
     };
   }
 
-  /**
-   * Calculate smart recommendation score with detailed reasoning
-   */
-  calculateSmartScore(artist, labelAnalysis, totalLabelsCount, originalLabelInfo) {
-    let score = 0;
-    let reason = '';
-    let explanation = '';
-    
-    const { labelPresence, totalLabels, totalAlbums, labelsWithReleases, albumsPerLabel } = labelAnalysis;
-    const currentLabelsCount = this.currentLabels.length;
-    
-    // CROSS-LABEL BONUS (highest priority for multi-label searches)
-    if (currentLabelsCount > 1 && totalLabels > 1) {
-      const crossLabelCount = labelsWithReleases.filter(label => this.currentLabels.includes(label)).length;
-      
-      if (crossLabelCount === currentLabelsCount) {
-        // Artist appears on ALL current labels
-        score += 100;
-        reason = `appears on all ${currentLabelsCount} selected labels`;
-        explanation = `• Appears on all selected labels: ${labelsWithReleases.join(', ')}\n• Perfect cross-label connection`;
-      } else if (crossLabelCount > 1) {
-        // Artist appears on multiple current labels
-        score += 60 + (crossLabelCount * 10);
-        const sharedLabels = labelsWithReleases.filter(label => this.currentLabels.includes(label));
-        reason = `spans ${crossLabelCount} of your selected labels`;
-        explanation = `• Spans labels: ${sharedLabels.join(', ')}\n• Bridges your selected labels`;
-      }
-    }
-    
-    // FREQUENCY BONUS
-    const avgAlbumsPerLabel = totalAlbums / totalLabels;
-    if (avgAlbumsPerLabel >= 3) {
-      score += 30;
-      reason += reason ? ' with high activity' : 'prolific across labels';
-      explanation += `\n• ${Math.round(avgAlbumsPerLabel)} releases per label (high activity)`;
-    } else if (avgAlbumsPerLabel >= 2) {
-      score += 20;
-      reason += reason ? ' with regular activity' : 'regular across labels';
-      explanation += `\n• Multiple releases on most labels`;
-    } else {
-      score += 10;
-      reason += reason ? ' with selective releases' : 'selective collaborator';
-      explanation += `\n• Selective label partnerships`;
-    }
-    
-    // ORIGINAL ARTIST BONUS
-    if (originalLabelInfo && originalLabelInfo.artist && 
-        artist.name.toLowerCase() === originalLabelInfo.artist.toLowerCase()) {
-      score += 50;
-      reason = 'the artist you originally clicked';
-      explanation = `• The artist you originally clicked\n• Explore other label connections`;
-    }
-    
-    // LABEL DIVERSITY BONUS
-    if (totalLabelsCount >= 10) {
-      score += 25;
-      reason += reason ? ' (extensive network)' : 'extensive label network';
-      explanation += `\n• Extensive network: ${totalLabelsCount}+ labels`;
-    } else if (totalLabelsCount >= 5) {
-      score += 15;
-      reason += reason ? ' (good network)' : 'good label network';
-      explanation += `\n• Works with ${totalLabelsCount} different labels`;
-    } else if (totalLabelsCount >= 3) {
-      score += 8;
-      reason += reason ? ' (some network)' : 'some label connections';
-      explanation += `\n• Releases on ${totalLabelsCount} labels`;
-    }
-    
-    // LABEL BALANCE BONUS (for multi-label searches)
-    if (currentLabelsCount > 1 && totalLabels > 1) {
-      const albumCounts = Object.values(albumsPerLabel);
-      const maxAlbums = Math.max(...albumCounts);
-      const minAlbums = Math.min(...albumCounts);
-      const balance = minAlbums / maxAlbums;
-      
-      if (balance >= 0.7) {
-        score += 15;
-        reason += reason ? ' (well-balanced)' : 'balanced across labels';
-        explanation += `\n• Consistent activity across labels`;
-      }
-    }
-    
-    // Clean up explanation - remove trailing dots for bullet points
-    explanation = explanation.trim();
-    
-    return { score, reason, explanation };
-  }
-
   /**
    * Load more artists for the current drawer
    */
@@ -4463,8 +6235,12 @@ class SpotifyLabelExplorer {
     showMoreLoading.style.display = 'flex';
     
     try {
-      // Get all artists from current results
-      const allArtists = this.getAllArtistsFromCurrentResults();
+      // Rank all artists from current results, so every page continues the same order
+      const allArtists = await this.getSmartArtistRecommendations(
+        this.getAllArtistsFromCurrentResults(),
+        this.currentLabels.join(' + '),
+        null
+      );
       
       if (this.artistOffset >= allArtists.length) {
         // No more artists to load
@@ -4488,7 +6264,7 @@ class SpotifyLabelExplorer {
         });
       }
       
-      // Get next batch of artists (10 more), filtering out already displayed ones
+      // Get next batch of ranked artists (10 more), filtering out already displayed ones
       let nextBatch = [];
       let currentOffset = this.artistOffset;
       
@@ -4512,36 +6288,25 @@ class SpotifyLabelExplorer {
         return;
       }
       
-      // Get smart recommendations for the next batch
-      const currentLabelName = this.currentLabels.join(' + ');
-      const smartRecommendations = await this.getSmartArtistRecommendations(
-        nextBatch, 
-        currentLabelName, 
-        null
-      );
-      
-      // Filter out any duplicates that might still exist in smart recommendations
-      const uniqueRecommendations = smartRecommendations.filter(artist => 
-        !displayedArtistIds.has(artist.id)
-      );
+      const uniqueRecommendations = nextBatch;
       
       // Add new artists to the list
       if (artistList && uniqueRecommendations.length > 0) {
         const newArtistsHTML = uniqueRecommendations.map(artist => `
           <div class="artist-recommendation-item" 
                data-artist-explanation="${artist.explanation || ''}"
-               title="${artist.explanation || ''}">
+               title="${escapeHtml(this.generateArtistTooltip(artist, artist.isGray))}">
             <div class="artist-item-row">
               <div class="artist-thumbnail-placeholder" data-artist-id="${artist.id}">
                 <div class="artist-thumbnail-loading"></div>
               </div>
               <strong class="artist-name-link" 
                       data-artist-id="${artist.id}" 
-                      title="Open ${artist.name} page">${artist.name}</strong>
+                      title="Open ${escapeHtml(artist.name)} page">${escapeHtml(artist.name)}</strong>
               <button class="artist-other-labels-btn" 
                       data-artist-id="${artist.id}" 
-                      data-artist-name="${artist.name}"
-                      title="View ${artist.name}'s other labels">
+                      data-artist-name="${escapeHtml(artist.name)}"
+                      title="View ${escapeHtml(artist.name)}'s other labels">
                 View Labels
               </button>
             </div>
@@ -4704,9 +6469,9 @@ class SpotifyLabelExplorer {
       null // No specific original artist for combined searches
     );
 
-    // Create new scatalog object based on current state
+    // Create new scatalog object based on current state, starting with the 10 best ranked artists
     const currentScatalog = {
-      artistButtons: smartRecommendations
+      artistButtons: smartRecommendations.slice(0, 10)
     };
 
     // Create and setup new artist drawer
@@ -4733,7 +6498,7 @@ class SpotifyLabelExplorer {
           null
         );
         
-        const scatalog = { artistButtons: smartRecommendations };
+        const scatalog = { artistButtons: smartRecommendations.slice(0, 10) };
         drawer = this.createArtistDrawer(scatalog);
         console.log('✅ Created new artist drawer');
       } else {
@@ -4758,12 +6523,12 @@ class SpotifyLabelExplorer {
       const combinedLabelName = this.currentLabels.join(' + ');
       console.log(`🏷️ Current labels: ${combinedLabelName}`);
       
-      const initialBatch = allArtists.slice(0, 8); // Initial batch of 8 artists
-      const smartRecommendations = await this.getSmartArtistRecommendations(
-        initialBatch, 
+      const rankedArtists = await this.getSmartArtistRecommendations(
+        allArtists, 
         combinedLabelName, 
         null // No specific original artist for combined searches
       );
+      const smartRecommendations = rankedArtists.slice(0, 8); // Initial batch of the 8 best ranked artists
       
       // Reset pagination offset
       this.artistOffset = smartRecommendations.length;
@@ -4783,18 +6548,18 @@ class SpotifyLabelExplorer {
             artistList.innerHTML = smartRecommendations.map(artist => `
               <div class="artist-recommendation-item" 
                    data-artist-explanation="${(artist.explanation || '').replace(/"/g, '&quot;')}"
-                   title="${(artist.explanation || '').replace(/"/g, '&quot;')}">
+                   title="${escapeHtml(this.generateArtistTooltip(artist, artist.isGray))}">
                 <div class="artist-item-row">
                   <div class="artist-thumbnail-placeholder" data-artist-id="${artist.id}">
                     <div class="artist-thumbnail-loading"></div>
                   </div>
                   <strong class="artist-name-link" 
                           data-artist-id="${artist.id}" 
-                          title="Open ${artist.name} page">${artist.name}</strong>
+                          title="Open ${escapeHtml(artist.name)} page">${escapeHtml(artist.name)}</strong>
                   <button class="artist-other-labels-btn" 
                           data-artist-id="${artist.id}" 
-                          data-artist-name="${artist.name}"
-                          title="View ${artist.name}'s other labels">
+                          data-artist-name="${escapeHtml(artist.name)}"
+                          title="View ${escapeHtml(artist.name)}'s other labels">
                     View Labels
                   </button>
                 </div>
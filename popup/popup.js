@@ -18,12 +18,52 @@ class PopupManager {
       extensionToggle: document.getElementById('extensionToggle'),
       apiCallsToday: document.getElementById('apiCallsToday'),
       cacheHits: document.getElementById('cacheHits'),
+      coalescedRequests: document.getElementById('coalescedRequests'),
       rateLimitStatus: document.getElementById('rateLimitStatus'),
       resetStatsBtn: document.getElementById('resetStatsBtn'),
       pressureValue: document.getElementById('pressureValue'),
-      pressureFill: document.getElementById('pressureFill')
+      pressureFill: document.getElementById('pressureFill'),
+      cacheEntries: document.getElementById('cacheEntries'),
+      cacheOldest: document.getElementById('cacheOldest'),
+      cacheUsageValue: document.getElementById('cacheUsageValue'),
+      cacheUsageFill: document.getElementById('cacheUsageFill'),
+      cacheBudgetSelect: document.getElementById('cacheBudgetSelect'),
+      clearCacheBtn: document.getElementById('clearCacheBtn'),
+      searchModeSelect: document.getElementById('searchModeSelect'),
+      searchModeHelp: document.getElementById('searchModeHelp'),
+      scatalogCount: document.getElementById('scatalogCount'),
+      exportScatalogsBtn: document.getElementById('exportScatalogsBtn'),
+      importScatalogsBtn: document.getElementById('importScatalogsBtn'),
+      labelAliasCount: document.getElementById('labelAliasCount'),
+      labelAliasList: document.getElementById('labelAliasList'),
+      aliasVariantInput: document.getElementById('aliasVariantInput'),
+      aliasCanonicalInput: document.getElementById('aliasCanonicalInput'),
+      addAliasBtn: document.getElementById('addAliasBtn'),
+      recommendationWeightList: document.getElementById('recommendationWeightList'),
+      resetWeightsBtn: document.getElementById('resetWeightsBtn'),
+      authModeLogin: document.getElementById('authModeLogin'),
+      authModeCredentials: document.getElementById('authModeCredentials'),
+      loginPanel: document.getElementById('loginPanel'),
+      credentialsPanel: document.getElementById('credentialsPanel'),
+      loginStatus: document.getElementById('loginStatus'),
+      loginBtn: document.getElementById('loginBtn'),
+      logoutBtn: document.getElementById('logoutBtn'),
+      loginHelpText: document.getElementById('loginHelpText')
     };
 
+    this.authMode = 'credentials';
+    this.searchModeDescriptions = {
+      quick: 'One search per label: fast, but stops at 1000 releases.',
+      thorough: 'Labels with more than 1000 releases are searched decade by decade, splitting busy years further.',
+      exhaustive: 'Always searches by year and spelling, and narrows very busy years by tag and genre. Uses the most API calls.'
+    };
+
+    this.api = new SpotifyApiClient(); // Cache and API calls go through the background's shared SpotifyAPI
+    this.callsPerMinuteBudget = 120; // Per-minute call budget of the background's request pool, refreshed from its queue status
+    this.scatalogTransfer = new ScatalogTransfer();
+    this.labelNormalizer = new LabelNormalizer();
+    this.artistRanker = new ArtistRanker();
+
     this.init();
   }
 
@@ -31,9 +71,15 @@ class PopupManager {
    * Initialize the popup
    */
   async init() {
+    await this.loadAuthMode();
     await this.loadStoredCredentials();
     await this.loadExtensionSettings();
     await this.loadApiStats();
+    await this.loadCacheStats();
+    await this.loadSearchMode();
+    await this.loadScatalogCount();
+    await this.loadLabelAliases();
+    await this.loadRecommendationWeights();
     this.attachEventListeners();
     await this.checkConnectionStatus();
     
@@ -41,6 +87,104 @@ class PopupManager {
     this.startAutoRefresh();
   }
 
+  /**
+   * Load the auth mode (existing setups with app credentials keep using them)
+   */
+  async loadAuthMode() {
+    try {
+      const result = await chrome.storage.sync.get(['authMode', 'spotifyClientId', 'spotifyClientSecret']);
+      const hasAppCredentials = !!(result.spotifyClientId && result.spotifyClientSecret);
+      this.setAuthModeUI(result.authMode || (hasAppCredentials ? 'credentials' : 'login'));
+    } catch (error) {
+      console.error('Failed to load auth mode:', error);
+    }
+  }
+
+  /**
+   * Show the panel for the selected auth mode
+   */
+  setAuthModeUI(mode) {
+    this.authMode = mode;
+    this.elements.authModeLogin.checked = mode === 'login';
+    this.elements.authModeCredentials.checked = mode === 'credentials';
+    this.elements.loginPanel.style.display = mode === 'login' ? 'flex' : 'none';
+    this.elements.credentialsPanel.style.display = mode === 'credentials' ? 'flex' : 'none';
+  }
+
+  /**
+   * Switch between "Log in with Spotify" and app credentials
+   */
+  async changeAuthMode(mode) {
+    this.setAuthModeUI(mode);
+    this.clearErrors();
+
+    try {
+      await chrome.storage.sync.set({ authMode: mode });
+      this.notifyContentScripts();
+      await this.checkConnectionStatus();
+    } catch (error) {
+      console.error('Failed to change auth mode:', error);
+      this.showError('Failed to switch login method');
+    }
+  }
+
+  /**
+   * Log in with Spotify (the PKCE flow runs in the background worker)
+   */
+  async login() {
+    this.elements.loginBtn.disabled = true;
+    this.elements.loginBtn.textContent = 'Waiting for Spotify...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'loginWithSpotify' });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Login failed');
+      }
+
+      await this.resetApiStatsOnCredentialChange();
+      this.elements.clientSecretInput.value = ''; // No longer stored
+      await this.checkConnectionStatus();
+    } catch (error) {
+      console.error('Spotify login failed:', error);
+      this.showError(error.message);
+    } finally {
+      this.elements.loginBtn.disabled = false;
+      this.elements.loginBtn.textContent = 'Log in with Spotify';
+    }
+  }
+
+  /**
+   * Log out from Spotify
+   */
+  async logout() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'logoutFromSpotify' });
+      await this.checkConnectionStatus();
+    } catch (error) {
+      console.error('Spotify logout failed:', error);
+      this.showError('Failed to log out');
+    }
+  }
+
+  /**
+   * Update the login panel from the background's auth status
+   */
+  updateLoginPanel(authStatus) {
+    const loggedIn = !!(authStatus && authStatus.loggedIn);
+
+    this.elements.loginStatus.textContent = loggedIn
+      ? `Logged in${authStatus.displayName ? ` as ${authStatus.displayName}` : ''}`
+      : 'Not logged in';
+    this.elements.loginBtn.style.display = loggedIn ? 'none' : 'flex';
+    this.elements.logoutBtn.style.display = loggedIn ? 'flex' : 'none';
+
+    const loginAvailable = !authStatus || authStatus.loginAvailable;
+    this.elements.loginBtn.disabled = !loginAvailable;
+    this.elements.loginHelpText.textContent = loginAvailable
+      ? 'No developer account needed. scatalog reads public catalog data and only writes to your account when you save a playlist. Your login stays on this device.'
+      : 'Login needs a Client ID for this build. Enter one under "Use my own app credentials" (no secret needed).';
+  }
+
   /**
    * Load stored credentials from Chrome storage
    */
@@ -81,6 +225,24 @@ class PopupManager {
       this.testConnection();
     });
 
+    // Auth mode switch
+    this.elements.authModeLogin.addEventListener('change', () => {
+      this.changeAuthMode('login');
+    });
+
+    this.elements.authModeCredentials.addEventListener('change', () => {
+      this.changeAuthMode('credentials');
+    });
+
+    // Login and logout buttons
+    this.elements.loginBtn.addEventListener('click', () => {
+      this.login();
+    });
+
+    this.elements.logoutBtn.addEventListener('click', () => {
+      this.logout();
+    });
+
     // Input validation and auto-save
     this.elements.clientIdInput.addEventListener('input', () => {
       this.validateInputs();
@@ -110,6 +272,51 @@ class PopupManager {
     this.elements.resetStatsBtn.addEventListener('click', () => {
       this.resetApiStats();
     });
+
+    // Cache budget
+    this.elements.cacheBudgetSelect.addEventListener('change', () => {
+      this.setCacheBudget(parseInt(this.elements.cacheBudgetSelect.value));
+    });
+
+    // Clear cache button
+    this.elements.clearCacheBtn.addEventListener('click', () => {
+      this.clearCache();
+    });
+
+    // Label search mode
+    this.elements.searchModeSelect.addEventListener('change', () => {
+      this.setSearchMode(this.elements.searchModeSelect.value);
+    });
+
+    // Recommendation weights
+    this.elements.recommendationWeightList.addEventListener('change', (e) => {
+      if (e.target.dataset.factor) {
+        this.setRecommendationWeight(e.target.dataset.factor, e.target.value);
+      }
+    });
+    this.elements.resetWeightsBtn.addEventListener('click', () => {
+      this.resetRecommendationWeights();
+    });
+
+    // Scatalog export and import
+    this.elements.exportScatalogsBtn.addEventListener('click', () => {
+      this.exportScatalogs();
+    });
+    this.elements.importScatalogsBtn.addEventListener('click', () => {
+      this.importScatalogs();
+    });
+
+    // Label aliases
+    this.elements.addAliasBtn.addEventListener('click', () => {
+      this.addLabelAlias();
+    });
+    this.elements.aliasCanonicalInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addLabelAlias();
+    });
+    this.elements.labelAliasList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.alias-remove-btn');
+      if (removeBtn) this.removeLabelAlias(removeBtn.dataset.variant);
+    });
   }
 
   /**
@@ -148,7 +355,8 @@ class PopupManager {
       // Save to Chrome storage
       await chrome.storage.sync.set({
         spotifyClientId: clientId,
-        spotifyClientSecret: clientSecret
+        spotifyClientSecret: clientSecret,
+        authMode: 'credentials'
       });
 
       // Reset API statistics when new credentials are saved
@@ -186,12 +394,10 @@ class PopupManager {
     this.updateStatus('connecting', 'Testing connection...');
     
     try {
-      // Create a temporary API instance for testing
-      const testAPI = new SpotifyTestAPI();
       const clientId = this.elements.clientIdInput.value.trim();
       const clientSecret = this.elements.clientSecretInput.value.trim();
       
-      const success = await testAPI.testCredentials(clientId, clientSecret);
+      const success = await this.testCredentials(clientId, clientSecret);
       
       if (success) {
         this.updateStatus('connected', 'Connected successfully!');
@@ -207,6 +413,22 @@ class PopupManager {
     }
   }
 
+  /**
+   * Test credentials in the background by requesting a token and making a simple API call
+   */
+  async testCredentials(clientId, clientSecret) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'testApiConnection',
+        credentials: { clientId, clientSecret }
+      });
+      return !!(response && response.success && response.connected);
+    } catch (error) {
+      console.error('Credential test failed:', error);
+      return false;
+    }
+  }
+
   /**
    * Check current connection status
    */
@@ -220,13 +442,25 @@ class PopupManager {
         this.updateStatus('error', 'Disconnected');
         return;
       }
+
+      if (this.authMode === 'login') {
+        const response = await chrome.runtime.sendMessage({ action: 'getAuthStatus' });
+        const authStatus = response && response.success ? response.data : null;
+        this.updateLoginPanel(authStatus);
+
+        if (authStatus && authStatus.loggedIn) {
+          this.updateStatus('connected', authStatus.displayName ? `Logged in as ${authStatus.displayName}` : 'Logged in');
+        } else {
+          this.updateStatus('error', 'Not logged in');
+        }
+        return;
+      }
       
       if (result.spotifyClientId && result.spotifyClientSecret) {
         this.updateStatus('connecting', 'Checking connection...');
         
         // Test the stored credentials
-        const testAPI = new SpotifyTestAPI();
-        const success = await testAPI.testCredentials(result.spotifyClientId, result.spotifyClientSecret);
+        const success = await this.testCredentials(result.spotifyClientId, result.spotifyClientSecret);
         
         if (success) {
           this.updateStatus('connected', 'Connected and ready');
@@ -306,8 +540,9 @@ class PopupManager {
     errorDiv.className = 'error-message';
     errorDiv.textContent = message;
     
-    // Insert after the form
-    this.elements.credentialsForm.appendChild(errorDiv);
+    // Insert after the form of the active auth mode
+    const container = this.authMode === 'login' ? this.elements.loginPanel : this.elements.credentialsForm;
+    container.appendChild(errorDiv);
     
     // Remove after 5 seconds
     setTimeout(() => {
@@ -335,7 +570,7 @@ class PopupManager {
     this.elements.clientSecretInput.classList.remove('input-error');
     
     // Remove error messages
-    const errorMessages = this.elements.credentialsForm.querySelectorAll('.error-message');
+    const errorMessages = document.querySelectorAll('.error-message');
     errorMessages.forEach(msg => msg.remove());
   }
 
@@ -439,6 +674,7 @@ class PopupManager {
       const result = await chrome.storage.local.get([
         'apiCallsToday',
         'cacheHits',
+        'coalescedRequests',
         'lastResetDate',
         'apiCallsThisHour',
         'recentApiCalls',
@@ -446,6 +682,11 @@ class PopupManager {
         'lastRateLimitTime',
         'rateLimitRetryAfter'
       ]);
+      const queueStatus = await this.api.getQueueStatus().catch(() => null);
+      if (queueStatus && queueStatus.callsPerMinuteBudget) {
+        this.callsPerMinuteBudget = queueStatus.callsPerMinuteBudget;
+      }
+      const budget = this.callsPerMinuteBudget;
 
       // Check if we need to reset daily stats
       const today = new Date().toDateString();
@@ -463,6 +704,7 @@ class PopupManager {
       }
 
       this.elements.cacheHits.textContent = result.cacheHits || '0';
+      this.elements.coalescedRequests.textContent = result.coalescedRequests || '0';
       
       // Get accurate rate limit status using time-based analysis
       const now = Date.now();
@@ -483,20 +725,20 @@ class PopupManager {
         status = `Limited (${remainingTime}s)`;
         statusClass = 'error';
         statusTitle = `Rate limited. Wait ${remainingTime} seconds before making more requests.`;
-      } else if (callsLastMinute >= 90) {
-        status = `Critical (${callsLastMinute}/100)`;
+      } else if (callsLastMinute >= budget * 0.9) {
+        status = `Critical (${callsLastMinute}/${budget})`;
         statusClass = 'error';
         statusTitle = `${callsLastMinute} requests in the last minute. Approaching rate limit.`;
-      } else if (callsLastMinute >= 70) {
-        status = `High (${callsLastMinute}/100)`;
+      } else if (callsLastMinute >= budget * 0.7) {
+        status = `High (${callsLastMinute}/${budget})`;
         statusClass = 'warning';
         statusTitle = `${callsLastMinute} requests in the last minute. High usage.`;
-      } else if (callsLastMinute >= 50) {
-        status = `Moderate (${callsLastMinute}/100)`;
+      } else if (callsLastMinute >= budget * 0.5) {
+        status = `Moderate (${callsLastMinute}/${budget})`;
         statusClass = 'warning';
         statusTitle = `${callsLastMinute} requests in the last minute. Moderate usage.`;
       } else {
-        status = `Normal (${callsLastMinute}/100)`;
+        status = `Normal (${callsLastMinute}/${budget})`;
         statusTitle = `${callsLastMinute} requests in the last minute. Normal usage.`;
       }
       
@@ -512,6 +754,274 @@ class PopupManager {
     }
   }
 
+  /**
+   * Load persistent cache statistics
+   */
+  async loadCacheStats() {
+    try {
+      const stats = await this.api.getCacheStats();
+
+      this.elements.cacheEntries.textContent = stats.entries;
+      this.elements.cacheEntries.title = Object.entries(stats.byType)
+        .map(([type, info]) => `${type}: ${info.entries} (${this.formatBytes(info.bytes)})`)
+        .join('\n') || 'Cache is empty';
+
+      this.elements.cacheOldest.textContent = stats.oldest ? this.formatAge(stats.oldest) : '–';
+      this.elements.cacheUsageValue.textContent = `${this.formatBytes(stats.bytes)} / ${this.formatBytes(stats.maxBytes)}`;
+      this.elements.cacheUsageFill.style.width = `${Math.min(stats.usage * 100, 100)}%`;
+
+      // Select the closest budget option
+      const budgetValue = String(stats.maxBytes);
+      const hasOption = Array.from(this.elements.cacheBudgetSelect.options).some(option => option.value === budgetValue);
+      if (hasOption) {
+        this.elements.cacheBudgetSelect.value = budgetValue;
+      }
+    } catch (error) {
+      console.error('Failed to load cache stats:', error);
+    }
+  }
+
+  /**
+   * Change the cache byte budget
+   */
+  async setCacheBudget(maxBytes) {
+    try {
+      await this.api.setCacheMaxBytes(maxBytes);
+      await this.loadCacheStats();
+      this.showSuccess('Cache budget updated');
+    } catch (error) {
+      console.error('Failed to update cache budget:', error);
+      this.showError('Failed to update cache budget');
+    }
+  }
+
+  /**
+   * Load the label search mode (thorough unless changed)
+   */
+  async loadSearchMode() {
+    try {
+      const result = await chrome.storage.local.get(['searchMode']);
+      const mode = result.searchMode in this.searchModeDescriptions ? result.searchMode : 'thorough';
+      this.elements.searchModeSelect.value = mode;
+      this.elements.searchModeHelp.textContent = this.searchModeDescriptions[mode];
+    } catch (error) {
+      console.error('Failed to load search mode:', error);
+    }
+  }
+
+  /**
+   * Change the label search mode; searches started afterwards use it
+   */
+  async setSearchMode(mode) {
+    try {
+      await chrome.storage.local.set({ searchMode: mode });
+      this.elements.searchModeHelp.textContent = this.searchModeDescriptions[mode];
+      this.showSuccess('Search mode updated');
+    } catch (error) {
+      console.error('Failed to update search mode:', error);
+      this.showError('Failed to update search mode');
+    }
+  }
+
+  /**
+   * Load and list the recommendation weights
+   */
+  async loadRecommendationWeights() {
+    try {
+      await this.artistRanker.load();
+      this.renderRecommendationWeights();
+    } catch (error) {
+      console.error('Failed to load recommendation weights:', error);
+    }
+  }
+
+  /**
+   * One number input per scoring factor
+   */
+  renderRecommendationWeights() {
+    this.elements.recommendationWeightList.innerHTML = this.artistRanker.factors.map(factor => `
+      <label class="weight-item" title="${factor.description}">
+        <span class="weight-name">${factor.name}</span>
+        <input type="number" class="weight-input" min="0" max="500" step="5" data-factor="${factor.id}" value="${this.artistRanker.weights[factor.id]}">
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Change the weight of one factor; open catalogs use it the next time they rank artists
+   */
+  async setRecommendationWeight(factorId, value) {
+    try {
+      await this.artistRanker.saveWeights({ ...this.artistRanker.weights, [factorId]: parseFloat(value) });
+      this.renderRecommendationWeights();
+      this.showSuccess('Recommendation weights updated');
+    } catch (error) {
+      console.error('Failed to update recommendation weights:', error);
+      this.showError('Failed to update recommendation weights');
+    }
+  }
+
+  /**
+   * Restore the default weights
+   */
+  async resetRecommendationWeights() {
+    try {
+      await this.artistRanker.resetWeights();
+      this.renderRecommendationWeights();
+      this.showSuccess('Recommendation weights reset');
+    } catch (error) {
+      console.error('Failed to reset recommendation weights:', error);
+      this.showError('Failed to reset recommendation weights');
+    }
+  }
+
+  /**
+   * Get saved Scatalogs from storage
+   */
+  async getScatalogs() {
+    const result = await chrome.storage.local.get(['scatalogs']);
+    return Object.values(result.scatalogs || {});
+  }
+
+  /**
+   * Show how many Scatalogs are saved
+   */
+  async loadScatalogCount() {
+    try {
+      const scatalogs = await this.getScatalogs();
+      this.elements.scatalogCount.textContent = `${scatalogs.length} saved`;
+      this.elements.exportScatalogsBtn.disabled = scatalogs.length === 0;
+    } catch (error) {
+      console.error('Failed to load Scatalogs:', error);
+    }
+  }
+
+  /**
+   * Download all Scatalogs as a JSON export
+   */
+  async exportScatalogs() {
+    try {
+      const scatalogs = await this.getScatalogs();
+      if (scatalogs.length === 0) {
+        this.showError('There are no Scatalogs to export yet');
+        return;
+      }
+      this.scatalogTransfer.exportToFile(scatalogs);
+    } catch (error) {
+      console.error('Failed to export Scatalogs:', error);
+      this.showError(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load and list the label aliases
+   */
+  async loadLabelAliases() {
+    try {
+      await this.labelNormalizer.load();
+      this.renderLabelAliases();
+    } catch (error) {
+      console.error('Failed to load label aliases:', error);
+    }
+  }
+
+  /**
+   * List the label aliases with a remove button each
+   */
+  renderLabelAliases() {
+    const aliases = this.labelNormalizer.getAliases();
+
+    this.elements.labelAliasCount.textContent = `${aliases.length} set`;
+    this.elements.labelAliasList.innerHTML = aliases.map(({ variant, canonical }) => `
+      <li class="alias-item">
+        <span class="alias-text" title="${escapeHtml(variant)} → ${escapeHtml(canonical)}">${escapeHtml(variant)} → <span class="alias-canonical">${escapeHtml(canonical)}</span></span>
+        <button type="button" class="alias-remove-btn" data-variant="${escapeHtml(variant)}" title="Remove alias">×</button>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Add the alias entered in the alias form
+   */
+  async addLabelAlias() {
+    try {
+      await this.labelNormalizer.addAlias(this.elements.aliasVariantInput.value, this.elements.aliasCanonicalInput.value);
+      this.elements.aliasVariantInput.value = '';
+      this.elements.aliasCanonicalInput.value = '';
+      this.renderLabelAliases();
+      this.showSuccess('Alias saved');
+    } catch (error) {
+      console.error('Failed to add label alias:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Remove the alias of a spelling
+   */
+  async removeLabelAlias(variant) {
+    try {
+      await this.labelNormalizer.removeAlias(variant);
+      this.renderLabelAliases();
+    } catch (error) {
+      console.error('Failed to remove label alias:', error);
+      this.showError('Failed to remove alias');
+    }
+  }
+
+  /**
+   * Import Scatalogs from a JSON export (release details load when a Scatalog is opened)
+   */
+  async importScatalogs() {
+    try {
+      const text = await this.scatalogTransfer.pickFile();
+      if (text === null) return;
+
+      const imported = this.scatalogTransfer.parse(text);
+      const added = await this.scatalogTransfer.importScatalogs(imported);
+      await this.loadScatalogCount();
+      this.showSuccess(`Imported ${added.length} Scatalog${added.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('Failed to import Scatalogs:', error);
+      this.showError(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear all cached API responses
+   */
+  async clearCache() {
+    try {
+      await this.api.clearCache();
+      await this.loadCacheStats();
+      this.showSuccess('Cache cleared');
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      this.showError('Failed to clear cache');
+    }
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  /**
+   * Format a timestamp as a short age (e.g. "3h", "2d")
+   */
+  formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+  }
+
   /**
    * Update the API pressure indicator
    */
@@ -520,7 +1030,7 @@ class PopupManager {
       return;
     }
     
-    const maxCalls = 100; // Spotify's rate limit per minute
+    const maxCalls = this.callsPerMinuteBudget;
     const percentage = Math.min((callsLastMinute / maxCalls) * 100, 100);
     
     // Update the text value
@@ -533,13 +1043,13 @@ class PopupManager {
     if (isCurrentlyLimited) {
       this.elements.pressureFill.style.background = '#8b0000';
       this.elements.pressureFill.style.animation = 'pulse-red 1s infinite';
-    } else if (callsLastMinute >= 90) {
+    } else if (callsLastMinute >= maxCalls * 0.9) {
       this.elements.pressureFill.style.background = '#e22134';
       this.elements.pressureFill.style.animation = 'none';
-    } else if (callsLastMinute >= 70) {
+    } else if (callsLastMinute >= maxCalls * 0.7) {
       this.elements.pressureFill.style.background = 'linear-gradient(90deg, #ffa500 0%, #e22134 100%)';
       this.elements.pressureFill.style.animation = 'none';
-    } else if (callsLastMinute >= 50) {
+    } else if (callsLastMinute >= maxCalls * 0.5) {
       this.elements.pressureFill.style.background = 'linear-gradient(90deg, #1db954 0%, #ffa500 100%)';
       this.elements.pressureFill.style.animation = 'none';
     } else {
@@ -558,6 +1068,7 @@ class PopupManager {
         apiCallsThisHour: 0,
         recentApiCalls: [],
         cacheHits: 0,
+        coalescedRequests: 0,
         rateLimitHits: 0,
         lastRateLimitTime: 0,
         rateLimitRetryAfter: 0,
@@ -567,7 +1078,8 @@ class PopupManager {
       
       this.elements.apiCallsToday.textContent = '0';
       this.elements.cacheHits.textContent = '0';
-      this.elements.rateLimitStatus.textContent = 'Normal (0/100)';
+      this.elements.coalescedRequests.textContent = '0';
+      this.elements.rateLimitStatus.textContent = `Normal (0/${this.callsPerMinuteBudget})`;
       this.elements.rateLimitStatus.className = 'stat-value';
       this.elements.rateLimitStatus.title = '0 requests in the last minute. Normal usage.';
       
@@ -591,6 +1103,7 @@ class PopupManager {
         apiCallsThisHour: 0,
         recentApiCalls: [],
         cacheHits: 0,
+        coalescedRequests: 0,
         rateLimitHits: 0,
         lastRateLimitTime: 0,
         rateLimitRetryAfter: 0,
@@ -605,8 +1118,11 @@ class PopupManager {
       if (this.elements.cacheHits) {
         this.elements.cacheHits.textContent = '0';
       }
+      if (this.elements.coalescedRequests) {
+        this.elements.coalescedRequests.textContent = '0';
+      }
       if (this.elements.rateLimitStatus) {
-        this.elements.rateLimitStatus.textContent = 'Normal (0/100)';
+        this.elements.rateLimitStatus.textContent = `Normal (0/${this.callsPerMinuteBudget})`;
         this.elements.rateLimitStatus.className = 'stat-value';
         this.elements.rateLimitStatus.title = '0 requests in the last minute. Normal usage.';
       }
@@ -632,6 +1148,7 @@ class PopupManager {
     // Refresh every 5 seconds
     this.refreshInterval = setInterval(async () => {
       await this.loadApiStats();
+      await this.loadCacheStats();
     }, 5000);
   }
 
@@ -646,51 +1163,6 @@ class PopupManager {
   }
 }
 
-/**
- * Simplified API class for testing credentials
- */
-class SpotifyTestAPI {
-  constructor() {
-    this.tokenURL = 'https://accounts.spotify.com/api/token';
-    this.baseURL = 'https://api.spotify.com/v1';
-  }
-
-  /**
-   * Test credentials by attempting to get an access token
-   */
-  async testCredentials(clientId, clientSecret) {
-    try {
-      // Get access token
-      const tokenResponse = await fetch(this.tokenURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': 'Basic ' + btoa(clientId + ':' + clientSecret)
-        },
-        body: 'grant_type=client_credentials'
-      });
-
-      if (!tokenResponse.ok) {
-        throw new Error(`Token request failed: ${tokenResponse.status}`);
-      }
-
-      const tokenData = await tokenResponse.json();
-      
-      // Test the token with a simple API call
-      const testResponse = await fetch(`${this.baseURL}/search?q=test&type=album&limit=1`, {
-        headers: {
-          'Authorization': `Bearer ${tokenData.access_token}`
-        }
-      });
-
-      return testResponse.ok;
-    } catch (error) {
-      console.error('Credential test failed:', error);
-      return false;
-    }
-  }
-}
-
 // Initialize popup when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   new PopupManager();
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUtils, createChromeStorage } = require('./helpers/load-utils');
+
+const { ApiCache } = loadUtils('api-cache.js');
+
+const DAY = 86400000;
+
+/**
+ * A cache on an in-memory chrome.storage.local holding the given stored entries and index
+ */
+function setup(t, initial = {}) {
+  const mock = createChromeStorage(initial);
+  global.chrome = { runtime: { id: 'test' }, storage: mock.storage };
+  t.after(() => { delete global.chrome; });
+  return { mock, cache: new ApiCache() };
+}
+
+/**
+ * A stored entry and its index entry, written ageDays ago with the given TTL
+ */
+function stored(type, ageDays, ttlDays) {
+  const timestamp = Date.now() - ageDays * DAY;
+  return {
+    entry: { data: { type }, type, timestamp, expiresAt: ttlDays === null ? undefined : timestamp + ttlDays * DAY },
+    meta: { type, size: 100, timestamp, lastAccess: timestamp }
+  };
+}
+
+test('removeExpired drops expired and old entries without a TTL and keeps their index in sync', async (t) => {
+  const expired = stored('label', 2, 1);
+  const fresh = stored('label', 0, 1);
+  const legacy = stored('album-details', 8, null);
+  const { mock, cache } = setup(t, {
+    'cache_label:old': expired.entry,
+    'cache_label:new': fresh.entry,
+    'cache_album-details:legacy': legacy.entry,
+    cache_index: { 'label:old': expired.meta, 'label:new': fresh.meta, 'album-details:legacy': legacy.meta },
+    cacheMaxBytes: 1024 * 1024
+  });
+
+  assert.equal(await cache.removeExpired(), 2);
+  assert.deepEqual(Object.keys(mock.data).filter(key => key.startsWith('cache_')).sort(), ['cache_index', 'cache_label:new']);
+  assert.deepEqual(Object.keys(mock.data.cache_index), ['label:new']);
+  assert.equal(mock.data.cacheMaxBytes, 1024 * 1024);
+});
+
+test('an entry written while expired entries are removed stays in the index', async (t) => {
+  const expired = stored('label', 2, 1);
+  const { mock, cache } = setup(t, {
+    'cache_label:old': expired.entry,
+    cache_index: { 'label:old': expired.meta }
+  });
+
+  // Write a response right after removeExpired read the stored entries
+  const get = mock.storage.local.get;
+  let write = null;
+  mock.storage.local.get = async (keys) => {
+    const result = await get(keys);
+    if (!keys && !write) {
+      write = cache.set('label:written', { albums: [] });
+    }
+    return result;
+  };
+
+  await cache.removeExpired();
+  await write;
+  assert.ok(mock.data['cache_label:written']);
+  assert.deepEqual(Object.keys(mock.data.cache_index), ['label:written']);
+});
+
+test('clear removes every entry and drops access times that were not written yet', async (t) => {
+  const fresh = stored('label', 0, 1);
+  const { mock, cache } = setup(t, {
+    'cache_label:new': fresh.entry,
+    cache_index: { 'label:new': fresh.meta }
+  });
+
+  assert.deepEqual(await cache.get('label:new'), { type: 'label' });
+  assert.equal(cache.pendingTouches.size, 1);
+
+  assert.equal(await cache.clear(), 1);
+  await cache.flushTouches();
+  assert.equal(cache.touchFlushTimeout, null);
+  assert.equal('cache_label:new' in mock.data, false);
+  assert.deepEqual(mock.data.cache_index, {});
+  assert.equal(await cache.get('label:new'), null);
+});
+
+test('getMany reads the entries it has no memory copy of with one storage read', async (t) => {
+  const first = stored('artist-details', 0, 7);
+  const second = stored('artist-details', 0, 7);
+  const expired = stored('artist-details', 8, 7);
+  const { mock, cache } = setup(t, {
+    'cache_artist-details:a': first.entry,
+    'cache_artist-details:b': second.entry,
+    'cache_artist-details:old': expired.entry,
+    cache_index: { 'artist-details:a': first.meta, 'artist-details:b': second.meta, 'artist-details:old': expired.meta }
+  });
+  t.after(() => clearTimeout(cache.touchFlushTimeout));
+
+  await cache.set('artist-details:m', { type: 'memory' });
+  const get = mock.storage.local.get;
+  const entryReads = [];
+  mock.storage.local.get = async (keys) => {
+    if (keys && !keys.includes('cache_index')) entryReads.push(keys);
+    return get(keys);
+  };
+  const found = await cache.getMany(['artist-details:a', 'artist-details:m', 'artist-details:missing', 'artist-details:b', 'artist-details:old']);
+
+  assert.deepEqual(entryReads, [['cache_artist-details:a', 'cache_artist-details:missing', 'cache_artist-details:b', 'cache_artist-details:old']]);
+  assert.deepEqual([...found.keys()], ['artist-details:m', 'artist-details:a', 'artist-details:b']);
+  assert.deepEqual(found.get('artist-details:a'), { type: 'artist-details' });
+  assert.equal('cache_artist-details:old' in mock.data, false);
+  assert.equal('artist-details:old' in mock.data.cache_index, false);
+  assert.equal(cache.pendingTouches.size, 3);
+});
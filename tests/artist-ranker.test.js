@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUtils, createChromeStorage } = require('./helpers/load-utils');
+const { NOW, album, artistsOf, twoLabelCatalog, timelineCatalog, tiedCatalog } = require('./fixtures/catalogs');
+
+const { ArtistRanker } = loadUtils('artist-ranker.js');
+
+const labels = ['Warp', 'Ninja Tune'];
+
+/**
+ * Weights that switch every factor off except the given ones
+ */
+function only(ranker, weights) {
+  const all = Object.fromEntries(ranker.factors.map(factor => [factor.id, 0]));
+  return { ...all, ...weights };
+}
+
+/**
+ * Score the profile of one artist of a catalog
+ */
+function scoreArtist(ranker, albums, artistId, context) {
+  const profile = ranker.buildProfiles(albums, NOW).get(artistId);
+  return ranker.score(profile, { labels, originalArtist: null, now: NOW, ...context });
+}
+
+/**
+ * Points of one factor in a score, or null when it did not apply
+ */
+function pointsOf(result, factorId) {
+  const factor = result.factors.find(entry => entry.id === factorId);
+  return factor ? factor.points : null;
+}
+
+test('crossLabel rewards artists on all or several of the selected labels', () => {
+  const ranker = new ArtistRanker();
+  const weights = only(ranker, { crossLabel: 100 });
+  const threeLabels = [
+    ...twoLabelCatalog,
+    album('R&S', [['aphex', 'Aphex Twin']], 800)
+  ];
+
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights }), 'crossLabel'), 100);
+  // Two of three labels: 60% plus 10% per shared label
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'boards', { weights, labels: [...labels, 'R&S'] }), 'crossLabel'), 80);
+  assert.equal(pointsOf(scoreArtist(ranker, threeLabels, 'aphex', { weights, labels: [...labels, 'R&S'] }), 'crossLabel'), 100);
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'bonobo', { weights }), 'crossLabel'), null);
+  // A single label has nothing to share
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights, labels: ['Warp'] }), 'crossLabel'), null);
+});
+
+test('activity scales with releases per label', () => {
+  const ranker = new ArtistRanker();
+  const weights = only(ranker, { activity: 30 });
+
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights }), 'activity'), 30); // 3 per label
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'bonobo', { weights }), 'activity'), 20); // 2 per label
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'boards', { weights }), 'activity'), 10); // 1 per label
+});
+
+test('originalArtist matches the clicked artist by name, ignoring case', () => {
+  const ranker = new ArtistRanker();
+  const weights = only(ranker, { originalArtist: 50 });
+
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'bonobo', { weights, originalArtist: 'BONOBO' }), 'originalArtist'), 50);
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights, originalArtist: 'Bonobo' }), 'originalArtist'), null);
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights }), 'originalArtist'), null);
+});
+
+test('network grows with the number of labels an artist released on', () => {
+  const ranker = new ArtistRanker();
+  const weights = only(ranker, { network: 25 });
+  const onLabels = count => Array.from({ length: count }, (_, index) => album(`Label ${index}`, [['wide', 'Wide']], 100 + index));
+
+  assert.equal(pointsOf(scoreArtist(ranker, onLabels(10), 'wide', { weights }), 'network'), 25);
+  assert.equal(pointsOf(scoreArtist(ranker, onLabels(5), 'wide', { weights }), 'network'), 15);
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'amon', { weights }), 'network'), 8); // 4 labels -> 32% of 25, rounded
+  assert.equal(pointsOf(scoreArtist(ranker, onLabels(3), 'wide', { weights }), 'network'), 8);
+  assert.equal(pointsOf(scoreArtist(ranker, twoLabelCatalog, 'aphex', { weights }), 'network'), null);
+});
+
+test('normalizeWeights keeps known factors and falls back to defaults for invalid values', () => {
+  const ranker = new ArtistRanker();
+  const normalized = ranker.normalizeWeights({
+    crossLabel: 0,
+    activity: '12',
+    network: -5,
+    originalArtist: '',
+    balance: null,
+    recency: 'lots',
+    cadence: null,
+    rising: 40,
+    unknownFactor: 99
+  });
+
+  assert.equal(normalized.crossLabel, 0);
+  assert.equal(normalized.activity, 12);
+  assert.equal(normalized.network, ranker.defaultWeights.network);
+  assert.equal(normalized.originalArtist, ranker.defaultWeights.originalArtist);
+  assert.equal(normalized.balance, ranker.defaultWeights.balance);
+  assert.equal(normalized.recency, ranker.defaultWeights.recency);
+  assert.equal(normalized.cadence, ranker.defaultWeights.cadence);
+  assert.equal(normalized.rising, 40);
+  assert.equal('unknownFactor' in normalized, false);
+  assert.deepEqual(Object.keys(normalized), ranker.factors.map(factor => factor.id));
+  assert.deepEqual(ranker.normalizeWeights(null), ranker.defaultWeights);
+});
+
+test('weights scale factor points and a zero weight drops the factor', () => {
+  const ranker = new ArtistRanker();
+  const artists = artistsOf(twoLabelCatalog);
+
+  const doubled = ranker.rank(artists, { albums: twoLabelCatalog, labels, now: NOW, weights: only(ranker, { crossLabel: 200, activity: 30 }) });
+  const aphex = doubled.find(artist => artist.id === 'aphex');
+  assert.equal(pointsOf(aphex, 'crossLabel'), 200);
+  assert.equal(aphex.score, 230);
+
+  const withoutCrossLabel = ranker.rank(artists, { albums: twoLabelCatalog, labels, now: NOW, weights: only(ranker, { activity: 30 }) });
+  assert.equal(pointsOf(withoutCrossLabel.find(artist => artist.id === 'aphex'), 'crossLabel'), null);
+});
+
+test('the score breakdown adds up to the final score', () => {
+  const ranker = new ArtistRanker();
+  const ranked = ranker.rank(artistsOf(twoLabelCatalog), { albums: twoLabelCatalog, labels, originalArtist: 'Bonobo', now: NOW });
+
+  assert.equal(ranked.length, 4);
+  ranked.forEach((artist) => {
+    assert.equal(artist.factors.reduce((sum, factor) => sum + factor.points, 0), artist.score, artist.name);
+    const lines = ranker.describe(artist).split('\n');
+    assert.equal(lines[0], `${artist.name}: ${artist.score} point${artist.score !== 1 ? 's' : ''}`);
+    assert.equal(lines.length, artist.factors.length + 1);
+  });
+});
+
+test('ranking the same catalog twice gives the same order and scores', () => {
+  const ranker = new ArtistRanker();
+  const context = { albums: twoLabelCatalog, labels, now: NOW };
+  const artists = artistsOf(twoLabelCatalog);
+
+  const first = ranker.rank(artists, context);
+  const second = ranker.rank([...artists].reverse(), context);
+  assert.deepEqual(second.map(artist => [artist.id, artist.score]), first.map(artist => [artist.id, artist.score]));
+  assert.equal(first[0].id, 'aphex');
+  // Artists without releases in the albums are left out
+  assert.equal(ranker.rank([{ id: 'missing', name: 'Missing' }], context).length, 0);
+});
+
+test('load reads the stored weights once and follows later changes', async (t) => {
+  const mock = createChromeStorage({ recommendationWeights: { crossLabel: 10, unknownFactor: 5 } });
+  global.chrome = { storage: mock.storage };
+  t.after(() => { delete global.chrome; });
+
+  const ranker = new ArtistRanker();
+  await Promise.all([ranker.load(), ranker.load()]);
+  assert.equal(mock.calls.get, 1);
+  assert.equal(ranker.weights.crossLabel, 10);
+  assert.equal(ranker.weights.activity, ranker.defaultWeights.activity);
+  assert.equal('unknownFactor' in ranker.weights, false);
+
+  // Weights changed in the popup reach rankers that already loaded
+  await mock.storage.local.set({ recommendationWeights: { ...ranker.defaultWeights, activity: 0 } });
+  assert.equal(ranker.weights.activity, 0);
+});
+
+test('saveWeights stores normalized weights and resetWeights goes back to the defaults', async (t) => {
+  const mock = createChromeStorage();
+  global.chrome = { storage: mock.storage };
+  t.after(() => { delete global.chrome; });
+
+  const ranker = new ArtistRanker();
+  await ranker.saveWeights({ crossLabel: 70, network: -1 });
+  assert.equal(mock.data.recommendationWeights.crossLabel, 70);
+  assert.equal(mock.data.recommendationWeights.network, ranker.defaultWeights.network);
+  assert.deepEqual(ranker.weights, mock.data.recommendationWeights);
+
+  await ranker.resetWeights();
+  assert.equal('recommendationWeights' in mock.data, false);
+  assert.deepEqual(ranker.weights, ranker.defaultWeights);
+});
+
+test('dormant artists lose points and get no recency bonus', () => {
+  const ranker = new ArtistRanker();
+  const dormant = scoreArtist(ranker, timelineCatalog, 'dormant', {});
+
+  assert.equal(pointsOf(dormant, 'dormant'), -ranker.defaultWeights.dormant);
+  assert.equal(pointsOf(dormant, 'recency'), null);
+  assert.equal(pointsOf(scoreArtist(ranker, timelineCatalog, 'flat', {}), 'dormant'), null);
+  // A weight of 0 switches the penalty off
+  assert.equal(pointsOf(scoreArtist(ranker, timelineCatalog, 'dormant', { weights: { ...ranker.defaultWeights, dormant: 0 } }), 'dormant'), null);
+});
+
+test('recency and cadence follow the release timeline', () => {
+  const ranker = new ArtistRanker();
+  const rising = scoreArtist(ranker, timelineCatalog, 'rising', {});
+  const flat = scoreArtist(ranker, timelineCatalog, 'flat', {});
+
+  assert.equal(pointsOf(rising, 'recency'), ranker.defaultWeights.recency);
+  assert.equal(pointsOf(flat, 'recency'), ranker.defaultWeights.recency);
+  assert.equal(pointsOf(rising, 'cadence'), ranker.defaultWeights.cadence); // A release every 150 days
+  assert.equal(pointsOf(flat, 'cadence'), null); // About three years between releases
+});
+
+test('a rising artist ranks above a flat one with the same label spread', () => {
+  const ranker = new ArtistRanker();
+  const artists = artistsOf(timelineCatalog);
+  const ranked = ranker.rank(artists, { albums: timelineCatalog, labels, now: NOW });
+
+  assert.deepEqual(ranked.map(artist => artist.id), ['rising', 'flat', 'dormant']);
+  assert.equal(pointsOf(ranked[0], 'rising'), ranker.defaultWeights.rising);
+  assert.equal(pointsOf(ranked[1], 'rising'), null);
+
+  const byRising = ranker.rank(artists, { albums: timelineCatalog, labels, now: NOW, sortBy: 'rising' });
+  assert.equal(byRising[0].id, 'rising');
+  assert.equal(byRising[0].recentReleases, 3);
+});
+
+for (const sortBy of ['latest', 'cadence', 'rising']) {
+  test(`the ${sortBy} sort breaks ties by score, then name, then ID`, () => {
+    const ranker = new ArtistRanker();
+    const artists = artistsOf(tiedCatalog);
+    const expected = ['crossover', 'alpha', 'twin-a', 'twin-b'];
+
+    assert.deepEqual(ranker.rank(artists, { albums: tiedCatalog, labels, now: NOW, sortBy }).map(artist => artist.id), expected);
+    assert.deepEqual(ranker.rank([...artists].reverse(), { albums: tiedCatalog, labels, now: NOW, sortBy }).map(artist => artist.id), expected);
+  });
+}
+
+test('the time sorts put artists without the signal last', () => {
+  const ranker = new ArtistRanker();
+  const albums = [
+    ...tiedCatalog,
+    { ...album('Warp', [['undated', 'Undated']], 0), release_date: '' }
+  ];
+  const artists = artistsOf(albums);
+
+  ['latest', 'cadence', 'rising'].forEach((sortBy) => {
+    const ranked = ranker.rank(artists, { albums, labels, now: NOW, sortBy });
+    assert.equal(ranked[ranked.length - 1].id, 'undated', sortBy);
+  });
+});
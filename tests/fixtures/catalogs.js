@@ -0,0 +1,100 @@
+/**
+ * Fixture catalogs for ranking tests: albums carry labelName and release_date like loaded results do
+ * Dates are fixed, so tests pass NOW as the reference time
+ */
+const NOW = Date.UTC(2025, 0, 1);
+const DAY = 86400000;
+
+let nextId = 0;
+
+/**
+ * An album by artists ([id, name] pairs) on a label, released daysAgo before NOW
+ */
+function album(labelName, artists, daysAgo) {
+  nextId++;
+  return {
+    id: `album${nextId}`,
+    name: `Release ${nextId}`,
+    labelName,
+    release_date: new Date(NOW - daysAgo * DAY).toISOString().slice(0, 10),
+    artists: artists.map(([id, name]) => ({ id, name }))
+  };
+}
+
+/**
+ * Artists of a list of albums with their release counts, as the Related Artists drawer passes them
+ */
+function artistsOf(albums) {
+  const artists = new Map();
+  albums.forEach((entry) => {
+    entry.artists.forEach(({ id, name }) => {
+      if (!artists.has(id)) artists.set(id, { id, name, albumCount: 0 });
+      artists.get(id).albumCount++;
+    });
+  });
+  return [...artists.values()];
+}
+
+const aphex = ['aphex', 'Aphex Twin'];
+const boards = ['boards', 'Boards of Canada'];
+const bonobo = ['bonobo', 'Bonobo'];
+const amon = ['amon', 'Amon Tobin'];
+
+/**
+ * Two labels: Aphex Twin on both with three releases each, Boards of Canada on both with one each,
+ * Bonobo on Ninja Tune only and Amon Tobin on Ninja Tune plus three labels outside the selection
+ */
+const twoLabelCatalog = [
+  album('Warp', [aphex], 100),
+  album('Warp', [aphex], 300),
+  album('Warp', [aphex], 500),
+  album('Ninja Tune', [aphex], 200),
+  album('Ninja Tune', [aphex], 400),
+  album('Ninja Tune', [aphex], 600),
+  album('Warp', [boards], 1000),
+  album('Ninja Tune', [boards], 1200),
+  album('Ninja Tune', [bonobo], 50),
+  album('Ninja Tune', [bonobo], 250),
+  album('Ninja Tune', [amon], 700),
+  album('Tigerbeat6', [amon], 900),
+  album('Piranha', [amon], 1100),
+  album('Paradigm', [amon], 1300)
+];
+
+const rising = ['rising', 'Rising Artist'];
+const flat = ['flat', 'Flat Artist'];
+const dormant = ['dormant', 'Dormant Artist'];
+
+/**
+ * Two labels with artists of the same shape but different timelines:
+ * Rising Artist released three times in the last 24 months, Flat Artist once recently and twice years before,
+ * Dormant Artist nothing for more than five years
+ */
+const timelineCatalog = [
+  album('Warp', [rising], 100),
+  album('Warp', [rising], 400),
+  album('Ninja Tune', [rising], 200),
+  album('Warp', [flat], 100),
+  album('Warp', [flat], 2000),
+  album('Ninja Tune', [flat], 1100),
+  album('Warp', [dormant], 2200),
+  album('Warp', [dormant], 2900),
+  album('Ninja Tune', [dormant], 2500)
+];
+
+/**
+ * Artists whose release dates match, so the time sorts tie: Crossover also released on the second label and
+ * scores higher, the rest differ only by name (Alpha) or by ID (the two artists called Twin)
+ */
+const tiedCatalog = [
+  album('Warp', [['twin-b', 'Twin']], 30),
+  album('Warp', [['twin-b', 'Twin']], 90),
+  album('Warp', [['twin-a', 'Twin']], 30),
+  album('Warp', [['twin-a', 'Twin']], 90),
+  album('Warp', [['alpha', 'Alpha']], 30),
+  album('Warp', [['alpha', 'Alpha']], 90),
+  album('Warp', [['crossover', 'Crossover']], 30),
+  album('Ninja Tune', [['crossover', 'Crossover']], 90)
+];
+
+module.exports = { NOW, DAY, album, artistsOf, twoLabelCatalog, timelineCatalog, tiedCatalog };
@@ -0,0 +1,71 @@
+/**
+ * Load utils/ scripts the way the extension does (plain scripts that register on window) and return their classes
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const loaded = new Set();
+
+function loadUtils(...files) {
+  global.window = global.window || {};
+  files.forEach((file) => {
+    if (loaded.has(file)) return;
+    const filename = path.join(__dirname, '..', '..', 'utils', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    loaded.add(file);
+  });
+  return global.window;
+}
+
+/**
+ * In-memory chrome.storage.local with onChanged listeners, enough for code that loads and saves settings
+ */
+function createChromeStorage(initial = {}) {
+  const data = { ...initial };
+  const listeners = [];
+  const calls = { get: 0, set: 0, remove: 0 };
+  const notify = (changes) => listeners.forEach(listener => listener(changes, 'local'));
+
+  return {
+    data,
+    calls,
+    storage: {
+      local: {
+        async get(keys) {
+          calls.get++;
+          const result = {};
+          (keys || Object.keys(data)).forEach((key) => {
+            if (key in data) result[key] = data[key];
+          });
+          return result;
+        },
+        async set(values) {
+          calls.set++;
+          const changes = {};
+          Object.entries(values).forEach(([key, value]) => {
+            changes[key] = { oldValue: data[key], newValue: value };
+            data[key] = value;
+          });
+          notify(changes);
+        },
+        async remove(keys) {
+          calls.remove++;
+          const changes = {};
+          [].concat(keys).forEach((key) => {
+            changes[key] = { oldValue: data[key] };
+            delete data[key];
+          });
+          notify(changes);
+        }
+      },
+      onChanged: {
+        addListener(listener) {
+          listeners.push(listener);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { loadUtils, createChromeStorage };
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUtils } = require('./helpers/load-utils');
+
+const { ScatalogTransfer, escapeHtml } = loadUtils(
+  'html-escape.js',
+  'catalog-query.js',
+  'label-set-operations.js',
+  'album-filter.js',
+  'genre-profiler.js',
+  'label-normalizer.js',
+  'scatalog-transfer.js'
+);
+
+/**
+ * An export document holding the given Scatalog entries
+ */
+function exportOf(...scatalogs) {
+  return JSON.stringify({ format: 'scatalog-export', version: 1, exportedAt: '2025-01-01T00:00:00.000Z', scatalogs });
+}
+
+const entry = {
+  id: 'scatalog_1_abc',
+  name: 'Electronica',
+  labels: ['Warp', 'Ninja Tune'],
+  albums: [{ id: 'album1', labelName: 'Warp' }, { id: 'album2', labelName: 'Ninja Tune' }],
+  artistButtons: [{ id: 'aphex', name: 'Aphex Twin', albumCount: 3, isGray: false, reason: 'top' }]
+};
+
+test('an export imports back to the same Scatalog', () => {
+  const transfer = new ScatalogTransfer();
+  const [scatalog] = transfer.parse(exportOf(entry));
+
+  assert.equal(scatalog.id, entry.id);
+  assert.equal(scatalog.name, 'Electronica');
+  assert.deepEqual(scatalog.labels, ['Warp', 'Ninja Tune']);
+  assert.deepEqual(scatalog.albums, entry.albums);
+  assert.deepEqual(scatalog.artistButtons, entry.artistButtons);
+  assert.equal(scatalog.needsHydration, true);
+});
+
+test('markup in imported names, labels and artists is stripped', () => {
+  const transfer = new ScatalogTransfer();
+  const [scatalog] = transfer.parse(exportOf({
+    ...entry,
+    id: '"><img src=x onerror=alert(1)>',
+    name: 'Mine <img src=x onerror=alert(1)>',
+    labels: ['<script>alert(1)</script>Warp', 'Ninja Tune<b'],
+    albums: [{ id: 'album1', labelName: '<i>Warp</i>' }],
+    artistButtons: [
+      { id: 'aphex', name: '<svg onload=alert(1)>Aphex Twin', explanation: '<img src=x onerror=alert(1)>' },
+      { id: '"><img src=x>', name: 'Bad ID' }
+    ]
+  }));
+
+  assert.equal(scatalog.name, 'Mine');
+  assert.deepEqual(scatalog.labels, ['alert(1)Warp', 'Ninja Tuneb']);
+  assert.notEqual(scatalog.id, '"><img src=x onerror=alert(1)>');
+  assert.match(scatalog.id, /^scatalog_/);
+  assert.deepEqual(scatalog.artistButtons, [{ id: 'aphex', name: 'Aphex Twin', albumCount: 0, isGray: false, reason: null }]);
+  [scatalog.name, ...scatalog.labels, ...scatalog.albums.map(album => album.labelName)].forEach((text) => {
+    assert.doesNotMatch(text, /[<>]/);
+  });
+});
+
+test('a name that is nothing but markup is rejected', () => {
+  const transfer = new ScatalogTransfer();
+  assert.throws(() => transfer.parse(exportOf({ ...entry, name: '<img src=x onerror=alert(1)>' })), /has no name/);
+  assert.throws(() => transfer.parse(exportOf({ ...entry, labels: ['Warp', '<b></b>'] })), /needs a list of label names/);
+});
+
+test('escapeHtml makes names safe in text and quoted attributes', () => {
+  assert.equal(
+    escapeHtml('<img src=x onerror="alert(\'1\')"> & co'),
+    '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt; &amp; co'
+  );
+  assert.equal(escapeHtml(42), '42');
+});
@@ -0,0 +1,158 @@
+/**
+ * Advanced filters for catalog views: release year range, release type, track count,
+ * Various Artists, per-label toggles, artist genres and label set operations (see LabelSetOperations)
+ * Filter state is a plain object so it can be saved with Scatalogs and exported
+ */
+class AlbumFilter {
+  constructor() {
+    this.releaseTypes = ['album', 'single', 'compilation'];
+    this.variousArtistsModes = ['any', 'only', 'exclude'];
+    this.variousArtistsNames = ['various artists', 'verschiedene interpreten', 'va'];
+    this.catalogQuery = new CatalogQuery(); // Parses the search box text
+    this.labelSets = new LabelSetOperations(name => this.variousArtistsNames.includes(name));
+  }
+
+  /**
+   * Filter state that lets every release through
+   * null bounds are open, so releases added later are not cut off by a stale range
+   */
+  getDefaults() {
+    return {
+      yearMin: null,
+      yearMax: null,
+      releaseTypes: [...this.releaseTypes],
+      minTracks: null,
+      maxTracks: null,
+      variousArtists: 'any',
+      hiddenLabels: [],
+      genres: [],
+      labelSetMode: 'union',
+      labelSetBase: null,
+      labelSetExcluded: null
+    };
+  }
+
+  /**
+   * Turn saved or imported filter state into a complete, valid filter object
+   */
+  normalize(filters = {}) {
+    const source = filters && typeof filters === 'object' ? filters : {};
+    const toNumber = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+    const releaseTypes = Array.isArray(source.releaseTypes)
+      ? source.releaseTypes.filter(type => this.releaseTypes.includes(type))
+      : [...this.releaseTypes];
+
+    return {
+      yearMin: toNumber(source.yearMin),
+      yearMax: toNumber(source.yearMax),
+      releaseTypes,
+      minTracks: toNumber(source.minTracks),
+      maxTracks: toNumber(source.maxTracks),
+      variousArtists: this.variousArtistsModes.includes(source.variousArtists) ? source.variousArtists : 'any',
+      hiddenLabels: Array.isArray(source.hiddenLabels)
+        ? source.hiddenLabels.filter(label => typeof label === 'string')
+        : [],
+      genres: Array.isArray(source.genres)
+        ? source.genres.filter(genre => typeof genre === 'string')
+        : [],
+      labelSetMode: this.labelSets.modes.includes(source.labelSetMode) ? source.labelSetMode : 'union',
+      labelSetBase: typeof source.labelSetBase === 'string' ? source.labelSetBase : null,
+      labelSetExcluded: typeof source.labelSetExcluded === 'string' ? source.labelSetExcluded : null
+    };
+  }
+
+  /**
+   * Number of filter groups that currently hide releases
+   */
+  countActive(filters) {
+    let count = 0;
+    if (filters.yearMin !== null || filters.yearMax !== null) count++;
+    if (filters.releaseTypes.length < this.releaseTypes.length) count++;
+    if (filters.minTracks !== null || filters.maxTracks !== null) count++;
+    if (filters.variousArtists !== 'any') count++;
+    if (filters.hiddenLabels.length > 0) count++;
+    if (filters.genres.length > 0) count++;
+    if (filters.labelSetMode !== 'union') count++;
+    return count;
+  }
+
+  /**
+   * Release year of an album (release_date is YYYY, YYYY-MM or YYYY-MM-DD)
+   */
+  getYear(album) {
+    const year = parseInt(album.release_date, 10);
+    return Number.isNaN(year) ? null : year;
+  }
+
+  /**
+   * Earliest and latest release year in a list of albums
+   */
+  getYearBounds(albums) {
+    const years = albums.map(album => this.getYear(album)).filter(year => year !== null);
+    if (years.length === 0) {
+      return null;
+    }
+    return { min: Math.min(...years), max: Math.max(...years) };
+  }
+
+  /**
+   * Whether an album is a Various Artists compilation
+   */
+  isVariousArtists(album) {
+    return (album.artists || []).some(artist => this.variousArtistsNames.includes((artist.name || '').toLowerCase()));
+  }
+
+  /**
+   * Genres of an album's artists; artists only carry genres once they have been looked up
+   */
+  getGenres(album) {
+    const genres = new Set();
+    (album.artists || []).forEach(artist => (artist.genres || []).forEach(genre => genres.add(genre)));
+    return [...genres];
+  }
+
+  /**
+   * Whether an album passes the advanced filters
+   */
+  matches(album, filters) {
+    const year = this.getYear(album);
+    if (filters.yearMin !== null && (year === null || year < filters.yearMin)) return false;
+    if (filters.yearMax !== null && (year === null || year > filters.yearMax)) return false;
+
+    // Albums without a type (older saved data) are kept
+    if (album.album_type && !filters.releaseTypes.includes(album.album_type)) return false;
+
+    const tracks = album.total_tracks;
+    if (filters.minTracks !== null && typeof tracks === 'number' && tracks < filters.minTracks) return false;
+    if (filters.maxTracks !== null && typeof tracks === 'number' && tracks > filters.maxTracks) return false;
+
+    if (filters.variousArtists !== 'any') {
+      const isVariousArtists = this.isVariousArtists(album);
+      if (filters.variousArtists === 'only' && !isVariousArtists) return false;
+      if (filters.variousArtists === 'exclude' && isVariousArtists) return false;
+    }
+
+    if (album.labelName && filters.hiddenLabels.includes(album.labelName)) return false;
+
+    // Any of the selected genres
+    if (filters.genres.length > 0 && !this.getGenres(album).some(genre => filters.genres.includes(genre))) return false;
+
+    return true;
+  }
+
+  /**
+   * Albums that pass the label set operation, the search query (see CatalogQuery) and the advanced filters
+   * The set operation looks at all given albums, so pass the complete catalog
+   */
+  apply(albums, filters, searchTerm = '') {
+    const query = this.catalogQuery.parse(searchTerm);
+    return this.labelSets.select(albums, filters.labelSetMode, filters.labelSetBase, filters.labelSetExcluded)
+      .filter(album => this.catalogQuery.matches(album, query) && this.matches(album, filters));
+  }
+}
+
+// Make AlbumFilter available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.AlbumFilter = AlbumFilter;
+}
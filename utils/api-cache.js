@@ -0,0 +1,499 @@
+/**
+ * Persistent response cache for the Spotify API wrapper
+ * Stores entries in chrome.storage.local with per-entity TTLs and LRU eviction
+ */
+class ApiCache {
+  constructor(options = {}) {
+    this.prefix = 'cache_'; // Same prefix the background worker cleans up
+    this.indexKey = 'cache_index';
+    this.maxBytesKey = 'cacheMaxBytes';
+    this.defaultMaxBytes = options.maxBytes || 20 * 1024 * 1024; // 20 MB
+    this.memory = new Map(); // Hot layer for the current page
+    this.pendingTouches = new Map(); // Batched LRU updates
+    this.touchFlushTimeout = null;
+    this.indexUpdate = Promise.resolve(); // Serializes index read-modify-write cycles
+    this.shutdownInitiated = false;
+
+    // Time to live per entity type, derived from the cache key prefix
+    this.ttls = {
+      'label': 24 * 60 * 60 * 1000, // Label searches pick up new releases daily
+      'artist-albums': 24 * 60 * 60 * 1000,
+      'artist-details': 7 * 24 * 60 * 60 * 1000,
+      'album-details': 30 * 24 * 60 * 60 * 1000, // Album labels rarely change
+      'artist-labels': 3 * 24 * 60 * 60 * 1000,
+      'album-tracks': 30 * 24 * 60 * 60 * 1000,
+      'track-details': 7 * 24 * 60 * 60 * 1000, // Popularity drifts slowly
+      'default': 24 * 60 * 60 * 1000,
+      ...(options.ttls || {})
+    };
+  }
+
+  /**
+   * Check if chrome.storage is still reachable
+   */
+  isStorageAvailable() {
+    if (this.shutdownInitiated) return false;
+
+    try {
+      return !!(chrome.runtime && chrome.runtime.id && chrome.storage && chrome.storage.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Safe wrapper for chrome.storage operations
+   */
+  async safeStorageOperation(operation) {
+    if (!this.isStorageAvailable()) {
+      return null;
+    }
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.message && (error.message.includes('Extension context invalidated') ||
+                           error.message.includes('Cannot access chrome'))) {
+        this.shutdownInitiated = true;
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the entity type for a cache key (e.g. "album-details:123" -> "album-details")
+   */
+  getEntityType(key) {
+    const type = key.split(':')[0];
+    return this.ttls[type] ? type : 'default';
+  }
+
+  /**
+   * Get the storage key for a cache key
+   */
+  getStorageKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Measure the stored size of a value in bytes
+   */
+  measureBytes(key, value) {
+    const json = JSON.stringify(value);
+    return new TextEncoder().encode(key + json).length;
+  }
+
+  /**
+   * Get the configured byte budget
+   */
+  async getMaxBytes() {
+    const result = await this.safeStorageOperation(() => chrome.storage.local.get([this.maxBytesKey]));
+    return (result && result[this.maxBytesKey]) || this.defaultMaxBytes;
+  }
+
+  /**
+   * Set the byte budget and evict entries that no longer fit
+   */
+  async setMaxBytes(maxBytes) {
+    await this.safeStorageOperation(() => chrome.storage.local.set({ [this.maxBytesKey]: maxBytes }));
+
+    await this.updateIndex(index => this.evict(index, maxBytes));
+  }
+
+  /**
+   * Load the cache index ({ key: { type, size, timestamp, lastAccess } })
+   */
+  async loadIndex() {
+    const result = await this.safeStorageOperation(() => chrome.storage.local.get([this.indexKey]));
+    return (result && result[this.indexKey]) || {};
+  }
+
+  /**
+   * Persist the cache index
+   */
+  async saveIndex(index) {
+    await this.safeStorageOperation(() => chrome.storage.local.set({ [this.indexKey]: index }));
+  }
+
+  /**
+   * Load, change and save the index after any pending update
+   * Concurrent responses would otherwise overwrite each other's entries
+   * The mutator returns false to skip saving
+   */
+  updateIndex(mutate) {
+    const run = async () => {
+      const index = await this.loadIndex();
+      const result = await mutate(index);
+      if (result !== false) {
+        await this.saveIndex(index);
+      }
+    };
+
+    this.indexUpdate = this.indexUpdate.then(run, run);
+    return this.indexUpdate;
+  }
+
+  /**
+   * Get a cached value, or null if missing or expired
+   */
+  async get(key) {
+    const now = Date.now();
+
+    // Check memory layer first
+    const memoryEntry = this.memory.get(key);
+    if (memoryEntry) {
+      if (now < memoryEntry.expiresAt) {
+        this.touch(key, now);
+        return memoryEntry.data;
+      }
+      this.memory.delete(key);
+    }
+
+    try {
+      const storageKey = this.getStorageKey(key);
+      const result = await this.safeStorageOperation(() => chrome.storage.local.get([storageKey]));
+      const entry = result && result[storageKey];
+
+      if (!entry) {
+        return null;
+      }
+
+      if (!entry.expiresAt || now >= entry.expiresAt) {
+        await this.delete(key);
+        return null;
+      }
+
+      this.memory.set(key, entry);
+      this.touch(key, now);
+      return entry.data;
+    } catch (error) {
+      console.error('Failed to read cache entry:', key, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get several cached values with one storage read
+   * Batch lookups use this so a warm cache doesn't cost a storage round trip per entry
+   * @returns {Promise<Map<string, *>>} key -> data of the entries found; missing and expired keys are left out
+   */
+  async getMany(keys) {
+    const now = Date.now();
+    const found = new Map();
+    const storageKeys = [];
+
+    keys.forEach((key) => {
+      const memoryEntry = this.memory.get(key);
+      if (memoryEntry && now < memoryEntry.expiresAt) {
+        found.set(key, memoryEntry.data);
+        this.touch(key, now);
+      } else {
+        this.memory.delete(key);
+        storageKeys.push(this.getStorageKey(key));
+      }
+    });
+
+    if (storageKeys.length === 0) {
+      return found;
+    }
+
+    try {
+      const result = await this.safeStorageOperation(() => chrome.storage.local.get(storageKeys));
+      if (!result) return found;
+
+      const expiredKeys = [];
+      storageKeys.forEach((storageKey) => {
+        const entry = result[storageKey];
+        if (!entry) return;
+
+        const key = storageKey.slice(this.prefix.length);
+        if (!entry.expiresAt || now >= entry.expiresAt) {
+          expiredKeys.push(key);
+          return;
+        }
+        this.memory.set(key, entry);
+        this.touch(key, now);
+        found.set(key, entry.data);
+      });
+
+      if (expiredKeys.length > 0) {
+        await this.deleteMany(expiredKeys);
+      }
+    } catch (error) {
+      console.error('Failed to read cache entries:', keys, error);
+    }
+    return found;
+  }
+
+  /**
+   * Store a value with the TTL of its entity type
+   */
+  async set(key, data) {
+    await this.setMany([[key, data]]);
+  }
+
+  /**
+   * Store several values with one storage write and one index update
+   * Batch responses use this so a large catalog doesn't cost an index round trip per entry
+   * @param {Array<[string, *]>} entries - [key, data] pairs
+   */
+  async setMany(entries) {
+    if (entries.length === 0) return;
+
+    const now = Date.now();
+    const stored = {};
+    const metas = {};
+
+    try {
+      const maxBytes = await this.getMaxBytes();
+
+      entries.forEach(([key, data]) => {
+        const type = this.getEntityType(key);
+        const entry = {
+          data: data,
+          type: type,
+          timestamp: now,
+          expiresAt: now + this.ttls[type]
+        };
+        this.memory.set(key, entry);
+
+        const storageKey = this.getStorageKey(key);
+        const size = this.measureBytes(storageKey, entry);
+
+        // Never let a single entry take over most of the budget
+        if (size > maxBytes / 4) {
+          console.warn(`Cache entry too large to persist (${size} bytes):`, key);
+          return;
+        }
+        stored[storageKey] = entry;
+        metas[key] = { type, size, timestamp: now, lastAccess: now };
+      });
+
+      if (Object.keys(stored).length === 0) return;
+
+      await this.safeStorageOperation(() => chrome.storage.local.set(stored));
+
+      await this.updateIndex(index => {
+        Object.assign(index, metas);
+        return this.evict(index, maxBytes);
+      });
+    } catch (error) {
+      console.error('Failed to write cache entries:', entries.map(([key]) => key), error);
+    }
+  }
+
+  /**
+   * Remove a single entry
+   */
+  async delete(key) {
+    await this.deleteMany([key]);
+  }
+
+  /**
+   * Remove several entries with one storage write and one index update
+   */
+  async deleteMany(keys) {
+    keys.forEach((key) => {
+      this.memory.delete(key);
+      this.pendingTouches.delete(key);
+    });
+
+    try {
+      await this.safeStorageOperation(() => chrome.storage.local.remove(keys.map(key => this.getStorageKey(key))));
+
+      await this.updateIndex(index => {
+        const indexed = keys.filter(key => index[key]);
+        if (indexed.length === 0) return false;
+        indexed.forEach(key => delete index[key]);
+      });
+    } catch (error) {
+      console.error('Failed to delete cache entries:', keys, error);
+    }
+  }
+
+  /**
+   * Evict least recently used entries until the index fits the budget
+   * Mutates the index in place; caller saves it
+   */
+  async evict(index, maxBytes) {
+    let totalBytes = Object.values(index).reduce((sum, meta) => sum + (meta.size || 0), 0);
+    if (totalBytes <= maxBytes) {
+      return [];
+    }
+
+    // Evict down to 90% so we don't evict again on the next write
+    const targetBytes = maxBytes * 0.9;
+    const byLastAccess = Object.entries(index).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    const evictedKeys = [];
+
+    for (const [key, meta] of byLastAccess) {
+      if (totalBytes <= targetBytes) break;
+      totalBytes -= meta.size || 0;
+      evictedKeys.push(key);
+      delete index[key];
+      this.memory.delete(key);
+    }
+
+    if (evictedKeys.length > 0) {
+      await this.safeStorageOperation(() => chrome.storage.local.remove(evictedKeys.map(key => this.getStorageKey(key))));
+      console.log(`Evicted ${evictedKeys.length} cache entries to stay within ${Math.round(maxBytes / 1024)} KB`);
+    }
+
+    return evictedKeys;
+  }
+
+  /**
+   * Record an access for LRU ordering (flushed in batches)
+   */
+  touch(key, time = Date.now()) {
+    this.pendingTouches.set(key, time);
+
+    if (!this.touchFlushTimeout) {
+      this.touchFlushTimeout = setTimeout(() => {
+        this.touchFlushTimeout = null;
+        this.flushTouches();
+      }, 2000);
+    }
+  }
+
+  /**
+   * Write batched access times to the index
+   */
+  async flushTouches() {
+    if (this.pendingTouches.size === 0) return;
+
+    const touches = new Map(this.pendingTouches);
+    this.pendingTouches.clear();
+
+    try {
+      await this.updateIndex(index => {
+        let changed = false;
+
+        touches.forEach((time, key) => {
+          if (index[key] && index[key].lastAccess < time) {
+            index[key].lastAccess = time;
+            changed = true;
+          }
+        });
+
+        return changed;
+      });
+    } catch (error) {
+      console.error('Failed to flush cache access times:', error);
+    }
+  }
+
+  /**
+   * Clear the in-memory layer only (persistent entries are kept)
+   */
+  clearMemory() {
+    this.memory.clear();
+  }
+
+  /**
+   * Clear all cached entries
+   * Runs as an index update, so writes queued before it can't bring back index entries for removed keys
+   * @returns {Promise<number>} entries removed
+   */
+  async clear() {
+    this.memory.clear();
+    this.pendingTouches.clear();
+    if (this.touchFlushTimeout) {
+      clearTimeout(this.touchFlushTimeout);
+      this.touchFlushTimeout = null;
+    }
+
+    let removed = 0;
+    try {
+      await this.updateIndex(async (index) => {
+        const all = await this.safeStorageOperation(() => chrome.storage.local.get());
+        if (!all) return false;
+
+        const cacheKeys = Object.keys(all).filter(key => key.startsWith(this.prefix) && key !== this.indexKey);
+        if (cacheKeys.length > 0) {
+          await this.safeStorageOperation(() => chrome.storage.local.remove(cacheKeys));
+        }
+        Object.keys(index).forEach(key => delete index[key]);
+        removed = cacheKeys.length;
+      });
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove expired entries; entries without a TTL (written by older versions) expire after legacyMaxAge
+   * Runs as an index update, so entries written meanwhile keep their index entries and stay evictable
+   * @returns {Promise<number>} entries removed
+   */
+  async removeExpired(legacyMaxAge = 7 * 24 * 60 * 60 * 1000) {
+    let removed = 0;
+    try {
+      await this.updateIndex(async (index) => {
+        const all = await this.safeStorageOperation(() => chrome.storage.local.get());
+        if (!all) return false;
+
+        const now = Date.now();
+        const expiredKeys = Object.entries(all)
+          .filter(([storageKey, entry]) => storageKey.startsWith(this.prefix) && storageKey !== this.indexKey && entry &&
+            (entry.expiresAt ? entry.expiresAt <= now : entry.timestamp && entry.timestamp < now - legacyMaxAge))
+          .map(([storageKey]) => storageKey);
+        if (expiredKeys.length === 0) return false;
+
+        await this.safeStorageOperation(() => chrome.storage.local.remove(expiredKeys));
+        expiredKeys.forEach((storageKey) => {
+          const key = storageKey.slice(this.prefix.length);
+          delete index[key];
+          this.memory.delete(key);
+          this.pendingTouches.delete(key);
+        });
+        removed = expiredKeys.length;
+      });
+    } catch (error) {
+      console.error('Failed to remove expired cache entries:', error);
+    }
+    return removed;
+  }
+
+  /**
+   * Get cache statistics for inspection (used by the popup)
+   */
+  async getStats() {
+    const index = await this.loadIndex();
+    const maxBytes = await this.getMaxBytes();
+    const byType = {};
+    let totalBytes = 0;
+    let oldest = null;
+    let newest = null;
+
+    Object.values(index).forEach(meta => {
+      if (!byType[meta.type]) {
+        byType[meta.type] = { entries: 0, bytes: 0 };
+      }
+      byType[meta.type].entries++;
+      byType[meta.type].bytes += meta.size || 0;
+      totalBytes += meta.size || 0;
+
+      if (oldest === null || meta.timestamp < oldest) oldest = meta.timestamp;
+      if (newest === null || meta.timestamp > newest) newest = meta.timestamp;
+    });
+
+    return {
+      entries: Object.keys(index).length,
+      bytes: totalBytes,
+      maxBytes,
+      usage: maxBytes > 0 ? totalBytes / maxBytes : 0,
+      byType,
+      oldest,
+      newest,
+      memoryEntries: this.memory.size
+    };
+  }
+}
+
+// Make ApiCache available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.ApiCache = ApiCache;
+}
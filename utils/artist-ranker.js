@@ -0,0 +1,358 @@
+/**
+ * Scores the artists of the current results for the Related Artists drawer
+ * Each factor looks at an artist's releases across the loaded labels and gives a share (0-1) of its weight;
+ * penalty factors take their points off instead. Weights are user-tunable (chrome.storage.local) and every
+ * score keeps its per-factor breakdown.
+ * Scoring is pure: the same albums, labels, weights and reference time always give the same order
+ */
+class ArtistRanker {
+  constructor() {
+    this.storageKey = 'recommendationWeights';
+    this.loading = null; // Pending or finished load() of the stored weights
+    this.factors = [];
+    this.defaultWeights = {};
+    this.weights = {};
+    this.dayMs = 86400000;
+    this.risingWindowDays = 730; // Releases in the last 24 months count as recent
+    this.dormantAfterDays = 1826; // No release in five years
+    this.sortOptions = {
+      score: 'Score',
+      latest: 'Latest release',
+      cadence: 'Release cadence',
+      rising: 'Rising'
+    };
+
+    this.addFactor({
+      id: 'crossLabel',
+      name: 'Shared labels',
+      description: 'Releases on all or several of the selected labels',
+      weight: 100,
+      evaluate: (profile, context) => {
+        if (context.labels.length < 2) return null;
+        const shared = context.labels.filter(label => profile.albumsPerLabel.has(label));
+        if (shared.length === context.labels.length) {
+          return { share: 1, reason: `appears on all ${shared.length} selected labels`, detail: `Appears on all selected labels: ${shared.join(', ')}` };
+        }
+        if (shared.length > 1) {
+          // 60% plus 10% per shared label, as spanning labels ranks just below all of them
+          return { share: Math.min(0.6 + shared.length * 0.1, 1), reason: `spans ${shared.length} of your selected labels`, detail: `Spans labels: ${shared.join(', ')}` };
+        }
+        return null;
+      }
+    });
+    this.addFactor({
+      id: 'activity',
+      name: 'Activity',
+      description: 'Releases per label',
+      weight: 30,
+      evaluate: (profile) => {
+        const perLabel = profile.albumCount / profile.albumsPerLabel.size;
+        if (perLabel >= 3) {
+          return { share: 1, reason: 'prolific across labels', detail: `${Math.round(perLabel)} releases per label (high activity)` };
+        }
+        if (perLabel >= 2) {
+          return { share: 2 / 3, reason: 'regular across labels', detail: 'Multiple releases on most labels' };
+        }
+        return { share: 1 / 3, reason: 'selective collaborator', detail: 'Selective label partnerships' };
+      }
+    });
+    this.addFactor({
+      id: 'originalArtist',
+      name: 'Original artist',
+      description: 'The artist the catalog was opened from',
+      weight: 50,
+      evaluate: (profile, context) => {
+        if (!context.originalArtist || profile.name.toLowerCase() !== context.originalArtist.toLowerCase()) return null;
+        return { share: 1, reason: 'the artist you originally clicked', detail: 'The artist you originally clicked' };
+      }
+    });
+    this.addFactor({
+      id: 'network',
+      name: 'Label network',
+      description: 'Number of labels the artist released on',
+      weight: 25,
+      evaluate: (profile) => {
+        const labels = profile.albumsPerLabel.size;
+        if (labels >= 10) return { share: 1, reason: 'extensive label network', detail: `Extensive network: ${labels}+ labels` };
+        if (labels >= 5) return { share: 0.6, reason: 'good label network', detail: `Works with ${labels} different labels` };
+        if (labels >= 3) return { share: 0.32, reason: 'some label connections', detail: `Releases on ${labels} labels` };
+        return null;
+      }
+    });
+    this.addFactor({
+      id: 'recency',
+      name: 'Recency',
+      description: 'How recently the artist last released on the labels',
+      weight: 40,
+      evaluate: (profile, context) => {
+        if (profile.latestRelease === null) return null;
+        const days = (context.now - profile.latestRelease) / this.dayMs;
+        const detail = `Latest release ${this.formatDate(profile.latestRelease)} on ${profile.latestLabel} (${this.formatAge(days)})`;
+        if (days <= 365) return { share: 1, reason: 'released in the past year', detail };
+        if (days <= 730) return { share: 0.75, reason: 'released in the past two years', detail };
+        if (days <= this.dormantAfterDays) return { share: 0.4, reason: 'released in the past five years', detail };
+        return null;
+      }
+    });
+    this.addFactor({
+      id: 'cadence',
+      name: 'Cadence',
+      description: 'Typical wait between the artist\'s releases',
+      weight: 20,
+      evaluate: (profile) => {
+        if (profile.medianGapDays === null) return null;
+        const detail = `A release every ${this.formatAge(profile.medianGapDays).replace(' ago', '')}`;
+        if (profile.medianGapDays <= 180) return { share: 1, reason: 'releases often', detail };
+        if (profile.medianGapDays <= 365) return { share: 0.6, reason: 'releases yearly', detail };
+        if (profile.medianGapDays <= 730) return { share: 0.3, reason: 'releases every other year', detail };
+        return null;
+      }
+    });
+    this.addFactor({
+      id: 'rising',
+      name: 'Rising',
+      description: 'Most releases came out in the last 24 months',
+      weight: 35,
+      evaluate: (profile) => {
+        if (profile.recentReleases < 2 || profile.recentReleases / profile.datedReleases < 0.6) return null;
+        return {
+          share: profile.recentReleases / profile.datedReleases,
+          reason: 'rising artist',
+          detail: `${profile.recentReleases} of ${profile.datedReleases} releases in the last 24 months`
+        };
+      }
+    });
+    this.addFactor({
+      id: 'dormant',
+      name: 'Dormant',
+      description: 'Points taken off artists without a release in five years',
+      weight: 30,
+      penalty: true,
+      evaluate: (profile, context) => {
+        if (profile.latestRelease === null || context.now - profile.latestRelease <= this.dormantAfterDays * this.dayMs) return null;
+        return { share: 1, reason: 'dormant', detail: `No release since ${this.formatDate(profile.latestRelease)}` };
+      }
+    });
+    this.addFactor({
+      id: 'balance',
+      name: 'Balance',
+      description: 'Similar release counts on each label',
+      weight: 15,
+      evaluate: (profile, context) => {
+        if (context.labels.length < 2 || profile.albumsPerLabel.size < 2) return null;
+        const counts = [...profile.albumsPerLabel.values()];
+        if (Math.min(...counts) / Math.max(...counts) < 0.7) return null;
+        return { share: 1, reason: 'balanced across labels', detail: 'Consistent activity across labels' };
+      }
+    });
+  }
+
+  /**
+   * Register a scoring factor
+   * @param {Object} factor - { id, name, description, weight, penalty, evaluate(profile, context) -> { share, reason, detail } | null }
+   */
+  addFactor(factor) {
+    this.factors = this.factors.filter(existing => existing.id !== factor.id).concat(factor);
+    this.defaultWeights[factor.id] = factor.weight;
+    this.weights[factor.id] = factor.weight;
+  }
+
+  /**
+   * Weights with unknown factors dropped and missing or invalid ones set to their default
+   */
+  normalizeWeights(weights) {
+    const normalized = {};
+    this.factors.forEach((factor) => {
+      // Number() would turn null and '' into a weight of 0
+      const raw = weights ? weights[factor.id] : null;
+      const value = raw === null || raw === '' ? NaN : Number(raw);
+      normalized[factor.id] = Number.isFinite(value) && value >= 0 ? value : this.defaultWeights[factor.id];
+    });
+    return normalized;
+  }
+
+  /**
+   * Releases of every artist per label and over time, from albums carrying labelName and release_date
+   * @param {number} now - Reference time for recent releases
+   * @returns {Map<string, { id, name, albumCount, albumsPerLabel: Map<string, number>, latestRelease, latestLabel,
+   *   medianGapDays, datedReleases, recentReleases }>}
+   */
+  buildProfiles(albums, now) {
+    const profiles = new Map();
+    albums.forEach((album) => {
+      const time = Date.parse(album.release_date);
+      (album.artists || []).forEach((artist) => {
+        if (!artist.id) return;
+        if (!profiles.has(artist.id)) {
+          profiles.set(artist.id, { id: artist.id, name: artist.name || '', albumCount: 0, albumsPerLabel: new Map(), times: [], latestLabel: null });
+        }
+        const profile = profiles.get(artist.id);
+        profile.albumCount++;
+        profile.albumsPerLabel.set(album.labelName, (profile.albumsPerLabel.get(album.labelName) || 0) + 1);
+        if (!Number.isNaN(time)) {
+          if (profile.times.length === 0 || time > Math.max(...profile.times)) {
+            profile.latestLabel = album.labelName;
+          }
+          profile.times.push(time);
+        }
+      });
+    });
+
+    profiles.forEach((profile) => {
+      const times = profile.times.sort((a, b) => a - b);
+      const gaps = times.slice(1).map((time, index) => (time - times[index]) / this.dayMs);
+      profile.latestRelease = times.length > 0 ? times[times.length - 1] : null;
+      profile.medianGapDays = gaps.length > 0 ? this.median(gaps) : null;
+      profile.datedReleases = times.length;
+      profile.recentReleases = times.filter(time => now - time <= this.risingWindowDays * this.dayMs).length;
+    });
+    return profiles;
+  }
+
+  /**
+   * Median of a list of numbers
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Month and year of a timestamp, e.g. "Mar 2024"
+   */
+  formatDate(time) {
+    return new Date(time).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * A span of days in words, e.g. "3 weeks ago", "8 months ago", "4 years ago"
+   */
+  formatAge(days) {
+    if (days < 14) return `${Math.max(Math.round(days), 0)} day${Math.round(days) !== 1 ? 's' : ''} ago`;
+    if (days < 61) return `${Math.round(days / 7)} weeks ago`;
+    if (days < 730) return `${Math.round(days / 30.44)} months ago`;
+    return `${Math.round(days / 365.25)} years ago`;
+  }
+
+  /**
+   * Score one artist profile
+   * @returns {{ score, factors: Array<{ id, name, points, reason, detail }> }} factors that applied, highest first
+   */
+  score(profile, context) {
+    const weights = context.weights || this.weights;
+    const factors = [];
+    this.factors.forEach((factor) => {
+      const result = factor.evaluate(profile, context);
+      if (!result || !weights[factor.id]) return;
+      const points = Math.round(weights[factor.id] * result.share);
+      factors.push({
+        id: factor.id,
+        name: factor.name,
+        points: factor.penalty ? -points : points,
+        reason: result.reason,
+        detail: result.detail
+      });
+    });
+    factors.sort((a, b) => b.points - a.points);
+
+    return {
+      score: factors.reduce((sum, factor) => sum + factor.points, 0),
+      factors
+    };
+  }
+
+  /**
+   * Rank artists ({ id, name, albumCount }); artists without releases in the albums are left out
+   * sortBy is one of sortOptions: score, latest release, shortest median gap or share of recent releases.
+   * Ties go to the higher score, more releases, then name and ID, so the order is stable
+   * @param {Object} context - { albums, labels, originalArtist, weights, sortBy, now }
+   */
+  rank(artists, { albums, labels, originalArtist = null, weights = this.weights, sortBy = 'score', now = Date.now() }) {
+    const profiles = this.buildProfiles(albums, now);
+    const context = { labels, originalArtist, now, weights: this.normalizeWeights(weights) };
+    const signal = {
+      score: () => 0,
+      latest: recommendation => recommendation.latestRelease ?? -Infinity,
+      cadence: recommendation => (recommendation.medianGapDays === null ? -Infinity : -recommendation.medianGapDays),
+      rising: recommendation => (recommendation.datedReleases > 0 ? recommendation.recentReleases / recommendation.datedReleases : -Infinity)
+    }[sortBy] || (() => 0);
+
+    return artists
+      .filter(artist => profiles.has(artist.id))
+      .map((artist) => {
+        const profile = profiles.get(artist.id);
+        const { score, factors } = this.score(profile, context);
+        return {
+          ...artist,
+          totalLabelsCount: profile.albumsPerLabel.size,
+          latestRelease: profile.latestRelease,
+          medianGapDays: profile.medianGapDays,
+          datedReleases: profile.datedReleases,
+          recentReleases: profile.recentReleases,
+          score,
+          factors,
+          reason: factors.length > 0 ? factors[0].reason : 'featured artist',
+          explanation: factors.map(factor => `• ${factor.detail}`).join('\n')
+        };
+      })
+      .sort((a, b) => signal(b) - signal(a) ||
+        b.score - a.score ||
+        (b.albumCount || 0) - (a.albumCount || 0) ||
+        a.name.localeCompare(b.name) ||
+        a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Per-factor breakdown of a ranked artist, one line per factor
+   */
+  describe(recommendation) {
+    return [
+      `${recommendation.name}: ${recommendation.score} point${recommendation.score !== 1 ? 's' : ''}`,
+      ...recommendation.factors.map(factor => `${factor.points >= 0 ? '+' : ''}${factor.points} ${factor.name} – ${factor.detail}`)
+    ].join('\n');
+  }
+
+  /**
+   * Load the stored weights once and keep them in sync with changes made in the popup
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const result = await chrome.storage.local.get([this.storageKey]);
+          this.weights = this.normalizeWeights(result[this.storageKey]);
+          chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes[this.storageKey]) {
+              this.weights = this.normalizeWeights(changes[this.storageKey].newValue);
+            }
+          });
+        } catch (error) {
+          console.warn('Failed to load recommendation weights:', error);
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Store new weights
+   */
+  async saveWeights(weights) {
+    this.weights = this.normalizeWeights(weights);
+    await chrome.storage.local.set({ [this.storageKey]: this.weights });
+  }
+
+  /**
+   * Go back to the default weights
+   */
+  async resetWeights() {
+    this.weights = { ...this.defaultWeights };
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
+
+// Make ArtistRanker available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.ArtistRanker = ArtistRanker;
+}
@@ -0,0 +1,257 @@
+/**
+ * Query language for the catalog search box
+ *
+ * Syntax:
+ * - Plain words match release or artist names: burial untrue
+ * - Quoted phrases keep their spaces: "night bus"
+ * - Fields: artist:, album: (or title:), label:, year:, type:, tracks:
+ *   year and tracks take a number, a range (2010-2015) or a bound (>2010, <=12)
+ * - A leading - negates a term: -remix, -type:single
+ * - OR (or |) between terms matches either side and binds tighter than the implicit AND:
+ *   artist:burial OR artist:kode9 year:2010-2015 -> (artist:burial OR artist:kode9) AND year:2010-2015
+ *
+ * Parsing never fails: incomplete input (an open quote, a trailing OR) is read as far as it makes sense
+ */
+class CatalogQuery {
+  constructor() {
+    this.fieldAliases = {
+      artist: 'artist',
+      album: 'album',
+      title: 'album',
+      label: 'label',
+      year: 'year',
+      type: 'type',
+      tracks: 'tracks'
+    };
+    this.numericFields = ['year', 'tracks'];
+    this.lastText = null;
+    this.lastQuery = null;
+  }
+
+  /**
+   * Split query text into terms and OR operators
+   */
+  tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+        continue;
+      }
+
+      if (text[index] === '|') {
+        tokens.push({ type: 'or' });
+        index++;
+        continue;
+      }
+
+      const token = { type: 'term', negated: false, field: null, value: '', quoted: false };
+      if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+        token.negated = true;
+        index++;
+      }
+
+      const fieldMatch = /^([a-z]+):/i.exec(text.slice(index));
+      if (fieldMatch && this.fieldAliases[fieldMatch[1].toLowerCase()]) {
+        token.field = this.fieldAliases[fieldMatch[1].toLowerCase()];
+        index += fieldMatch[0].length;
+      }
+
+      if (text[index] === '"') {
+        const end = text.indexOf('"', index + 1);
+        const stop = end === -1 ? text.length : end;
+        token.value = text.slice(index + 1, stop);
+        token.quoted = true;
+        index = stop + 1;
+      } else {
+        const start = index;
+        while (index < text.length && !/[\s|]/.test(text[index])) {
+          index++;
+        }
+        token.value = text.slice(start, index);
+      }
+
+      if (!token.quoted && !token.negated && !token.field && token.value === 'OR') {
+        tokens.push({ type: 'or' });
+        continue;
+      }
+
+      token.value = token.value.trim().toLowerCase();
+      if (token.value !== '') {
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse query text into clauses: every clause must match, a clause matches when any of its terms does
+   * The last parsed query is kept, since the same text is matched against every album
+   */
+  parse(text = '') {
+    if (text === this.lastText) {
+      return this.lastQuery;
+    }
+
+    const clauses = [];
+    let joinNext = false;
+
+    this.tokenize(text).forEach((token) => {
+      if (token.type === 'or') {
+        joinNext = clauses.length > 0;
+        return;
+      }
+
+      const term = this.numericFields.includes(token.field)
+        ? { ...token, range: this.parseRange(token.value) }
+        : token;
+
+      if (joinNext) {
+        clauses[clauses.length - 1].push(term);
+      } else {
+        clauses.push([term]);
+      }
+      joinNext = false;
+    });
+
+    this.lastText = text;
+    this.lastQuery = { clauses };
+    return this.lastQuery;
+  }
+
+  /**
+   * Read a numeric value: 2010, 2010-2015, >2010, >=2010, <2010 or <=2010
+   * Returns { min, max } with null for an open end, or null when the value is not numeric
+   */
+  parseRange(value) {
+    let match = /^(\d+)-(\d*)$/.exec(value);
+    if (match) {
+      return { min: parseInt(match[1], 10), max: match[2] ? parseInt(match[2], 10) : null };
+    }
+
+    match = /^(<=|>=|<|>)(\d+)$/.exec(value);
+    if (match) {
+      const number = parseInt(match[2], 10);
+      switch (match[1]) {
+        case '>': return { min: number + 1, max: null };
+        case '>=': return { min: number, max: null };
+        case '<': return { min: null, max: number - 1 };
+        default: return { min: null, max: number };
+      }
+    }
+
+    if (/^\d+$/.test(value)) {
+      const number = parseInt(value, 10);
+      return { min: number, max: number };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a query has no terms
+   */
+  isEmpty(query) {
+    return query.clauses.length === 0;
+  }
+
+  /**
+   * Whether an album matches a parsed query
+   */
+  matches(album, query) {
+    return query.clauses.every(clause => clause.some(term => this.matchesTerm(album, term) !== term.negated));
+  }
+
+  /**
+   * Whether an album matches a single term, ignoring its negation
+   */
+  matchesTerm(album, term) {
+    const artistNames = (album.artists || []).map(artist => (artist.name || '').toLowerCase());
+    const albumName = (album.name || '').toLowerCase();
+
+    switch (term.field) {
+      case 'artist':
+        return artistNames.some(name => name.includes(term.value));
+      case 'album':
+        return albumName.includes(term.value);
+      case 'label':
+        return (album.labelName || '').toLowerCase().includes(term.value);
+      case 'type':
+        return (album.album_type || '') === term.value;
+      case 'year':
+        return this.inRange(parseInt(album.release_date, 10), term.range);
+      case 'tracks':
+        return this.inRange(album.total_tracks, term.range);
+      default:
+        return albumName.includes(term.value) || artistNames.some(name => name.includes(term.value));
+    }
+  }
+
+  /**
+   * Whether a number lies in a range from parseRange (an unreadable range matches nothing)
+   */
+  inRange(number, range) {
+    if (!range || typeof number !== 'number' || Number.isNaN(number)) {
+      return false;
+    }
+    return (range.min === null || number >= range.min) && (range.max === null || number <= range.max);
+  }
+
+  /**
+   * Text that should be highlighted in album cards, by where it appears
+   * Negated terms are left out since matching albums never contain them
+   */
+  getHighlightTerms(query) {
+    const terms = { album: [], artist: [], label: [] };
+    query.clauses.forEach(clause => clause.forEach((term) => {
+      if (term.negated) return;
+      if (term.field === null) {
+        terms.album.push(term.value);
+        terms.artist.push(term.value);
+      } else if (terms[term.field]) {
+        terms[term.field].push(term.value);
+      }
+    }));
+    return terms;
+  }
+
+  /**
+   * Escape text for HTML and wrap every occurrence of the given terms in <mark>
+   */
+  highlight(text, terms = []) {
+    const source = String(text);
+    const lower = source.toLowerCase();
+    if (lower.length !== source.length) {
+      return escapeHtml(source); // Lowercasing changed the offsets, so positions can't be mapped back
+    }
+    const marked = new Array(source.length).fill(false);
+
+    terms.forEach((term) => {
+      if (!term) return;
+      for (let start = lower.indexOf(term); start !== -1; start = lower.indexOf(term, start + 1)) {
+        marked.fill(true, start, start + term.length);
+      }
+    });
+
+    let html = '';
+    let index = 0;
+    while (index < source.length) {
+      let end = index;
+      while (end < source.length && marked[end] === marked[index]) {
+        end++;
+      }
+      const part = escapeHtml(source.slice(index, end));
+      html += marked[index] ? `<mark class="search-match">${part}</mark>` : part;
+      index = end;
+    }
+    return html;
+  }
+}
+
+// Make CatalogQuery available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.CatalogQuery = CatalogQuery;
+}
@@ -0,0 +1,283 @@
+/**
+ * Dense table view of catalog releases
+ * Click a header to sort by it, shift-click to add it as a further sort key, click again to flip the order.
+ * Rows are selected with the mouse or the arrow keys; Enter (or a double click) opens the selected
+ * release and Space previews it through the callbacks given to the constructor
+ */
+class CatalogTable {
+  /**
+   * @param {HTMLElement} element - Container the table is rendered into
+   * @param {Object} options
+   * @param {Function} options.onOpen - (album) => void
+   * @param {Function} [options.onPreview] - (album, rowElement) => void
+   * @param {Function} [options.renderText] - (text, field) => HTML, e.g. to highlight search matches
+   *   field is 'album', 'artist' or 'label'
+   * @param {Function} [options.onRender] - Called before the rows are replaced
+   */
+  constructor(element, { onOpen, onPreview = null, renderText = null, onRender = null } = {}) {
+    this.element = element;
+    this.onOpen = onOpen;
+    this.onPreview = onPreview;
+    this.onRender = onRender;
+    this.renderText = renderText || escapeHtml;
+    this.items = []; // Albums in the order they were given
+    this.rows = []; // Albums in table order
+    this.sortKeys = []; // [{ column, order: 'asc' | 'desc' }], first key sorts first
+    this.selectedIndex = -1;
+    this.pageSize = 10; // Rows moved by Page Up / Page Down
+
+    this.columns = [
+      { id: 'name', title: 'Title', value: album => (album.name || '').toLowerCase() },
+      { id: 'artists', title: 'Artists', value: album => (album.artists || []).map(artist => artist.name).join(', ').toLowerCase() },
+      { id: 'label', title: 'Label', value: album => (album.labelName || '').toLowerCase() },
+      { id: 'release_date', title: 'Released', value: album => album.release_date || null },
+      { id: 'type', title: 'Type', value: album => album.album_type || null },
+      { id: 'tracks', title: 'Tracks', numeric: true, value: album => (typeof album.total_tracks === 'number' ? album.total_tracks : null) },
+      { id: 'popularity', title: 'Popularity', numeric: true, value: album => (typeof album.popularity === 'number' ? album.popularity : null) }
+    ];
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    this.element.tabIndex = 0;
+    this.element.addEventListener('click', this.handleClick);
+    this.element.addEventListener('dblclick', this.handleDoubleClick);
+    this.element.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Show a new list of albums, keeping the selection when the selected album is still there
+   */
+  setItems(items) {
+    const selected = this.rows[this.selectedIndex];
+    this.items = items;
+    this.rows = this.sort(items);
+    this.selectedIndex = selected ? this.rows.indexOf(selected) : -1;
+    this.render();
+  }
+
+  /**
+   * Sort by a column; additive adds it as a further key instead of replacing the current ones
+   * A column that is already a key flips its order
+   */
+  toggleSort(columnId, additive = false) {
+    const existing = this.sortKeys.find(key => key.column === columnId);
+    const column = this.columns.find(candidate => candidate.id === columnId);
+    // Numbers and dates start with the highest value
+    const initialOrder = column.numeric || columnId === 'release_date' ? 'desc' : 'asc';
+
+    if (additive) {
+      if (existing) {
+        existing.order = existing.order === 'asc' ? 'desc' : 'asc';
+      } else {
+        this.sortKeys.push({ column: columnId, order: initialOrder });
+      }
+    } else {
+      const order = existing && this.sortKeys.length === 1 ? (existing.order === 'asc' ? 'desc' : 'asc') : initialOrder;
+      this.sortKeys = [{ column: columnId, order }];
+    }
+
+    this.setItems(this.items);
+  }
+
+  /**
+   * Albums sorted by the sort keys; without keys the given order is kept
+   * Empty values go last in either direction
+   */
+  sort(items) {
+    if (this.sortKeys.length === 0) {
+      return [...items];
+    }
+
+    const keys = this.sortKeys.map(key => ({
+      column: this.columns.find(column => column.id === key.column),
+      direction: key.order === 'asc' ? 1 : -1
+    }));
+
+    return items
+      .map((album, position) => ({ album, position, values: keys.map(key => key.column.value(album)) }))
+      .sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+          const valueA = a.values[i];
+          const valueB = b.values[i];
+          if (valueA === valueB) continue;
+          if (valueA === null) return 1;
+          if (valueB === null) return -1;
+          return (valueA < valueB ? -1 : 1) * keys[i].direction;
+        }
+        return a.position - b.position;
+      })
+      .map(entry => entry.album);
+  }
+
+  /**
+   * Render the table
+   */
+  render() {
+    if (this.onRender) this.onRender();
+
+    const header = this.columns.map((column) => {
+      const keyIndex = this.sortKeys.findIndex(key => key.column === column.id);
+      const key = this.sortKeys[keyIndex];
+      const indicator = key
+        ? `<span class="table-sort-indicator">${key.order === 'asc' ? '▲' : '▼'}${this.sortKeys.length > 1 ? `<sup>${keyIndex + 1}</sup>` : ''}</span>`
+        : '';
+      return `<th class="col-${column.id}${key ? ' sorted' : ''}" data-column="${column.id}" title="Sort by ${column.title.toLowerCase()} (shift-click to add)">${column.title}${indicator}</th>`;
+    }).join('');
+
+    const body = this.rows.map((album, index) => `
+      <tr class="table-row${index === this.selectedIndex ? ' selected' : ''}" data-index="${index}">
+        ${this.columns.map(column => `<td class="col-${column.id}">${this.renderCell(album, column)}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    this.element.innerHTML = `
+      <table class="catalog-table">
+        <thead><tr>${header}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * HTML of one cell
+   */
+  renderCell(album, column) {
+    switch (column.id) {
+      case 'name':
+        return this.renderText(album.name || '', 'album');
+      case 'artists':
+        return this.renderText((album.artists || []).map(artist => artist.name).join(', '), 'artist');
+      case 'label':
+        return this.renderText(album.labelName || '', 'label');
+      case 'release_date':
+        return escapeHtml(album.release_date || '–');
+      case 'type':
+        return escapeHtml(album.album_type || '–');
+      case 'tracks':
+        return typeof album.total_tracks === 'number' ? String(album.total_tracks) : '–';
+      case 'popularity':
+        return typeof album.popularity === 'number'
+          ? `<span class="table-popularity" style="--popularity: ${album.popularity}%;">${album.popularity}</span>`
+          : '<span class="table-pending">–</span>';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Re-render the cells of one column in place, e.g. once values have been loaded
+   * When the column is a sort key the whole table is sorted and rendered again
+   */
+  refreshColumn(columnId) {
+    if (this.sortKeys.some(key => key.column === columnId)) {
+      this.setItems(this.items);
+      return;
+    }
+
+    const column = this.columns.find(candidate => candidate.id === columnId);
+    this.element.querySelectorAll(`tbody td.col-${columnId}`).forEach((cell, index) => {
+      cell.innerHTML = this.renderCell(this.rows[index], column);
+    });
+  }
+
+  /**
+   * Select a row and scroll it into view
+   */
+  select(index) {
+    if (this.rows.length === 0) return;
+    const next = Math.max(0, Math.min(this.rows.length - 1, index));
+
+    const previousRow = this.getRowElement(this.selectedIndex);
+    if (previousRow) previousRow.classList.remove('selected');
+
+    this.selectedIndex = next;
+    const row = this.getRowElement(next);
+    if (row) {
+      row.classList.add('selected');
+      row.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Row element for a row index
+   */
+  getRowElement(index) {
+    return index >= 0 ? this.element.querySelector(`tr.table-row[data-index="${index}"]`) : null;
+  }
+
+  /**
+   * Header clicks sort, row clicks select
+   */
+  handleClick(event) {
+    const headerCell = event.target.closest('th[data-column]');
+    if (headerCell) {
+      this.toggleSort(headerCell.dataset.column, event.shiftKey);
+      return;
+    }
+
+    const row = event.target.closest('tr.table-row');
+    if (row) {
+      this.select(parseInt(row.dataset.index, 10));
+      this.element.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Double click opens a release
+   */
+  handleDoubleClick(event) {
+    const row = event.target.closest('tr.table-row');
+    if (row) {
+      this.onOpen(this.rows[parseInt(row.dataset.index, 10)]);
+    }
+  }
+
+  /**
+   * Arrow keys, Page Up/Down and Home/End move the selection; Enter opens, Space previews
+   */
+  handleKeydown(event) {
+    if (event.target !== this.element || this.rows.length === 0) return;
+
+    const moves = {
+      ArrowDown: this.selectedIndex + 1,
+      ArrowUp: this.selectedIndex - 1,
+      PageDown: this.selectedIndex + this.pageSize,
+      PageUp: this.selectedIndex - this.pageSize,
+      Home: 0,
+      End: this.rows.length - 1
+    };
+
+    if (event.key in moves) {
+      event.preventDefault();
+      this.select(this.selectedIndex === -1 ? 0 : moves[event.key]);
+      return;
+    }
+
+    const album = this.rows[this.selectedIndex];
+    if (!album) return;
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.onOpen(album);
+    } else if (event.key === ' ' && this.onPreview) {
+      event.preventDefault();
+      this.onPreview(album, this.getRowElement(this.selectedIndex));
+    }
+  }
+
+  /**
+   * Remove listeners; the container is left as it is
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.handleClick);
+    this.element.removeEventListener('dblclick', this.handleDoubleClick);
+    this.element.removeEventListener('keydown', this.handleKeydown);
+  }
+}
+
+// Make CatalogTable available globally for content script
+if (typeof window !== 'undefined') {
+  window.CatalogTable = CatalogTable;
+}
@@ -0,0 +1,140 @@
+/**
+ * Groups catalog releases by year for the timeline view, splitting dense years into months
+ * Also assigns the per-label colours used by the timeline when several labels are shown
+ */
+class CatalogTimeline {
+  constructor() {
+    this.denseYearThreshold = 24; // Years with more releases are split into months
+    this.monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'];
+    this.labelPalette = ['#1db954', '#509bf5', '#f59b23', '#e8115b', '#af2896', '#27856a', '#ffc864', '#8d67ab'];
+  }
+
+  /**
+   * Year of a release date (YYYY, YYYY-MM or YYYY-MM-DD), null when unknown
+   */
+  getYear(album) {
+    const year = parseInt(album.release_date, 10);
+    return Number.isNaN(year) ? null : year;
+  }
+
+  /**
+   * Month index (0-11) of a release date, null when the date has year precision only
+   */
+  getMonth(album) {
+    const match = /^\d{4}-(\d{2})/.exec(album.release_date || '');
+    return match ? parseInt(match[1], 10) - 1 : null;
+  }
+
+  /**
+   * Group albums into years (newest first unless ascending), each with per-label counts
+   * Dense years get a months list; releases dated by year only end up in an "undated" month
+   * @returns {Array<{ year, albums, labelCounts, months: Array<{ month, name, albums }>|null }>}
+   */
+  group(albums, ascending = false) {
+    const direction = ascending ? 1 : -1;
+    const byYear = new Map();
+
+    albums.forEach((album) => {
+      const year = this.getYear(album);
+      if (!byYear.has(year)) {
+        byYear.set(year, []);
+      }
+      byYear.get(year).push(album);
+    });
+
+    const compareDates = (a, b) => direction * (a.release_date || '').localeCompare(b.release_date || '');
+
+    return [...byYear.entries()]
+      .sort(([yearA], [yearB]) => {
+        // Releases without a date go last in either direction
+        if (yearA === null) return 1;
+        if (yearB === null) return -1;
+        return direction * (yearA - yearB);
+      })
+      .map(([year, yearAlbums]) => {
+        yearAlbums.sort(compareDates);
+        return {
+          year,
+          albums: yearAlbums,
+          labelCounts: this.countByLabel(yearAlbums),
+          months: yearAlbums.length > this.denseYearThreshold ? this.groupByMonth(yearAlbums, direction) : null
+        };
+      });
+  }
+
+  /**
+   * Split the albums of one year into months
+   */
+  groupByMonth(albums, direction) {
+    const byMonth = new Map();
+    albums.forEach((album) => {
+      const month = this.getMonth(album);
+      if (!byMonth.has(month)) {
+        byMonth.set(month, []);
+      }
+      byMonth.get(month).push(album);
+    });
+
+    return [...byMonth.entries()]
+      .sort(([monthA], [monthB]) => {
+        if (monthA === null) return 1;
+        if (monthB === null) return -1;
+        return direction * (monthA - monthB);
+      })
+      .map(([month, monthAlbums]) => ({
+        month,
+        name: month === null ? 'Undated' : this.monthNames[month],
+        albums: monthAlbums
+      }));
+  }
+
+  /**
+   * Number of releases per label name
+   */
+  countByLabel(albums) {
+    const counts = {};
+    albums.forEach((album) => {
+      const label = album.labelName || '';
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Per-year counts for the histogram strip, from the earliest to the latest year with empty years filled in
+   * @returns {Array<{ year, count, labelCounts }>}
+   */
+  getHistogram(groups) {
+    const dated = groups.filter(group => group.year !== null);
+    if (dated.length === 0) {
+      return [];
+    }
+
+    const byYear = new Map(dated.map(group => [group.year, group]));
+    const years = dated.map(group => group.year);
+    const histogram = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+      const group = byYear.get(year);
+      histogram.push({
+        year,
+        count: group ? group.albums.length : 0,
+        labelCounts: group ? group.labelCounts : {}
+      });
+    }
+    return histogram;
+  }
+
+  /**
+   * Colour of a label, stable for its position in the list of shown labels
+   */
+  getLabelColor(labelName, labels) {
+    const index = labels.indexOf(labelName);
+    return this.labelPalette[(index === -1 ? 0 : index) % this.labelPalette.length];
+  }
+}
+
+// Make CatalogTimeline available globally for content script
+if (typeof window !== 'undefined') {
+  window.CatalogTimeline = CatalogTimeline;
+}
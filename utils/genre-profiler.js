@@ -0,0 +1,120 @@
+/**
+ * Genre profiles of labels from the genres of their artists
+ * Every release adds its artists' genres, so a genre's weight is the number of releases tagged with it.
+ * A fingerprint is the compact form saved with Scatalogs: the top genres of a label with their share
+ */
+class GenreProfiler {
+  constructor() {
+    this.albumFilter = new AlbumFilter(); // Album genres and Various Artists detection
+    this.fingerprintSize = 10;
+  }
+
+  /**
+   * Artist IDs of a list of albums whose genres can be looked up (Various Artists credits left out)
+   */
+  getArtistIds(albums) {
+    const ids = new Set();
+    albums.forEach((album) => {
+      (album.artists || []).forEach((artist) => {
+        if (artist.id && !this.albumFilter.variousArtistsNames.includes((artist.name || '').toLowerCase())) {
+          ids.add(artist.id);
+        }
+      });
+    });
+    return [...ids];
+  }
+
+  /**
+   * Genre mix of a list of albums
+   * @returns {Array<{ genre, weight, share }>} most common first, ties by name
+   */
+  profile(albums, limit = this.fingerprintSize) {
+    const weights = new Map();
+    let total = 0;
+    albums.forEach((album) => {
+      this.albumFilter.getGenres(album).forEach((genre) => {
+        weights.set(genre, (weights.get(genre) || 0) + 1);
+        total++;
+      });
+    });
+
+    return [...weights.entries()]
+      .map(([genre, weight]) => ({ genre, weight, share: total > 0 ? weight / total : 0 }))
+      .sort((a, b) => b.weight - a.weight || a.genre.localeCompare(b.genre))
+      .slice(0, limit);
+  }
+
+  /**
+   * Genre fingerprint of every label, from albums carrying labelName
+   * Labels without genre data are left out
+   * @returns {Object<string, Array<{ genre, share }>>}
+   */
+  getFingerprints(albums, labels) {
+    const fingerprints = {};
+    labels.forEach((label) => {
+      const fingerprint = this.profile(albums.filter(album => album.labelName === label))
+        .map(({ genre, share }) => ({ genre, share: Math.round(share * 1000) / 1000 }));
+      if (fingerprint.length > 0) {
+        fingerprints[label] = fingerprint;
+      }
+    });
+    return fingerprints;
+  }
+
+  /**
+   * Average the fingerprints of several labels into one genre list
+   * @returns {Array<{ genre, share }>}
+   */
+  mergeFingerprints(fingerprints, limit = this.fingerprintSize) {
+    const entries = Object.values(fingerprints || {});
+    const shares = new Map();
+    entries.forEach((fingerprint) => {
+      fingerprint.forEach(({ genre, share }) => {
+        shares.set(genre, (shares.get(genre) || 0) + share / entries.length);
+      });
+    });
+
+    return [...shares.entries()]
+      .map(([genre, share]) => ({ genre, share }))
+      .sort((a, b) => b.share - a.share || a.genre.localeCompare(b.genre))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cosine similarity of two genre lists ({ genre, share }), from 0 (no genre in common) to 1 (same mix)
+   */
+  similarity(a, b) {
+    const shares = new Map(b.map(({ genre, share }) => [genre, share]));
+    const dot = a.reduce((sum, { genre, share }) => sum + share * (shares.get(genre) || 0), 0);
+    const length = list => Math.sqrt(list.reduce((sum, { share }) => sum + share * share, 0));
+    const lengths = length(a) * length(b);
+    return lengths > 0 ? dot / lengths : 0;
+  }
+
+  /**
+   * Turn a saved or imported fingerprint map into a valid one
+   */
+  normalizeFingerprints(fingerprints) {
+    const normalized = {};
+    if (!fingerprints || typeof fingerprints !== 'object') {
+      return normalized;
+    }
+
+    Object.entries(fingerprints).forEach(([label, fingerprint]) => {
+      if (!Array.isArray(fingerprint)) return;
+      const entries = fingerprint
+        .filter(entry => entry && typeof entry.genre === 'string' && Number.isFinite(entry.share) && entry.share >= 0)
+        .slice(0, this.fingerprintSize)
+        .map(({ genre, share }) => ({ genre, share: Math.min(share, 1) }));
+      if (entries.length > 0) {
+        normalized[label] = entries;
+      }
+    });
+    return normalized;
+  }
+}
+
+// Make GenreProfiler available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.GenreProfiler = GenreProfiler;
+}
@@ -0,0 +1,331 @@
+/**
+ * SVG rendering of a LabelGraph with a live force layout
+ * Drag the background to pan, scroll to zoom and drag a node to move it; clicking a node goes to onNodeClick.
+ * Node circles grow with their release count; active labels, expanded nodes and a highlighted path get their own classes
+ */
+class GraphView {
+  /**
+   * @param {HTMLElement} element - Container the SVG is rendered into
+   * @param {Object} options
+   * @param {LabelGraph} options.graph
+   * @param {Function} options.onNodeClick - (node) => void
+   * @param {Function} [options.isActiveLabel] - (node) => boolean, e.g. labels shown in the catalog
+   */
+  constructor(element, { graph, onNodeClick, isActiveLabel = null }) {
+    this.element = element;
+    this.graph = graph;
+    this.onNodeClick = onNodeClick;
+    this.isActiveLabel = isActiveLabel || (() => false);
+    this.svgNamespace = 'http://www.w3.org/2000/svg';
+    this.nodeElements = new Map(); // Node ID -> <g>
+    this.edgeElements = new Map(); // Edge key -> <line>
+    this.path = []; // Highlighted path (node IDs)
+    this.selectedId = null;
+    this.loadingIds = new Set(); // Nodes being expanded
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.alpha = 1; // Layout temperature, the simulation stops below minAlpha
+    this.minAlpha = 0.02;
+    this.cooling = 0.97;
+    this.frame = null;
+    this.pointer = null; // Current drag: { mode: 'pan' | 'node', node, startX, startY, moved }
+
+    this.svg = document.createElementNS(this.svgNamespace, 'svg');
+    this.svg.setAttribute('class', 'graph-canvas');
+    this.viewport = document.createElementNS(this.svgNamespace, 'g');
+    this.edgeLayer = document.createElementNS(this.svgNamespace, 'g');
+    this.nodeLayer = document.createElementNS(this.svgNamespace, 'g');
+    this.viewport.append(this.edgeLayer, this.nodeLayer);
+    this.svg.appendChild(this.viewport);
+    this.element.appendChild(this.svg);
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.step = this.step.bind(this);
+
+    this.svg.addEventListener('pointerdown', this.handlePointerDown);
+    this.svg.addEventListener('pointermove', this.handlePointerMove);
+    this.svg.addEventListener('pointerup', this.handlePointerUp);
+    this.svg.addEventListener('pointercancel', this.handlePointerUp);
+    this.svg.addEventListener('wheel', this.handleWheel, { passive: false });
+
+    this.centre();
+    this.refresh();
+  }
+
+  /**
+   * Put the graph origin in the middle of the container
+   */
+  centre() {
+    this.offsetX = (this.element.clientWidth || 600) / 2;
+    this.offsetY = (this.element.clientHeight || 400) / 2;
+    this.applyTransform();
+  }
+
+  /**
+   * Circle radius of a node from its release count
+   */
+  getRadius(node) {
+    const base = node.type === 'label' ? 7 : 4;
+    return Math.min(base + Math.sqrt(node.releases) * (node.type === 'label' ? 1.2 : 1.6), node.type === 'label' ? 34 : 18);
+  }
+
+  /**
+   * Create elements for nodes and edges added to the graph, update classes and restart the layout
+   */
+  refresh() {
+    this.graph.edges.forEach((edge, key) => {
+      if (this.edgeElements.has(key)) return;
+      const line = document.createElementNS(this.svgNamespace, 'line');
+      line.setAttribute('class', 'graph-edge');
+      line.setAttribute('stroke-width', Math.min(1 + Math.log2(edge.weight + 1), 5).toFixed(1));
+      this.edgeLayer.appendChild(line);
+      this.edgeElements.set(key, line);
+    });
+
+    this.graph.nodes.forEach((node) => {
+      let group = this.nodeElements.get(node.id);
+      if (!group) {
+        group = document.createElementNS(this.svgNamespace, 'g');
+        group.dataset.nodeId = node.id;
+        group.append(
+          document.createElementNS(this.svgNamespace, 'circle'),
+          document.createElementNS(this.svgNamespace, 'text'),
+          document.createElementNS(this.svgNamespace, 'title')
+        );
+        this.nodeLayer.appendChild(group);
+        this.nodeElements.set(node.id, group);
+      }
+
+      const radius = this.getRadius(node);
+      const [circle, text, title] = group.children;
+      circle.setAttribute('r', radius.toFixed(1));
+      text.setAttribute('y', (radius + 11).toFixed(1));
+      text.textContent = node.name.length > 28 ? `${node.name.slice(0, 27)}…` : node.name;
+      title.textContent = `${node.name} — ${node.releases} release${node.releases !== 1 ? 's' : ''}${node.expanded ? '' : ` (click to show ${node.type === 'label' ? 'its artists' : 'their labels'})`}`;
+      this.updateNodeClass(node, group);
+    });
+
+    this.updateEdgeClasses();
+    this.reheat(0.8);
+  }
+
+  /**
+   * Classes of one node element
+   */
+  updateNodeClass(node, group = this.nodeElements.get(node.id)) {
+    if (!group) return;
+    const classes = ['graph-node', `graph-node-${node.type}`];
+    if (node.expanded) classes.push('expanded');
+    if (node.type === 'label' && this.isActiveLabel(node)) classes.push('active');
+    if (this.loadingIds.has(node.id)) classes.push('loading');
+    if (node.id === this.selectedId) classes.push('selected');
+    if (this.path.includes(node.id)) classes.push('on-path');
+    group.setAttribute('class', classes.join(' '));
+  }
+
+  /**
+   * Mark edges along the highlighted path
+   */
+  updateEdgeClasses() {
+    const pathEdges = new Set();
+    for (let i = 1; i < this.path.length; i++) {
+      pathEdges.add(`${this.path[i - 1]}|${this.path[i]}`);
+      pathEdges.add(`${this.path[i]}|${this.path[i - 1]}`);
+    }
+    this.edgeElements.forEach((line, key) => {
+      line.setAttribute('class', pathEdges.has(key) ? 'graph-edge on-path' : 'graph-edge');
+    });
+  }
+
+  /**
+   * Highlight a path (node IDs); an empty list clears it
+   */
+  setPath(path) {
+    this.path = path || [];
+    this.graph.nodes.forEach(node => this.updateNodeClass(node));
+    this.updateEdgeClasses();
+  }
+
+  /**
+   * Select a node (or none with null)
+   */
+  select(nodeId) {
+    const previous = this.graph.nodes.get(this.selectedId);
+    this.selectedId = nodeId;
+    if (previous) this.updateNodeClass(previous);
+    const node = this.graph.nodes.get(nodeId);
+    if (node) this.updateNodeClass(node);
+  }
+
+  /**
+   * Show or clear the loading state of a node
+   */
+  setLoading(nodeId, loading) {
+    if (loading) {
+      this.loadingIds.add(nodeId);
+    } else {
+      this.loadingIds.delete(nodeId);
+    }
+    const node = this.graph.nodes.get(nodeId);
+    if (node) this.updateNodeClass(node);
+  }
+
+  /**
+   * Restart the layout at a temperature of at least alpha
+   */
+  reheat(alpha) {
+    this.alpha = Math.max(this.alpha, alpha);
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(this.step);
+    }
+  }
+
+  /**
+   * One animation frame of the layout
+   */
+  step() {
+    this.graph.tick(this.alpha);
+    this.alpha *= this.cooling;
+    this.updatePositions();
+    this.frame = this.alpha > this.minAlpha ? requestAnimationFrame(this.step) : null;
+  }
+
+  /**
+   * Move node and edge elements to the current layout positions
+   */
+  updatePositions() {
+    this.graph.nodes.forEach((node) => {
+      const group = this.nodeElements.get(node.id);
+      if (group) group.setAttribute('transform', `translate(${node.x.toFixed(1)},${node.y.toFixed(1)})`);
+    });
+    this.graph.edges.forEach((edge, key) => {
+      const line = this.edgeElements.get(key);
+      if (!line) return;
+      const source = this.graph.nodes.get(edge.source);
+      const target = this.graph.nodes.get(edge.target);
+      line.setAttribute('x1', source.x.toFixed(1));
+      line.setAttribute('y1', source.y.toFixed(1));
+      line.setAttribute('x2', target.x.toFixed(1));
+      line.setAttribute('y2', target.y.toFixed(1));
+    });
+  }
+
+  /**
+   * Apply pan and zoom
+   */
+  applyTransform() {
+    this.viewport.setAttribute('transform', `translate(${this.offsetX.toFixed(1)},${this.offsetY.toFixed(1)}) scale(${this.scale.toFixed(3)})`);
+  }
+
+  /**
+   * Graph coordinates of a pointer event
+   */
+  toGraphPoint(event) {
+    const rect = this.svg.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left - this.offsetX) / this.scale,
+      y: (event.clientY - rect.top - this.offsetY) / this.scale
+    };
+  }
+
+  /**
+   * Start dragging a node or panning the view
+   */
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+    const group = event.target.closest('.graph-node');
+    const node = group ? this.graph.nodes.get(group.dataset.nodeId) : null;
+    this.pointer = {
+      mode: node ? 'node' : 'pan',
+      node,
+      startX: event.clientX,
+      startY: event.clientY,
+      offsetX: this.offsetX,
+      offsetY: this.offsetY,
+      moved: false
+    };
+    this.svg.setPointerCapture(event.pointerId);
+  }
+
+  /**
+   * Drag a node or pan the view
+   */
+  handlePointerMove(event) {
+    if (!this.pointer) return;
+    const dx = event.clientX - this.pointer.startX;
+    const dy = event.clientY - this.pointer.startY;
+    if (!this.pointer.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+    this.pointer.moved = true;
+
+    if (this.pointer.mode === 'node') {
+      const point = this.toGraphPoint(event);
+      this.pointer.node.fixed = true;
+      this.pointer.node.x = point.x;
+      this.pointer.node.y = point.y;
+      this.reheat(0.3);
+    } else {
+      this.offsetX = this.pointer.offsetX + dx;
+      this.offsetY = this.pointer.offsetY + dy;
+      this.applyTransform();
+    }
+  }
+
+  /**
+   * End a drag; a node that was not moved counts as clicked
+   */
+  handlePointerUp(event) {
+    if (!this.pointer) return;
+    const { mode, node, moved } = this.pointer;
+    this.pointer = null;
+    if (this.svg.hasPointerCapture(event.pointerId)) {
+      this.svg.releasePointerCapture(event.pointerId);
+    }
+
+    if (mode === 'node') {
+      node.fixed = false;
+      if (!moved) {
+        this.onNodeClick(node);
+      }
+    }
+  }
+
+  /**
+   * Zoom around the pointer
+   */
+  handleWheel(event) {
+    event.preventDefault();
+    const rect = this.svg.getBoundingClientRect();
+    const pointerX = event.clientX - rect.left;
+    const pointerY = event.clientY - rect.top;
+    const scale = Math.max(0.2, Math.min(4, this.scale * (event.deltaY < 0 ? 1.1 : 1 / 1.1)));
+
+    this.offsetX = pointerX - ((pointerX - this.offsetX) * scale) / this.scale;
+    this.offsetY = pointerY - ((pointerY - this.offsetY) * scale) / this.scale;
+    this.scale = scale;
+    this.applyTransform();
+  }
+
+  /**
+   * Stop the layout and remove listeners; the container is left as it is
+   */
+  destroy() {
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.svg.removeEventListener('pointerdown', this.handlePointerDown);
+    this.svg.removeEventListener('pointermove', this.handlePointerMove);
+    this.svg.removeEventListener('pointerup', this.handlePointerUp);
+    this.svg.removeEventListener('pointercancel', this.handlePointerUp);
+    this.svg.removeEventListener('wheel', this.handleWheel);
+  }
+}
+
+// Make GraphView available globally for content script
+if (typeof window !== 'undefined') {
+  window.GraphView = GraphView;
+}
@@ -0,0 +1,20 @@
+/**
+ * HTML escaping shared by the content script, the popup and the views that build markup from strings
+ */
+
+/**
+ * Escape text for use in HTML text and quoted attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Make escapeHtml available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.escapeHtml = escapeHtml;
+}
@@ -0,0 +1,119 @@
+/**
+ * Side-by-side profiles of the active labels for the comparison view:
+ * catalog size, active years, release cadence, shared artists, most prolific artists and genre mix
+ */
+class LabelComparison {
+  constructor() {
+    this.albumFilter = new AlbumFilter(); // Release years and Various Artists detection
+    this.topArtistCount = 5;
+    this.genreArtistCount = 8; // Artists per label whose genres make up the genre mix
+  }
+
+  /**
+   * Profile every label from the albums (each carrying labelName)
+   * @param {Map<string, number>} totalCounts - Catalog sizes reported by the label searches
+   */
+  compare(albums, labels, totalCounts = new Map()) {
+    const artistLabels = this.albumFilter.labelSets.getArtistLabels(albums);
+
+    return labels.map((label) => {
+      const labelAlbums = albums.filter(album => album.labelName === label);
+      const artists = this.countArtists(labelAlbums);
+      const shared = artists.filter(artist => artistLabels.has(artist.id) && artistLabels.get(artist.id).size > 1);
+
+      return {
+        label,
+        catalogSize: totalCounts.get(label) || labelAlbums.length,
+        loaded: labelAlbums.length,
+        artistCount: artists.length,
+        ...this.getActivity(labelAlbums),
+        sharedArtists: shared.map(artist => ({
+          ...artist,
+          otherLabels: [...artistLabels.get(artist.id)].filter(other => other !== label)
+        })),
+        topArtists: artists.slice(0, this.topArtistCount),
+        genreArtists: artists.slice(0, this.genreArtistCount)
+      };
+    });
+  }
+
+  /**
+   * Artists of a label by release count, most prolific first (Various Artists credits left out)
+   * @returns {Array<{ id, name, count }>}
+   */
+  countArtists(albums) {
+    const artists = new Map();
+    albums.forEach((album) => {
+      (album.artists || []).forEach((artist) => {
+        if (!artist.id || this.albumFilter.variousArtistsNames.includes((artist.name || '').toLowerCase())) return;
+        if (!artists.has(artist.id)) {
+          artists.set(artist.id, { id: artist.id, name: artist.name, count: 0 });
+        }
+        artists.get(artist.id).count++;
+      });
+    });
+    return [...artists.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * First and last release year, years with releases and release cadence
+   * cadence is releases per year over the active span; medianGapDays the typical wait between releases
+   */
+  getActivity(albums) {
+    const years = albums.map(album => this.albumFilter.getYear(album)).filter(year => year !== null);
+    if (years.length === 0) {
+      return { firstYear: null, lastYear: null, activeYears: 0, cadence: 0, medianGapDays: null };
+    }
+
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+    const times = albums
+      .map(album => Date.parse(album.release_date))
+      .filter(time => !Number.isNaN(time))
+      .sort((a, b) => a - b);
+    const gaps = times.slice(1).map((time, index) => (time - times[index]) / 86400000);
+
+    return {
+      firstYear,
+      lastYear,
+      activeYears: new Set(years).size,
+      cadence: years.length / (lastYear - firstYear + 1),
+      medianGapDays: gaps.length > 0 ? this.median(gaps) : null
+    };
+  }
+
+  /**
+   * Median of a list of numbers
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Genre mix of a label from its artists' genres, weighted by each artist's release count
+   * @param {Array<{ count, genres }>} artists
+   * @returns {Array<{ genre, weight, share }>} most common first
+   */
+  summarizeGenres(artists, limit = 5) {
+    const weights = new Map();
+    let total = 0;
+    artists.forEach((artist) => {
+      (artist.genres || []).forEach((genre) => {
+        weights.set(genre, (weights.get(genre) || 0) + artist.count);
+        total += artist.count;
+      });
+    });
+
+    return [...weights.entries()]
+      .map(([genre, weight]) => ({ genre, weight, share: total > 0 ? weight / total : 0 }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+}
+
+// Make LabelComparison available globally for content script
+if (typeof window !== 'undefined') {
+  window.LabelComparison = LabelComparison;
+}
@@ -0,0 +1,245 @@
+/**
+ * Artist–label network for the graph view
+ * Nodes are labels and artists, an edge means the artist released on the label (weight = number of releases).
+ * The graph grows as nodes are expanded; positions come from a small force-directed layout (tick())
+ * and paths between labels from a breadth-first search
+ */
+class LabelGraph {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.labelKey] - (label name) => key, so spellings of one label share a node
+   */
+  constructor({ labelKey = null } = {}) {
+    this.labelKey = labelKey || (name => name.toLowerCase());
+    this.nodes = new Map(); // Node ID -> { id, type: 'label' | 'artist', name, ref, releases, expanded, x, y, vx, vy, fixed }
+    this.edges = new Map(); // 'labelNodeId|artistNodeId' -> { source, target, weight }
+    this.adjacency = new Map(); // Node ID -> Set of neighbour node IDs
+    this.expandLimit = 30; // Neighbours added per expansion, most releases first
+
+    // Layout forces
+    this.repulsion = 900;
+    this.springLength = 70;
+    this.springStrength = 0.04;
+    this.gravity = 0.01;
+    this.damping = 0.85;
+    this.maxSpeed = 20;
+  }
+
+  /**
+   * Node ID of a label
+   */
+  getLabelId(name) {
+    return `label:${this.labelKey(name)}`;
+  }
+
+  /**
+   * Node ID of an artist
+   */
+  getArtistId(artistId) {
+    return `artist:${artistId}`;
+  }
+
+  /**
+   * Add a node, or return the existing one; new nodes start next to near (a node) or at the centre
+   */
+  addNode(id, type, name, ref, near = null) {
+    if (this.nodes.has(id)) {
+      return this.nodes.get(id);
+    }
+
+    // Spread new neighbours around their parent on a golden-angle spiral
+    const index = this.nodes.size;
+    const angle = index * 2.399963;
+    const distance = near ? this.springLength * 0.6 : 10 * Math.sqrt(index);
+    const node = {
+      id,
+      type,
+      name,
+      ref,
+      releases: 0,
+      expanded: false,
+      x: (near ? near.x : 0) + Math.cos(angle) * distance,
+      y: (near ? near.y : 0) + Math.sin(angle) * distance,
+      vx: 0,
+      vy: 0,
+      fixed: false
+    };
+    this.nodes.set(id, node);
+    this.adjacency.set(id, new Set());
+    return node;
+  }
+
+  /**
+   * Add a label node; releases is the label's catalog size when known
+   */
+  addLabel(name, releases = 0, near = null) {
+    const node = this.addNode(this.getLabelId(name), 'label', name, name, near);
+    node.releases = Math.max(node.releases, releases);
+    return node;
+  }
+
+  /**
+   * Add an artist node ({ id, name })
+   */
+  addArtist(artist, near = null) {
+    return this.addNode(this.getArtistId(artist.id), 'artist', artist.name, artist.id, near);
+  }
+
+  /**
+   * Connect a label and an artist with the number of releases the artist has on the label
+   */
+  link(labelNode, artistNode, releases) {
+    const key = `${labelNode.id}|${artistNode.id}`;
+    const edge = this.edges.get(key);
+    if (edge) {
+      edge.weight = Math.max(edge.weight, releases);
+    } else {
+      this.edges.set(key, { source: labelNode.id, target: artistNode.id, weight: releases });
+      this.adjacency.get(labelNode.id).add(artistNode.id);
+      this.adjacency.get(artistNode.id).add(labelNode.id);
+    }
+
+    // Artists are sized by their releases across the graph, labels by the larger of catalog size and linked releases
+    artistNode.releases = [...this.adjacency.get(artistNode.id)]
+      .reduce((sum, labelId) => sum + this.edges.get(`${labelId}|${artistNode.id}`).weight, 0);
+    const linked = [...this.adjacency.get(labelNode.id)]
+      .reduce((sum, artistId) => sum + this.edges.get(`${labelNode.id}|${artistId}`).weight, 0);
+    labelNode.releases = Math.max(labelNode.releases, linked);
+  }
+
+  /**
+   * Add a label's artists ({ id, name, count }, most releases first) and mark the label expanded
+   * @returns {number} artists added to the graph
+   */
+  expandLabel(labelNode, artists) {
+    const before = this.nodes.size;
+    artists.slice(0, this.expandLimit).forEach((artist) => {
+      this.link(labelNode, this.addArtist(artist, labelNode), artist.count);
+    });
+    labelNode.expanded = true;
+    return this.nodes.size - before;
+  }
+
+  /**
+   * Add an artist's labels ({ name, releases }) and mark the artist expanded
+   * @returns {number} labels added to the graph
+   */
+  expandArtist(artistNode, labels) {
+    const before = this.nodes.size;
+    [...labels]
+      .sort((a, b) => b.releases - a.releases)
+      .slice(0, this.expandLimit)
+      .forEach((label) => {
+        this.link(this.addLabel(label.name, 0, artistNode), artistNode, label.releases);
+      });
+    artistNode.expanded = true;
+    return this.nodes.size - before;
+  }
+
+  /**
+   * Label nodes sorted by name
+   */
+  getLabels() {
+    return [...this.nodes.values()]
+      .filter(node => node.type === 'label')
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Shortest path between two nodes as a list of node IDs (both ends included), or null
+   */
+  findPath(fromId, toId) {
+    if (!this.nodes.has(fromId) || !this.nodes.has(toId)) {
+      return null;
+    }
+
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === toId) {
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) {
+          path.unshift(id);
+        }
+        return path;
+      }
+      this.adjacency.get(current).forEach((neighbour) => {
+        if (!previous.has(neighbour)) {
+          previous.set(neighbour, current);
+          queue.push(neighbour);
+        }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Advance the layout by one step; alpha (1 -> 0) scales the forces as the layout cools down
+   * Repulsion between all nodes, springs along edges and a weak pull to the centre
+   */
+  tick(alpha = 1) {
+    const nodes = [...this.nodes.values()];
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distanceSquared = dx * dx + dy * dy;
+        if (distanceSquared < 0.01) {
+          // Nudge nodes on the same spot apart
+          dx = (i - j) * 0.1;
+          dy = 0.1;
+          distanceSquared = dx * dx + dy * dy;
+        }
+        const force = (this.repulsion * alpha) / distanceSquared;
+        const distance = Math.sqrt(distanceSquared);
+        const fx = (dx / distance) * force;
+        const fy = (dy / distance) * force;
+        a.vx -= fx;
+        a.vy -= fy;
+        b.vx += fx;
+        b.vy += fy;
+      }
+    }
+
+    this.edges.forEach((edge) => {
+      const a = this.nodes.get(edge.source);
+      const b = this.nodes.get(edge.target);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const force = (distance - this.springLength) * this.springStrength * alpha;
+      const fx = (dx / distance) * force;
+      const fy = (dy / distance) * force;
+      a.vx += fx;
+      a.vy += fy;
+      b.vx -= fx;
+      b.vy -= fy;
+    });
+
+    nodes.forEach((node) => {
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        return;
+      }
+      node.vx = (node.vx - node.x * this.gravity * alpha) * this.damping;
+      node.vy = (node.vy - node.y * this.gravity * alpha) * this.damping;
+      const speed = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
+      if (speed > this.maxSpeed) {
+        node.vx = (node.vx / speed) * this.maxSpeed;
+        node.vy = (node.vy / speed) * this.maxSpeed;
+      }
+      node.x += node.vx;
+      node.y += node.vy;
+    });
+  }
+}
+
+// Make LabelGraph available globally for content script
+if (typeof window !== 'undefined') {
+  window.LabelGraph = LabelGraph;
+}
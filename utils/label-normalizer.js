@@ -0,0 +1,272 @@
+/**
+ * Canonical label names
+ * Spotify label strings vary for the same label ("Warp", "Warp Records", "Warp Records Ltd.", "(P) 2019 Warp Records").
+ * clean() strips ℗/© notices and legal suffixes for display, getKey() reduces a name to a comparison key
+ * (case, accents, punctuation and generic words like "Records" removed) and a user-editable alias table
+ * in chrome.storage.local maps further variants onto the name to show
+ */
+class LabelNormalizer {
+  constructor() {
+    this.storageKey = 'labelAliases';
+    this.aliases = {}; // Variant as entered -> canonical name
+    this.aliasKeys = new Map(); // Key of a variant -> canonical name
+    this.loading = null; // Pending or finished load() of the alias table
+    this.legalSuffixes = [
+      'ltd', 'limited', 'llc', 'llp', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company',
+      'gmbh', 'ag', 'kg', 'ug', 'bv', 'nv', 'sa', 'sas', 'sarl', 'srl', 'spa', 'sl', 'pty', 'plc', 'oy', 'aps'
+    ];
+    this.genericWords = ['records', 'record', 'recordings', 'recording', 'recs', 'rec', 'music', 'musique', 'label', 'group', 'entertainment'];
+    // "℗ 2019", "(P) 2019-2021", "© 2004" and the like at the start of a name
+    this.noticePattern = /^\s*(?:[℗©]|\(\s*[pc]\s*\)|[pc](?=\s+\d{4}\b))\s*(?:\d{4}(?:\s*[-–,/&]\s*\d{4})*)?[\s,.:-]*/i;
+    this.legalSuffixPattern = new RegExp(
+      `[\\s,]+(?:${this.legalSuffixes.map(suffix => suffix.split('').join('\\.?')).join('|')})\\.?$`,
+      'i'
+    );
+  }
+
+  /**
+   * Display form of a label name: notices, legal suffixes and stray punctuation removed, case kept
+   * e.g. "(P) 2019 Warp Records Ltd." -> "Warp Records"
+   */
+  clean(name) {
+    let cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+
+    let previous;
+    do {
+      previous = cleaned;
+      cleaned = cleaned
+        .replace(this.noticePattern, '')
+        .replace(this.legalSuffixPattern, '')
+        .replace(/[\s,;:.-]+$/, '')
+        .trim();
+    } while (cleaned !== previous && cleaned !== '');
+
+    // A name that is nothing but a notice or a suffix stays as it was
+    return cleaned || String(name || '').trim();
+  }
+
+  /**
+   * Cleaned name without trailing generic words, case kept; at least one word is left
+   * e.g. "Warp Records" -> "Warp", "Sony Music Entertainment" -> "Sony"
+   */
+  getBaseName(name) {
+    const words = this.clean(name).split(' ');
+    while (words.length > 1 && this.genericWords.includes(words[words.length - 1].toLowerCase().replace(/[^a-z]/g, ''))) {
+      words.pop();
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Comparison key of a label name; names with the same key are the same label
+   * e.g. "Warp", "WARP Records" and "(P) 2019 Warp Records Ltd." all give "warp"
+   */
+  getKey(name) {
+    const words = this.getBaseName(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+
+    if (words.length > 1 && words[0] === 'the') {
+      words.shift();
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Name to show and search for a label: its alias when one is set, else the cleaned name
+   */
+  resolve(name) {
+    return this.aliasKeys.get(this.getKey(name)) || this.clean(name);
+  }
+
+  /**
+   * Key of the label a name resolves to, so variants and aliases compare equal
+   */
+  getCanonicalKey(name) {
+    return this.getKey(this.resolve(name));
+  }
+
+  /**
+   * The name in a list that refers to the same label as name, or null
+   */
+  findLabel(name, labels) {
+    const key = this.getCanonicalKey(name);
+    return labels.find(label => this.getCanonicalKey(label) === key) || null;
+  }
+
+  /**
+   * Label names with variants merged, in order of first appearance
+   * Each label is named after the resolved form of its first spelling
+   */
+  mergeNames(names) {
+    const merged = new Map();
+    names.forEach((name) => {
+      const key = this.getCanonicalKey(name);
+      if (!merged.has(key)) {
+        merged.set(key, this.resolve(name));
+      }
+    });
+    return [...merged.values()];
+  }
+
+  /**
+   * Merge label entries ({ name, albums, ... } as returned by SpotifyAPI.getArtistLabels) that are variants
+   * of one label; merged entries list their original spellings in variants
+   */
+  mergeLabelEntries(entries) {
+    const merged = new Map();
+    entries.forEach((entry) => {
+      const key = this.getCanonicalKey(entry.name);
+      if (!merged.has(key)) {
+        merged.set(key, { ...entry, name: this.resolve(entry.name), albums: [], variants: [] });
+      }
+      const target = merged.get(key);
+      const albumIds = new Set(target.albums.map(album => album.id));
+      target.albums.push(...(entry.albums || []).filter(album => !albumIds.has(album.id)));
+      target.variants.push(...(entry.variants || [entry.name]).filter(variant => !target.variants.includes(variant)));
+      target.enabled = target.enabled || entry.enabled;
+    });
+    return [...merged.values()];
+  }
+
+  /**
+   * Merge the label variants of a catalog: labels are deduplicated and every album's labelName
+   * points at the label name that was kept
+   * @returns {{ labels: string[], albums: Array }}
+   */
+  mergeCatalogLabels(labels, albums) {
+    const mergedLabels = this.mergeNames(labels);
+    const byKey = new Map(mergedLabels.map(label => [this.getCanonicalKey(label), label]));
+
+    return {
+      labels: mergedLabels,
+      albums: albums.map((album) => {
+        if (!album.labelName) return album;
+        const labelName = byKey.get(this.getCanonicalKey(album.labelName)) || album.labelName;
+        return labelName === album.labelName ? album : { ...album, labelName };
+      })
+    };
+  }
+
+  /**
+   * Other spellings worth searching for a label: the cleaned and base names, its alias
+   * and every variant the alias table maps onto the same label
+   */
+  getSearchVariants(name) {
+    const key = this.getCanonicalKey(name);
+    const variants = [this.clean(name), this.getBaseName(name), this.resolve(name)];
+    Object.entries(this.aliases).forEach(([variant, canonical]) => {
+      if (this.getKey(canonical) === key) {
+        variants.push(variant, canonical);
+      }
+    });
+
+    const seen = new Set([String(name).toLowerCase()]);
+    return variants.filter((variant) => {
+      const lower = variant.toLowerCase();
+      if (!variant || seen.has(lower)) return false;
+      seen.add(lower);
+      return true;
+    });
+  }
+
+  /**
+   * Replace the alias table in memory
+   */
+  setAliases(aliases) {
+    this.aliases = {};
+    this.aliasKeys = new Map();
+    Object.entries(aliases && typeof aliases === 'object' ? aliases : {}).forEach(([variant, canonical]) => {
+      if (typeof canonical === 'string' && canonical.trim()) {
+        this.aliases[variant] = canonical.trim();
+        this.aliasKeys.set(this.getKey(variant), canonical.trim());
+      }
+    });
+  }
+
+  /**
+   * Load the alias table from storage once and keep it in sync with changes made elsewhere
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const result = await chrome.storage.local.get([this.storageKey]);
+          this.setAliases(result[this.storageKey]);
+          chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes[this.storageKey]) {
+              this.setAliases(changes[this.storageKey].newValue);
+            }
+          });
+        } catch (error) {
+          console.warn('Failed to load label aliases:', error);
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Aliases as a list sorted by canonical name, then variant
+   * @returns {Array<{ variant, canonical }>}
+   */
+  getAliases() {
+    return Object.entries(this.aliases)
+      .map(([variant, canonical]) => ({ variant, canonical }))
+      .sort((a, b) => a.canonical.localeCompare(b.canonical) || a.variant.localeCompare(b.variant));
+  }
+
+  /**
+   * Store that variant is another name of canonical
+   * Throws an Error when either name is empty or both already are the same name
+   */
+  async addAlias(variant, canonical) {
+    const from = String(variant || '').trim();
+    const to = String(canonical || '').trim();
+    if (!from || !to) {
+      throw new Error('Enter both a spelling and the label name');
+    }
+    if (this.getKey(from) === this.getKey(to)) {
+      throw new Error(`"${from}" and "${to}" are already treated as the same label`);
+    }
+
+    await this.load();
+    // Aliases that pointed at the variant now point at the new name, so no alias leads to another alias
+    const aliases = {};
+    Object.entries(this.aliases).forEach(([existing, target]) => {
+      if (this.getKey(existing) === this.getKey(from)) return;
+      aliases[existing] = this.getKey(target) === this.getKey(from) ? to : target;
+    });
+    aliases[from] = to;
+    await this.saveAliases(aliases);
+  }
+
+  /**
+   * Remove the alias of a variant
+   */
+  async removeAlias(variant) {
+    await this.load();
+    const aliases = { ...this.aliases };
+    delete aliases[variant];
+    await this.saveAliases(aliases);
+  }
+
+  /**
+   * Write the alias table to storage
+   */
+  async saveAliases(aliases) {
+    this.setAliases(aliases);
+    await chrome.storage.local.set({ [this.storageKey]: this.aliases });
+  }
+}
+
+// Make LabelNormalizer available globally for content script and popup (the background loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.LabelNormalizer = LabelNormalizer;
+}
@@ -0,0 +1,111 @@
+/**
+ * Set operations over the artists of the active labels
+ * - union: every release (the default)
+ * - intersection: releases by artists who released on all labels
+ * - difference: releases on the base label by artists who never released on the excluded label
+ * - exclusive: releases by artists who released on only one of the labels
+ * Artist presence comes from album.labelName; Various Artists credits don't count as artists
+ */
+class LabelSetOperations {
+  /**
+   * @param {Function} isVariousArtistsName - (lowercase artist name) => boolean
+   */
+  constructor(isVariousArtistsName) {
+    this.modes = ['union', 'intersection', 'difference', 'exclusive'];
+    this.isVariousArtistsName = isVariousArtistsName;
+  }
+
+  /**
+   * Labels each artist released on, by artist ID
+   */
+  getArtistLabels(albums) {
+    const artistLabels = new Map();
+    albums.forEach((album) => {
+      if (!album.labelName) return;
+      (album.artists || []).forEach((artist) => {
+        if (!artist.id || this.isVariousArtistsName((artist.name || '').toLowerCase())) return;
+        if (!artistLabels.has(artist.id)) {
+          artistLabels.set(artist.id, new Set());
+        }
+        artistLabels.get(artist.id).add(album.labelName);
+      });
+    });
+    return artistLabels;
+  }
+
+  /**
+   * Label names present in a list of albums, in order of first appearance
+   */
+  getLabels(albums) {
+    return [...new Set(albums.map(album => album.labelName).filter(Boolean))];
+  }
+
+  /**
+   * Base label of the difference mode, falling back to the first label when it is gone
+   */
+  resolveBaseLabel(baseLabel, labels) {
+    return labels.includes(baseLabel) ? baseLabel : (labels[0] || null);
+  }
+
+  /**
+   * Excluded label of the difference mode, falling back to the first label other than the base
+   */
+  resolveExcludedLabel(excludedLabel, baseLabel, labels) {
+    const base = this.resolveBaseLabel(baseLabel, labels);
+    return excludedLabel !== base && labels.includes(excludedLabel)
+      ? excludedLabel
+      : (labels.find(label => label !== base) || null);
+  }
+
+  /**
+   * Albums that belong to the set described by mode (see the class comment)
+   * With fewer than two labels every mode is the union
+   */
+  select(albums, mode = 'union', baseLabel = null, excludedLabel = null) {
+    const labels = this.getLabels(albums);
+    if (mode === 'union' || !this.modes.includes(mode) || labels.length < 2) {
+      return albums;
+    }
+
+    const artistLabels = this.getArtistLabels(albums);
+    const base = this.resolveBaseLabel(baseLabel, labels);
+    const excluded = this.resolveExcludedLabel(excludedLabel, baseLabel, labels);
+    const qualifies = (artistId, album) => {
+      const presence = artistLabels.get(artistId);
+      if (!presence) return false;
+      switch (mode) {
+        case 'intersection':
+          return presence.size === labels.length;
+        case 'difference':
+          return album.labelName === base && !presence.has(excluded);
+        case 'exclusive':
+          return presence.size === 1;
+        default:
+          return true;
+      }
+    };
+
+    return albums.filter(album => (album.artists || []).some(artist => qualifies(artist.id, album)));
+  }
+
+  /**
+   * Short description of a set mode for titles, e.g. "Artists on all labels"
+   */
+  describe(mode, baseLabel, labels, excludedLabel = null) {
+    switch (mode) {
+      case 'intersection':
+        return 'Artists on all labels';
+      case 'difference':
+        return `Artists on ${this.resolveBaseLabel(baseLabel, labels) || 'one label'} but not ${this.resolveExcludedLabel(excludedLabel, baseLabel, labels) || 'another'}`;
+      case 'exclusive':
+        return 'Artists on one label only';
+      default:
+        return 'All releases';
+    }
+  }
+}
+
+// Make LabelSetOperations available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.LabelSetOperations = LabelSetOperations;
+}
@@ -0,0 +1,163 @@
+/**
+ * Labels similar to the current label set, found through the other labels of its main artists
+ * Artists are added one at a time as their label lookups come in, so the ranking can be shown while it grows.
+ * A candidate label is scored on three signals:
+ * - shared: how many of the sampled artists released on it, relative to the best candidate
+ * - overlap: weighted Jaccard of the sampled artists' releases on it and on the current labels
+ * - genre: cosine similarity of its genre mix and the current labels' genre mix
+ */
+class LabelSimilarity {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.labels - Current labels, left out of the candidates
+   * @param {Array} options.albums - Releases of the current labels
+   * @param {Function} [options.labelKey] - (label name) => key, so spellings of one label are one candidate
+   */
+  constructor({ labels, albums, labelKey = null }) {
+    this.labelKey = labelKey || (name => name.toLowerCase());
+    this.genreProfiler = new GenreProfiler();
+    this.labelKeys = new Set(labels.map(label => this.labelKey(label)));
+    this.albums = albums;
+    this.artists = new LabelComparison().countArtists(albums); // Most releases first
+    this.sampleSize = 15; // Artists looked up, grown by extend()
+    this.loading = false; // Set while the sampled artists are being looked up
+    this.processed = new Set(); // Artist IDs whose labels were added (or could not be loaded)
+    this.failed = []; // Artists whose labels could not be loaded
+    this.candidates = new Map(); // Label key -> { name, artists: Map(artist ID -> { id, name, releases }), albums: Map(album ID -> album) }
+    this.weights = { shared: 0.45, overlap: 0.35, genre: 0.2 };
+  }
+
+  /**
+   * Whether this ranking was made for these labels
+   */
+  isFor(labels) {
+    const keys = new Set(labels.map(label => this.labelKey(label)));
+    return keys.size === this.labelKeys.size && [...keys].every(key => this.labelKeys.has(key));
+  }
+
+  /**
+   * The artists of the current labels that are looked up
+   */
+  getSampledArtists() {
+    return this.artists.slice(0, this.sampleSize);
+  }
+
+  /**
+   * Sampled artists whose labels have not been added yet
+   */
+  getPendingArtists() {
+    return this.getSampledArtists().filter(artist => !this.processed.has(artist.id));
+  }
+
+  /**
+   * Look up more of the current labels' artists
+   * @returns {number} artists added to the sample
+   */
+  extend(count = 15) {
+    const before = Math.min(this.sampleSize, this.artists.length);
+    this.sampleSize = Math.min(this.sampleSize + count, this.artists.length);
+    return this.sampleSize - before;
+  }
+
+  /**
+   * Add the labels an artist released on (merged entries from getArtistLabels)
+   */
+  addArtist(artist, labels) {
+    this.processed.add(artist.id);
+    labels.forEach((label) => {
+      const key = this.labelKey(label.name);
+      if (this.labelKeys.has(key) || label.albums.length === 0) return;
+
+      if (!this.candidates.has(key)) {
+        this.candidates.set(key, { name: label.name, artists: new Map(), albums: new Map() });
+      }
+      const candidate = this.candidates.get(key);
+      candidate.artists.set(artist.id, { id: artist.id, name: artist.name, releases: label.albums.length });
+      label.albums.forEach(album => candidate.albums.set(album.id, album));
+    });
+  }
+
+  /**
+   * Count an artist whose labels could not be loaded as done
+   */
+  skipArtist(artist) {
+    this.processed.add(artist.id);
+    this.failed.push(artist);
+  }
+
+  /**
+   * Artist IDs on the current and candidate releases, for genre lookups
+   */
+  getArtistIds() {
+    return this.genreProfiler.getArtistIds([
+      ...this.albums,
+      ...[...this.candidates.values()].flatMap(candidate => [...candidate.albums.values()])
+    ]);
+  }
+
+  /**
+   * Copies of albums whose artists carry their genres
+   */
+  withGenres(albums, genres) {
+    return albums.map(album => ({
+      ...album,
+      artists: (album.artists || []).map(artist => ({ ...artist, genres: genres.get(artist.id) || [] }))
+    }));
+  }
+
+  /**
+   * Candidate labels, best first
+   * @param {Object} [options]
+   * @param {Map<string, string[]>} [options.genres] - Artist ID -> genres (see getArtistIds); without them genres are not compared
+   * @returns {Array<{ name, sharedArtists, releases, overlap, genreSimilarity, topGenres, score }>}
+   */
+  rank({ genres = new Map(), limit = 20 } = {}) {
+    // Artists whose labels are known; failed lookups would count as releasing nowhere else
+    const sampled = this.artists.filter(artist => this.processed.has(artist.id) && !this.failed.some(failed => failed.id === artist.id));
+    const profile = this.genreProfiler.profile(this.withGenres(this.albums, genres), Infinity);
+    const maxShared = Math.max(1, ...[...this.candidates.values()].map(candidate => candidate.artists.size));
+
+    return [...this.candidates.values()]
+      .map((candidate) => {
+        const sharedArtists = [...candidate.artists.values()].sort((a, b) => b.releases - a.releases || a.name.localeCompare(b.name));
+
+        // Releases of every sampled artist here and on the current labels; artists missing on either side count as 0
+        let minSum = 0;
+        let maxSum = 0;
+        sampled.forEach((artist) => {
+          const here = candidate.artists.has(artist.id) ? candidate.artists.get(artist.id).releases : 0;
+          minSum += Math.min(here, artist.count);
+          maxSum += Math.max(here, artist.count);
+        });
+        const overlap = maxSum > 0 ? minSum / maxSum : 0;
+
+        const candidateProfile = this.genreProfiler.profile(this.withGenres([...candidate.albums.values()], genres), Infinity);
+        const genreSimilarity = profile.length > 0 && candidateProfile.length > 0
+          ? this.genreProfiler.similarity(profile, candidateProfile)
+          : null;
+
+        const signals = { shared: sharedArtists.length / maxShared, overlap, genre: genreSimilarity };
+        // Signals without data are left out instead of counting as a mismatch
+        const weighted = Object.entries(this.weights).filter(([id]) => signals[id] !== null);
+        const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        const score = totalWeight > 0 ? weighted.reduce((sum, [id, weight]) => sum + signals[id] * weight, 0) / totalWeight : 0;
+
+        return {
+          name: candidate.name,
+          sharedArtists,
+          releases: candidate.albums.size,
+          overlap,
+          genreSimilarity,
+          topGenres: candidateProfile.slice(0, 3).map(entry => entry.genre),
+          score
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.sharedArtists.length - a.sharedArtists.length || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+}
+
+// Make LabelSimilarity available globally for content script
+if (typeof window !== 'undefined') {
+  window.LabelSimilarity = LabelSimilarity;
+}
@@ -0,0 +1,113 @@
+/**
+ * Statistics for the stats view of a label set: output per year, release types, Various Artists share,
+ * track counts, first and latest release and, for several labels, the artists they share
+ */
+class LabelStats {
+  constructor() {
+    this.albumFilter = new AlbumFilter(); // Release years and Various Artists detection
+  }
+
+  /**
+   * Compute all statistics for a list of albums (each carrying labelName) and the label names shown
+   */
+  compute(albums, labels = []) {
+    const dated = albums
+      .filter(album => album.release_date)
+      .sort((a, b) => a.release_date.localeCompare(b.release_date));
+    const trackCounts = albums.map(album => album.total_tracks).filter(count => typeof count === 'number');
+    const variousArtists = albums.filter(album => this.albumFilter.isVariousArtists(album)).length;
+
+    return {
+      total: albums.length,
+      firstRelease: dated[0] || null,
+      latestRelease: dated[dated.length - 1] || null,
+      perYear: this.countPerYear(albums),
+      types: this.countTypes(albums),
+      variousArtists,
+      variousArtistsShare: albums.length > 0 ? variousArtists / albums.length : 0,
+      averageTracks: trackCounts.length > 0 ? trackCounts.reduce((sum, count) => sum + count, 0) / trackCounts.length : null,
+      perLabel: labels.map(label => ({ label, count: albums.filter(album => album.labelName === label).length })),
+      overlap: labels.length > 1 ? this.computeOverlap(albums, labels) : []
+    };
+  }
+
+  /**
+   * Releases per year from the first to the last year, empty years included
+   * @returns {Array<{ year, count }>}
+   */
+  countPerYear(albums) {
+    const counts = new Map();
+    albums.forEach((album) => {
+      const year = this.albumFilter.getYear(album);
+      if (year !== null) {
+        counts.set(year, (counts.get(year) || 0) + 1);
+      }
+    });
+    if (counts.size === 0) {
+      return [];
+    }
+
+    const years = [...counts.keys()];
+    const perYear = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+      perYear.push({ year, count: counts.get(year) || 0 });
+    }
+    return perYear;
+  }
+
+  /**
+   * Number of releases per release type (album, single, compilation)
+   */
+  countTypes(albums) {
+    const types = {};
+    this.albumFilter.releaseTypes.forEach((type) => { types[type] = 0; });
+    albums.forEach((album) => {
+      if (album.album_type in types) {
+        types[album.album_type]++;
+      }
+    });
+    return types;
+  }
+
+  /**
+   * Artists shared by each pair of labels, Various Artists entries left out
+   * @returns {Array<{ labelA, labelB, sharedArtists: string[], artistsA, artistsB }>}
+   */
+  computeOverlap(albums, labels) {
+    const artistsByLabel = new Map(labels.map(label => [label, new Map()]));
+    albums.forEach((album) => {
+      const artists = artistsByLabel.get(album.labelName);
+      if (!artists) return;
+      (album.artists || []).forEach((artist) => {
+        if (!this.albumFilter.variousArtistsNames.includes((artist.name || '').toLowerCase())) {
+          artists.set(artist.id, artist.name);
+        }
+      });
+    });
+
+    const pairs = [];
+    for (let i = 0; i < labels.length; i++) {
+      for (let j = i + 1; j < labels.length; j++) {
+        const artistsA = artistsByLabel.get(labels[i]);
+        const artistsB = artistsByLabel.get(labels[j]);
+        const sharedArtists = [...artistsA.keys()]
+          .filter(id => artistsB.has(id))
+          .map(id => artistsA.get(id))
+          .sort((a, b) => a.localeCompare(b));
+        pairs.push({
+          labelA: labels[i],
+          labelB: labels[j],
+          sharedArtists,
+          artistsA: artistsA.size,
+          artistsB: artistsB.size
+        });
+      }
+    }
+    return pairs;
+  }
+}
+
+// Make LabelStats available globally for content script
+if (typeof window !== 'undefined') {
+  window.LabelStats = LabelStats;
+}
@@ -0,0 +1,191 @@
+/**
+ * Builds a Spotify playlist from the releases in a catalog view
+ * Job state is saved after every step so an interrupted build can be resumed
+ */
+class PlaylistBuilder {
+  constructor(api) {
+    this.api = api;
+    this.storageKey = 'playlistJob';
+    this.chunkSize = 100; // Max URIs per add-tracks request
+    this.maxTracks = 10000; // Spotify's playlist size limit
+  }
+
+  /**
+   * Create a new job for a list of albums
+   * mode: 'first' (first track), 'top' (topCount most popular tracks) or 'all'
+   */
+  createJob(albums, { name, description = '', mode = 'first', topCount = 3 }) {
+    return {
+      id: `playlist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      description,
+      mode,
+      topCount,
+      albumIds: albums.map(album => album.id),
+      trackUris: null, // Filled once all tracks are collected
+      skippedAlbums: 0,
+      playlistId: null,
+      playlistUrl: null,
+      addedCount: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Load the unfinished job, if any
+   */
+  async loadJob() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return result[this.storageKey] || null;
+    } catch (error) {
+      console.error('Failed to load playlist job:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist job progress
+   */
+  async saveJob(job) {
+    job.updatedAt = Date.now();
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: job });
+    } catch (error) {
+      console.error('Failed to save playlist job:', error);
+    }
+  }
+
+  /**
+   * Forget the unfinished job
+   */
+  async clearJob() {
+    try {
+      await chrome.storage.local.remove(this.storageKey);
+    } catch (error) {
+      console.error('Failed to clear playlist job:', error);
+    }
+  }
+
+  /**
+   * Run or resume a job, skipping the steps it already completed
+   * onProgress receives { stage: 'collecting' | 'creating' | 'adding', done, total }
+   */
+  async run(job, onProgress = () => {}) {
+    await this.saveJob(job);
+
+    if (!job.trackUris) {
+      job.trackUris = await this.collectTrackUris(job, onProgress);
+      await this.saveJob(job);
+    }
+
+    if (job.trackUris.length === 0) {
+      await this.clearJob();
+      throw new Error('No playable tracks found in the current view');
+    }
+
+    if (!job.playlistId) {
+      onProgress({ stage: 'creating', done: 0, total: 1 });
+      const user = await this.api.getCurrentUser();
+      const playlist = await this.api.createPlaylist(user.id, job.name, job.description);
+      job.playlistId = playlist.id;
+      job.playlistUrl = playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`;
+      await this.saveJob(job);
+    }
+
+    onProgress({ stage: 'adding', done: job.addedCount, total: job.trackUris.length });
+    while (job.addedCount < job.trackUris.length) {
+      const chunk = job.trackUris.slice(job.addedCount, job.addedCount + this.chunkSize);
+      await this.api.addTracksToPlaylist(job.playlistId, chunk);
+      job.addedCount += chunk.length;
+      await this.saveJob(job);
+      onProgress({ stage: 'adding', done: job.addedCount, total: job.trackUris.length });
+    }
+
+    await this.clearJob();
+    return job;
+  }
+
+  /**
+   * Collect track URIs for every album, in the order of the view
+   */
+  async collectTrackUris(job, onProgress) {
+    let done = 0;
+    onProgress({ stage: 'collecting', done, total: job.albumIds.length });
+
+    const albumTracks = await Promise.all(job.albumIds.map(async (albumId) => {
+      try {
+        return await this.selectAlbumTracks(albumId, job);
+      } catch (error) {
+        // Rate limiting should pause the job, not silently drop releases
+        if (error.code === 'rate_limited') throw error;
+        console.warn(`Skipping album ${albumId} in playlist:`, error);
+        job.skippedAlbums++;
+        return [];
+      } finally {
+        done++;
+        onProgress({ stage: 'collecting', done, total: job.albumIds.length });
+      }
+    }));
+
+    const uris = new Set();
+    albumTracks.flat().forEach(track => {
+      if (track && track.uri && !track.is_local) {
+        uris.add(track.uri);
+      }
+    });
+
+    const trackUris = Array.from(uris);
+    if (trackUris.length > this.maxTracks) {
+      console.warn(`Playlist capped at ${this.maxTracks} of ${trackUris.length} tracks`);
+    }
+    return trackUris.slice(0, this.maxTracks);
+  }
+
+  /**
+   * Pick the tracks of one album according to the job mode
+   */
+  async selectAlbumTracks(albumId, job) {
+    const album = await this.api.getAlbumDetails(albumId);
+    const firstPage = album.tracks?.items || [];
+
+    if (job.mode === 'first') {
+      return firstPage.slice(0, 1);
+    }
+
+    const tracks = await this.getAllAlbumTracks(album);
+    if (job.mode === 'all' || tracks.length <= job.topCount) {
+      return tracks;
+    }
+
+    // Simplified track objects have no popularity - look up the full tracks
+    const fullTracks = await this.api.getTracksDetails(tracks.map(track => track.id));
+    return fullTracks
+      .filter(track => track)
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+      .slice(0, job.topCount);
+  }
+
+  /**
+   * Get every track of an album, paging past the 50 included in the album details
+   */
+  async getAllAlbumTracks(album) {
+    const tracks = [...(album.tracks?.items || [])];
+    const total = album.tracks?.total || tracks.length;
+
+    for (let offset = tracks.length; offset < total; offset += 50) {
+      const page = await this.api.getAlbumTracks(album.id, 50, offset);
+      const items = page.items || [];
+      if (items.length === 0) break;
+      tracks.push(...items);
+    }
+
+    return tracks;
+  }
+}
+
+// Make PlaylistBuilder available globally for content script
+if (typeof window !== 'undefined') {
+  window.PlaylistBuilder = PlaylistBuilder;
+}
@@ -0,0 +1,296 @@
+/**
+ * Export and import of Scatalogs as versioned JSON documents
+ * Documents carry album IDs only; imported Scatalogs fetch their release details through the API
+ *
+ * Document format (version 1):
+ * {
+ *   format: 'scatalog-export', version: 1, exportedAt,
+ *   scatalogs: [{ id, name, labels, albums: [{ id, labelName }], filters, artistButtons, genreFingerprint, openInNewTab, createdAt }]
+ * }
+ * filters holds sortBy, sortOrder, searchTerm and the AlbumFilter fields;
+ * genreFingerprint maps labels to their top genres (see GenreProfiler) and may be missing in older exports
+ */
+class ScatalogTransfer {
+  constructor() {
+    this.format = 'scatalog-export';
+    this.version = 1;
+    this.storageKey = 'scatalogs';
+    this.spotifyIdPattern = /^[A-Za-z0-9]{1,64}$/; // Album and artist IDs
+    this.scatalogIdPattern = /^[\w-]{1,100}$/; // IDs end up in data attributes
+    this.sortFields = ['release_date', 'name', 'artist'];
+    this.albumFilter = new AlbumFilter(); // Validates the advanced filters of imported Scatalogs
+    this.labelNormalizer = new LabelNormalizer(); // Merges spellings of one label in imported Scatalogs
+    this.genreProfiler = new GenreProfiler(); // Validates genre fingerprints
+    this.hydrateChunkSize = 100; // Album IDs per getAlbumsDetails message while hydrating
+  }
+
+  /**
+   * Build an export document for a list of Scatalogs
+   */
+  createExport(scatalogs) {
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      scatalogs: scatalogs.map(scatalog => ({
+        id: scatalog.id,
+        name: scatalog.name,
+        labels: [...scatalog.labels],
+        albums: (scatalog.albums || []).map(album => ({
+          id: album.id,
+          labelName: album.labelName || null
+        })),
+        filters: scatalog.filters || null,
+        artistButtons: (scatalog.artistButtons || []).map(artist => ({
+          id: artist.id,
+          name: artist.name,
+          albumCount: artist.albumCount || 0,
+          isGray: !!artist.isGray,
+          reason: artist.reason || null
+        })),
+        genreFingerprint: scatalog.genreFingerprint || {},
+        openInNewTab: !!scatalog.openInNewTab,
+        createdAt: scatalog.createdAt || null
+      }))
+    };
+  }
+
+  /**
+   * File name for an export of one or more Scatalogs
+   */
+  getExportFilename(scatalogs) {
+    const date = new Date().toISOString().slice(0, 10);
+    if (scatalogs.length === 1) {
+      const slug = scatalogs[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scatalog';
+      return `scatalog-${slug}-${date}.json`;
+    }
+    return `scatalogs-${date}.json`;
+  }
+
+  /**
+   * Offer an export document as a file download
+   */
+  download(exportDocument, filename) {
+    const blob = new Blob([JSON.stringify(exportDocument, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Export Scatalogs straight to a file
+   */
+  exportToFile(scatalogs) {
+    this.download(this.createExport(scatalogs), this.getExportFilename(scatalogs));
+  }
+
+  /**
+   * Let the user pick a JSON file and resolve with its text (null when nothing was picked)
+   */
+  pickFile() {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file.text().then(resolve, reject);
+      });
+      input.click();
+    });
+  }
+
+  /**
+   * Validate an export document and turn it into Scatalogs ready to store
+   * Throws an Error describing the first problem found
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== this.format) {
+      throw new Error('The file is not a scatalog export');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('The export has no valid version');
+    }
+    if (data.version > this.version) {
+      throw new Error(`The export was made by a newer version of scatalog (format v${data.version}) - please update the extension`);
+    }
+    if (!Array.isArray(data.scatalogs) || data.scatalogs.length === 0) {
+      throw new Error('The export contains no Scatalogs');
+    }
+
+    return data.scatalogs.map((entry, index) => this.parseEntry(entry, `Scatalog ${index + 1}`));
+  }
+
+  /**
+   * Text of an imported name without markup: tags are dropped, stray angle brackets removed
+   */
+  stripMarkup(text) {
+    return text.replace(/<[^>]*>/g, '').replace(/[<>]/g, '').trim();
+  }
+
+  /**
+   * Validate one exported Scatalog
+   */
+  parseEntry(entry, where) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where} is not an object`);
+    }
+    const name = typeof entry.name === 'string' ? this.stripMarkup(entry.name) : '';
+    if (name === '') {
+      throw new Error(`${where} has no name`);
+    }
+    where = `Scatalog "${name}"`;
+
+    const entryLabels = Array.isArray(entry.labels)
+      ? entry.labels.map(label => (typeof label === 'string' ? this.stripMarkup(label) : ''))
+      : [];
+    if (entryLabels.length === 0 || entryLabels.includes('')) {
+      throw new Error(`${where} needs a list of label names`);
+    }
+    if (!Array.isArray(entry.albums) || entry.albums.length === 0) {
+      throw new Error(`${where} has no releases`);
+    }
+
+    const stubs = entry.albums.map((album, albumIndex) => {
+      if (!album || typeof album.id !== 'string' || !this.spotifyIdPattern.test(album.id)) {
+        throw new Error(`${where}: release ${albumIndex + 1} has no valid Spotify album ID`);
+      }
+      return {
+        id: album.id,
+        labelName: (typeof album.labelName === 'string' && this.stripMarkup(album.labelName)) || entryLabels[0]
+      };
+    });
+
+    const { labels, albums } = this.labelNormalizer.mergeCatalogLabels(entryLabels, stubs);
+    const filters = entry.filters && typeof entry.filters === 'object' ? entry.filters : {};
+    const artistButtons = Array.isArray(entry.artistButtons)
+      ? entry.artistButtons
+        .filter(artist => artist && typeof artist.id === 'string' && this.spotifyIdPattern.test(artist.id) && typeof artist.name === 'string')
+        .map(artist => ({
+          id: artist.id,
+          name: this.stripMarkup(artist.name),
+          albumCount: Number.isInteger(artist.albumCount) && artist.albumCount >= 0 ? artist.albumCount : 0,
+          isGray: !!artist.isGray,
+          reason: typeof artist.reason === 'string' ? artist.reason : null
+        }))
+      : [];
+
+    // Fingerprints follow their label into the merged label list
+    const genreFingerprint = {};
+    Object.entries(this.genreProfiler.normalizeFingerprints(entry.genreFingerprint)).forEach(([label, fingerprint]) => {
+      const mergedLabel = this.labelNormalizer.findLabel(label, labels);
+      if (mergedLabel && !genreFingerprint[mergedLabel]) {
+        genreFingerprint[mergedLabel] = fingerprint;
+      }
+    });
+
+    const now = new Date().toISOString();
+    return {
+      id: typeof entry.id === 'string' && this.scatalogIdPattern.test(entry.id) ? entry.id : this.generateId(),
+      name,
+      labels,
+      albums,
+      createdAt: typeof entry.createdAt === 'string' ? entry.createdAt : now,
+      lastAccessed: now,
+      filters: {
+        sortBy: this.sortFields.includes(filters.sortBy) ? filters.sortBy : 'release_date',
+        sortOrder: filters.sortOrder === 'asc' ? 'asc' : 'desc',
+        searchTerm: typeof filters.searchTerm === 'string' ? filters.searchTerm : '',
+        ...this.albumFilter.normalize(filters)
+      },
+      artistButtons,
+      genreFingerprint,
+      openInNewTab: !!entry.openInNewTab,
+      needsHydration: true // Albums are ID stubs until their details are fetched
+    };
+  }
+
+  /**
+   * Generate a Scatalog ID in the format used by the content script
+   */
+  generateId() {
+    return `scatalog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Store imported Scatalogs next to the existing ones
+   * An imported ID that is already taken gets a new ID; a taken name gets a numbered suffix
+   */
+  async importScatalogs(imported) {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const scatalogs = result[this.storageKey] || {};
+    const names = new Set(Object.values(scatalogs).map(scatalog => scatalog.name));
+
+    const added = imported.map((scatalog) => {
+      const copy = { ...scatalog };
+      if (scatalogs[copy.id]) {
+        copy.id = this.generateId();
+      }
+
+      let name = copy.name;
+      for (let suffix = 2; names.has(name); suffix++) {
+        name = `${copy.name} (${suffix})`;
+      }
+      copy.name = name;
+
+      names.add(copy.name);
+      scatalogs[copy.id] = copy;
+      return copy;
+    });
+
+    await chrome.storage.local.set({ [this.storageKey]: scatalogs });
+    return added;
+  }
+
+  /**
+   * Fetch release details for an imported Scatalog, dropping releases that no longer exist
+   * Updates the Scatalog in place; the caller saves it. Request failures leave the stubs for a later try
+   */
+  async hydrate(scatalog, api, requestOptions = {}) {
+    if (!scatalog.needsHydration) {
+      return { loaded: scatalog.albums.length, missing: 0 };
+    }
+
+    // The API batches lookups 20 IDs per request; unknown albums come back as null
+    const ids = scatalog.albums.map(stub => stub.id);
+    const details = [];
+    for (let i = 0; i < ids.length; i += this.hydrateChunkSize) {
+      details.push(...await api.getAlbumsDetails(ids.slice(i, i + this.hydrateChunkSize), requestOptions));
+    }
+    const albums = [];
+    scatalog.albums.forEach((stub, index) => {
+      const album = details[index];
+      if (!album) return;
+
+      // Track listings and markets are large and not shown in catalog views
+      const { tracks, available_markets, ...rest } = album;
+      albums.push({ ...rest, labelName: stub.labelName });
+    });
+
+    const missing = scatalog.albums.length - albums.length;
+    scatalog.albums = albums;
+    delete scatalog.needsHydration;
+    return { loaded: albums.length, missing };
+  }
+}
+
+// Make ScatalogTransfer available globally for content script and popup
+if (typeof window !== 'undefined') {
+  window.ScatalogTransfer = ScatalogTransfer;
+}
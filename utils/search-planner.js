@@ -0,0 +1,255 @@
+/**
+ * Plans and runs the searches that gather a label's catalog
+ * Spotify search results stop at offset 1000, so larger catalogs are split into queries that each stay below it:
+ * - direct: label:"name"
+ * - years: whole decades first (an empty decade costs one call), halved while a range reports more
+ *   results than can be paged, down to single years
+ * - facets: single years that are still too large, narrowed by tag:new, tag:hipster and genre terms
+ * - variations: other spellings of the label name
+ * Every strategy counts its calls, results and the releases only it found, so their yield can be compared
+ */
+class SearchPlanner {
+  constructor() {
+    this.pageSize = 50;
+    this.maxResults = 1000; // Search results stop at offset + limit = 1000
+    this.firstYear = 1900; // Everything before 1950 is probed as one range
+    this.modes = {
+      // Direct search only: fast, enough for most independent labels
+      quick: { deepSearch: 'never', variations: 0, facets: false },
+      // Deep search when the direct search can't reach the whole catalog
+      thorough: { deepSearch: 'saturated', variations: 2, facets: false },
+      // Always search deep, with more spellings and facets for years that are still too large
+      exhaustive: { deepSearch: 'always', variations: 5, facets: true }
+    };
+    this.defaultMode = 'thorough';
+    // Spotify documents genre filters for artist and track searches only; their yield shows whether albums match
+    this.genreFacets = ['electronic', 'rock', 'pop', 'hip hop', 'jazz', 'classical', 'soul', 'metal', 'folk', 'ambient'];
+  }
+
+  /**
+   * A known mode name, else the default mode
+   */
+  resolveMode(mode) {
+    return Object.prototype.hasOwnProperty.call(this.modes, mode) ? mode : this.defaultMode;
+  }
+
+  /**
+   * Search a label's catalog
+   * @param {Object} api - Provides searchAlbums(query, limit, offset, requestOptions) and generateLabelVariations(labelName)
+   * @param {Object} options
+   * @param {string} options.mode - 'quick', 'thorough' or 'exhaustive'
+   * @param {Function} [options.progressCallback] - (message, isExtendedSearch) => void
+   * @param {Object} [options.requestOptions] - Passed to every searchAlbums call, e.g. { priority, bypassCache }
+   * @returns {Promise<{ albums: { items, total }, incomplete, failures, telemetry }>}
+   */
+  async run(api, labelName, { mode = this.defaultMode, progressCallback = null, requestOptions = {} } = {}) {
+    const context = this.createContext(this.resolveMode(mode), requestOptions);
+    const settings = this.modes[context.telemetry.mode];
+    const query = `label:"${labelName}"`;
+
+    if (progressCallback) progressCallback('Searching label catalog...', false);
+    const direct = await this.collect(api, query, context, 'direct');
+    console.log(`📊 Direct search for "${labelName}": ${direct.albums.length} of ${direct.total} albums`);
+
+    // Nothing to show at all - surface the error instead of an empty catalog
+    if (context.found.size === 0 && context.report.incomplete) {
+      throw context.report.failures[0].error;
+    }
+
+    const saturated = direct.total > direct.albums.length;
+    const deepSearch = settings.deepSearch === 'always' || (settings.deepSearch === 'saturated' && saturated);
+
+    if (deepSearch) {
+      if (progressCallback) {
+        progressCallback(`Large catalog detected (${context.found.size} releases found).<br/>Searching by year range and spelling... This may take a few seconds.`, true);
+      }
+
+      const variations = settings.variations > 0 ? api.generateLabelVariations(labelName).slice(0, settings.variations) : [];
+      console.log(`🔄 ${context.telemetry.mode} search for "${labelName}": year ranges and ${variations.length} variation(s)`, variations);
+
+      // Both run side by side - the request pool bounds how many calls are in flight
+      await Promise.all([
+        this.searchYears(api, labelName, context, settings),
+        ...variations.map(variation => this.collect(api, `label:"${variation}"`, context, 'variations'))
+      ]);
+
+      if (progressCallback) progressCallback('Combining and organizing results...', true);
+    } else if (saturated) {
+      context.telemetry.truncated = true; // Quick mode leaves the rest of the catalog unsearched
+    }
+
+    const items = Array.from(context.found.values());
+    context.telemetry.durationMs = Date.now() - context.startedAt;
+    context.telemetry.calls = Object.values(context.telemetry.strategies).reduce((sum, strategy) => sum + strategy.calls, 0);
+
+    console.log(`✅ ${this.describe(context.telemetry, items.length)}`);
+    if (context.report.incomplete) {
+      console.warn(`⚠️ Catalog for "${labelName}" is incomplete: ${context.report.failures.length} request(s) failed after retries`);
+    }
+
+    return {
+      albums: {
+        items,
+        total: items.length
+      },
+      incomplete: context.report.incomplete,
+      failures: context.report.failures,
+      telemetry: context.telemetry
+    };
+  }
+
+  /**
+   * State of one catalog search: releases found so far, failures and telemetry
+   */
+  createContext(mode, requestOptions) {
+    const strategy = () => ({ calls: 0, results: 0, added: 0, failures: 0 });
+    return {
+      requestOptions,
+      startedAt: Date.now(),
+      found: new Map(), // Album ID -> album, in the order found
+      report: { incomplete: false, failures: [] }, // Requests that failed for good, so callers know the catalog may be partial
+      telemetry: {
+        mode,
+        calls: 0,
+        durationMs: 0,
+        truncated: false,
+        strategies: { direct: strategy(), years: strategy(), facets: strategy(), variations: strategy() },
+        skippedRanges: [], // Year ranges without releases
+        splitRanges: 0, // Year ranges halved because they had more results than can be paged
+        saturatedYears: [] // Single years that still had more results than can be paged
+      }
+    };
+  }
+
+  /**
+   * One page of a query, counted against its strategy; failures are recorded and give null
+   */
+  async fetchPage(api, query, offset, context, strategy) {
+    const stats = context.telemetry.strategies[strategy];
+    stats.calls++;
+    try {
+      const page = await api.searchAlbums(query, this.pageSize, offset, context.requestOptions);
+      const albums = page.albums?.items || [];
+      stats.results += albums.length;
+      albums.forEach((album) => {
+        if (album && !context.found.has(album.id)) {
+          context.found.set(album.id, album);
+          stats.added++;
+        }
+      });
+      return page;
+    } catch (error) {
+      console.warn(`Search failed for ${query} at offset ${offset}:`, error);
+      stats.failures++;
+      context.report.incomplete = true;
+      context.report.failures.push({ strategy, detail: `${query} from offset ${offset}`, error });
+      return null;
+    }
+  }
+
+  /**
+   * All pages of a query that can be reached; the first page reports the total, the rest are requested together
+   * @returns {{ total, albums }} albums are the ones this query returned
+   */
+  async collect(api, query, context, strategy, firstPage = null) {
+    const first = firstPage || await this.fetchPage(api, query, 0, context, strategy);
+    if (!first) {
+      return { total: 0, albums: [] };
+    }
+
+    const albums = [...(first.albums?.items || [])];
+    const total = first.albums?.total || 0;
+    if (albums.length < this.pageSize) {
+      return { total, albums };
+    }
+
+    const offsets = [];
+    for (let offset = this.pageSize; offset < Math.min(total, this.maxResults); offset += this.pageSize) {
+      offsets.push(offset);
+    }
+    const pages = await Promise.all(offsets.map(offset => this.fetchPage(api, query, offset, context, strategy)));
+    pages.forEach((page) => {
+      if (page) {
+        albums.push(...(page.albums?.items || []));
+      }
+    });
+
+    return { total, albums };
+  }
+
+  /**
+   * Search every decade up to this year, plus everything before 1950 as one range
+   */
+  async searchYears(api, labelName, context, settings) {
+    const currentYear = new Date().getFullYear();
+    const ranges = [[this.firstYear, 1949]];
+    for (let start = 1950; start <= currentYear; start += 10) {
+      ranges.push([start, Math.min(start + 9, currentYear)]);
+    }
+
+    await Promise.all(ranges.map(([start, end]) => this.searchYearRange(api, labelName, start, end, context, settings)));
+  }
+
+  /**
+   * Search a year range: skipped when empty, halved when it has more results than can be paged
+   */
+  async searchYearRange(api, labelName, start, end, context, settings) {
+    const query = `label:"${labelName}" year:${start === end ? start : `${start}-${end}`}`;
+    const first = await this.fetchPage(api, query, 0, context, 'years');
+    if (!first) return;
+
+    const total = first.albums?.total || 0;
+    if (total === 0) {
+      context.telemetry.skippedRanges.push(start === end ? `${start}` : `${start}-${end}`);
+      return;
+    }
+
+    if (total > this.maxResults && start < end) {
+      context.telemetry.splitRanges++;
+      const middle = Math.floor((start + end) / 2);
+      await Promise.all([
+        this.searchYearRange(api, labelName, start, middle, context, settings),
+        this.searchYearRange(api, labelName, middle + 1, end, context, settings)
+      ]);
+      return;
+    }
+
+    await this.collect(api, query, context, 'years', first);
+
+    if (total > this.maxResults) {
+      context.telemetry.saturatedYears.push(start);
+      if (settings.facets) {
+        await this.searchFacets(api, labelName, start, context);
+      }
+    }
+  }
+
+  /**
+   * Narrow a single year that is still too large by tags and genres
+   */
+  async searchFacets(api, labelName, year, context) {
+    const facets = ['tag:hipster', ...this.genreFacets.map(genre => `genre:"${genre}"`)];
+    // tag:new only matches releases of the past two weeks
+    if (year >= new Date().getFullYear() - 1) {
+      facets.unshift('tag:new');
+    }
+
+    await Promise.all(facets.map(facet => this.collect(api, `label:"${labelName}" year:${year} ${facet}`, context, 'facets')));
+  }
+
+  /**
+   * One-line summary of a search, e.g. for logs and tooltips
+   */
+  describe(telemetry, found) {
+    const strategies = Object.entries(telemetry.strategies)
+      .filter(([, stats]) => stats.calls > 0)
+      .map(([name, stats]) => `${name} +${stats.added} (${stats.calls} call${stats.calls !== 1 ? 's' : ''})`)
+      .join(', ');
+    return `${found} release${found !== 1 ? 's' : ''} in ${telemetry.calls} call${telemetry.calls !== 1 ? 's' : ''}, ${telemetry.mode} mode: ${strategies}`;
+  }
+}
+
+// Make SearchPlanner available globally (the background service worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.SearchPlanner = SearchPlanner;
+}
@@ -0,0 +1,203 @@
+/**
+ * Thin client for the SpotifyAPI owned by the background service worker
+ * All tabs share one token, request queue and cache instead of competing for the rate limit
+ *
+ * Protocol:
+ * - chrome.runtime.sendMessage({ action: 'api.<method>', args }) -> { success, data } or { success: false, error }
+ * - chrome.runtime.connect({ name: 'api-stream' }) for calls that report progress: the first message is
+ *   { action: 'api.<method>', args }, the worker answers with { type: 'progress', args } messages and one
+ *   final { type: 'result', data } or { type: 'error', error }
+ */
+class SpotifyApiClient {
+  constructor() {
+    this.authMode = 'credentials'; // Mirrors the background instance, refreshed by initialize()
+    this.streamPortName = 'api-stream';
+  }
+
+  /**
+   * Check if the extension context is still valid
+   */
+  isExtensionContextValid() {
+    try {
+      return !!(chrome.runtime && chrome.runtime.id);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Call a SpotifyAPI method in the background
+   */
+  async call(method, ...args) {
+    if (!this.isExtensionContextValid()) {
+      throw new SpotifyApiError('Extension context invalidated', { code: 'network_error' });
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: `api.${method}`, args });
+    if (!response) {
+      throw new SpotifyApiError('No response from the background service worker', { code: 'network_error', retryable: true });
+    }
+    if (!response.success) {
+      throw SpotifyApiError.deserialize(response.error);
+    }
+    return response.data;
+  }
+
+  /**
+   * Call a SpotifyAPI method over a port, passing progress updates to onProgress until the result arrives
+   */
+  stream(method, args, onProgress = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.isExtensionContextValid()) {
+        reject(new SpotifyApiError('Extension context invalidated', { code: 'network_error' }));
+        return;
+      }
+
+      const port = chrome.runtime.connect({ name: this.streamPortName });
+      let settled = false;
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'progress') {
+          if (onProgress) onProgress(...message.args);
+          return;
+        }
+
+        settled = true;
+        port.disconnect();
+        if (message.type === 'result') {
+          resolve(message.data);
+        } else {
+          reject(SpotifyApiError.deserialize(message.error));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          settled = true;
+          reject(new SpotifyApiError('Lost connection to the background service worker', { code: 'network_error', retryable: true }));
+        }
+      });
+
+      port.postMessage({ action: `api.${method}`, args });
+    });
+  }
+
+  /**
+   * Make sure the background API is set up and mirror its auth mode
+   */
+  async initialize() {
+    try {
+      const status = await this.call('initialize');
+      this.authMode = status.authMode;
+      return status.initialized;
+    } catch (error) {
+      console.error('Failed to initialize Spotify API:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Pick up new credentials
+   * The background resets the shared instance itself when credentials change, so only its state is re-read
+   */
+  async reinitialize() {
+    return this.initialize();
+  }
+
+  /**
+   * Make a GET request to the Web API through the shared queue
+   * options.priority ('high' | 'normal' | 'low') decides its place in the queue
+   */
+  async makeRequest(url, options = {}) {
+    return this.call('makeRequest', url, { priority: options.priority });
+  }
+
+  // SpotifyAPI methods, forwarded as they are
+
+  async searchByLabel(labelName, limit = 50, offset = 0, requestOptions = {}) {
+    return this.call('searchByLabel', labelName, limit, offset, requestOptions);
+  }
+
+  async getArtistAlbums(artistId, limit = 50, offset = 0, requestOptions = {}) {
+    return this.call('getArtistAlbums', artistId, limit, offset, requestOptions);
+  }
+
+  async getArtist(artistId, requestOptions = {}) {
+    return this.call('getArtist', artistId, requestOptions);
+  }
+
+  async getArtistsDetails(artistIds, requestOptions = {}) {
+    return this.call('getArtistsDetails', artistIds, requestOptions);
+  }
+
+  async getAlbumDetails(albumId, requestOptions = {}) {
+    return this.call('getAlbumDetails', albumId, requestOptions);
+  }
+
+  async getAlbumsDetails(albumIds, requestOptions = {}) {
+    return this.call('getAlbumsDetails', albumIds, requestOptions);
+  }
+
+  async getArtistLabels(artistId, requestOptions = {}) {
+    return this.call('getArtistLabels', artistId, requestOptions);
+  }
+
+  async getAlbumTracks(albumId, limit = 50, offset = 0, requestOptions = {}) {
+    return this.call('getAlbumTracks', albumId, limit, offset, requestOptions);
+  }
+
+  async getTracksDetails(trackIds, requestOptions = {}) {
+    return this.call('getTracksDetails', trackIds, requestOptions);
+  }
+
+  async getCurrentUser() {
+    return this.call('getCurrentUser');
+  }
+
+  async createPlaylist(userId, name, description = '', isPublic = false) {
+    return this.call('createPlaylist', userId, name, description, isPublic);
+  }
+
+  async addTracksToPlaylist(playlistId, trackUris) {
+    return this.call('addTracksToPlaylist', playlistId, trackUris);
+  }
+
+  async testConnection() {
+    return this.call('testConnection');
+  }
+
+  async clearCache() {
+    return this.call('clearCache');
+  }
+
+  async getCacheStats() {
+    return this.call('getCacheStats');
+  }
+
+  async setCacheMaxBytes(maxBytes) {
+    return this.call('setCacheMaxBytes', maxBytes);
+  }
+
+  /**
+   * Get the live state of the shared request pool ({ pausedUntil, activeRequests, queuedRequests, concurrency })
+   */
+  async getQueueStatus() {
+    return this.call('getQueueStatus');
+  }
+
+  /**
+   * Search for all albums by a label, streaming progress messages
+   */
+  async searchAllAlbumsByLabel(labelName, progressCallback = null, requestOptions = {}) {
+    const results = await this.stream('searchAllAlbumsByLabel', [labelName, requestOptions], progressCallback);
+    return {
+      ...results,
+      failures: results.failures.map(failure => ({ ...failure, error: SpotifyApiError.deserialize(failure.error) }))
+    };
+  }
+}
+
+// Make SpotifyApiClient available globally for content script
+if (typeof window !== 'undefined') {
+  window.SpotifyApiClient = SpotifyApiClient;
+}
@@ -0,0 +1,45 @@
+/**
+ * Error type shared by the background SpotifyAPI and the clients talking to it
+ */
+
+/**
+ * Error raised by the request queue once a request has failed for good
+ * code is one of: rate_limited, server_error, network_error, client_error, login_required
+ */
+class SpotifyApiError extends Error {
+  constructor(message, { code, status = null, url = null, attempts = 1, retryable = false } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.attempts = attempts;
+    this.retryable = retryable; // Whether trying again later may succeed
+  }
+
+  /**
+   * Turn any error into a plain object that survives extension messaging
+   */
+  static serialize(error) {
+    return {
+      message: (error && error.message) || String(error),
+      code: (error && error.code) || null,
+      status: (error && error.status) || null,
+      url: (error && error.url) || null,
+      attempts: (error && error.attempts) || 1,
+      retryable: !!(error && error.retryable)
+    };
+  }
+
+  /**
+   * Rebuild an error sent by serialize()
+   */
+  static deserialize(data = {}) {
+    return new SpotifyApiError(data.message || 'Unknown error', data);
+  }
+}
+
+// Make SpotifyApiError available globally for content script
+if (typeof window !== 'undefined') {
+  window.SpotifyApiError = SpotifyApiError;
+}
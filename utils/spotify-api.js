@@ -1,19 +1,51 @@
 /**
  * Spotify Web API wrapper for the Label Explorer extension
  * Handles authentication, search, caching, and rate limiting
+ * Runs once in the background service worker; tabs and the popup reach it through SpotifyApiClient
  */
+
 class SpotifyAPI {
-  constructor() {
+  constructor(options = {}) {
     this.baseURL = 'https://api.spotify.com/v1';
     this.tokenURL = 'https://accounts.spotify.com/api/token';
+    this.authMode = 'credentials'; // 'credentials' (client credentials) or 'login' (user token from userTokenProvider)
+    this.userTokenProvider = options.userTokenProvider || null; // ({ rejectedToken }) => { accessToken, expiresAt } of the logged in user
+    this.rejectedToken = null; // Last token answered with 401, so the provider doesn't hand it out again
     this.accessToken = null;
     this.tokenExpiry = null;
-    this.cache = new Map();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+    this.cache = new ApiCache(); // Persistent cache shared across tabs and reloads
+    this.tokenRequest = null; // In-flight token request shared by concurrent callers
+    this.requestQueue = []; // Ordered by priority, then by arrival
+    this.requestSequence = 0;
+    this.priorities = { high: 0, normal: 1, low: 2 }; // high = user clicks, low = background enrichment
+    this.activeRequests = 0;
+    this.dispatchTimeout = null;
     this.lastRequestTime = 0;
-    this.minRequestInterval = 100; // 100ms between requests to respect rate limits
+    this.minRequestInterval = 25; // Minimum spacing between dispatches
+    this.minConcurrency = 1;
+    this.maxConcurrency = 5;
+    this.concurrency = 3; // Current in-flight limit, adapted from responses
+    this.successStreak = 0; // Successful responses since the last concurrency change
+    this.callsPerMinuteBudget = 120; // Soft budget for the rolling recentApiCalls window
+    this.recentCallsLastMinute = 0; // Last known size of the rolling window
+    this.statsUpdate = Promise.resolve(); // Serializes read-modify-write of the stats in storage
+    this.pausedUntil = 0; // Global pause after a 429, honouring Retry-After
+    this.maxRetries = 4; // Retries for transient 5xx and network failures
+    this.maxRateLimitRetries = 5; // Re-enqueues after a 429 before giving up
+    this.retryBaseDelay = 500; // First backoff step (ms), doubled per attempt
+    this.retryMaxDelay = 8000; // Backoff ceiling (ms)
+    this.defaultRetryAfter = 5; // Seconds to pause when a 429 has no Retry-After header
     this.shutdownInitiated = false; // Track if shutdown was initiated
+    this.inFlightRequests = new Map(); // Normalized URL -> queued or running request, shared by identical calls
+    this.pendingAlbumRequests = new Map(); // albumId -> waiting callers, flushed as one /albums?ids= request
+    this.inFlightAlbumRequests = new Map(); // albumId -> waiting callers of a batch already sent
+    this.albumBatchTimeout = null;
+    this.albumBatchSize = 20; // Max IDs accepted by the /albums endpoint
+    this.albumBatchDelay = 25; // Window (ms) for coalescing concurrent lookups
+    this.maxSearchOffset = 1000; // Search results stop at offset + limit = 1000
+    this.labelNormalizer = new LabelNormalizer(); // Merges label name variants and applies the user's aliases
+    this.searchPlanner = new SearchPlanner(); // Splits label searches too large for one query
+    this.searchModeKey = 'searchMode';
   }
 
   /**
@@ -57,7 +89,15 @@ class SpotifyAPI {
    */
   async initialize() {
     try {
-      const result = await chrome.storage.sync.get(['spotifyClientId', 'spotifyClientSecret']);
+      const result = await chrome.storage.sync.get(['authMode', 'spotifyClientId', 'spotifyClientSecret']);
+      this.authMode = result.authMode === 'login' ? 'login' : 'credentials';
+
+      if (this.authMode === 'login') {
+        // Throws when nobody is logged in
+        await this.getAccessToken();
+        return true;
+      }
+
       if (result.spotifyClientId && result.spotifyClientSecret) {
         this.clientId = result.spotifyClientId;
         this.clientSecret = result.spotifyClientSecret;
@@ -72,18 +112,20 @@ class SpotifyAPI {
   }
 
   /**
-   * Reinitialize the API with new credentials (clears cache and tokens)
+   * Reinitialize the API with new credentials (clears tokens and in-memory cache)
    */
   async reinitialize() {
     try {
-      // Clear existing tokens and cache
+      // Clear existing tokens and in-memory cache (catalog data stays valid across credentials)
       this.accessToken = null;
       this.tokenExpiry = null;
-      this.clearCache();
+      this.cache.clearMemory();
       
-      // Clear request queue
-      this.requestQueue = [];
-      this.isProcessingQueue = false;
+      // Clear request queue (dropped requests must not be joined by new callers)
+      this.dropPendingRequests();
+      this.pausedUntil = 0;
+      this.concurrency = 3;
+      this.successStreak = 0;
       
       // Reinitialize with new credentials
       const success = await this.initialize();
@@ -100,17 +142,57 @@ class SpotifyAPI {
   }
 
   /**
-   * Get access token using client credentials flow
+   * Reject queued requests and album lookups that were not sent yet, so their callers don't wait forever
+   * Running requests settle on their own; batches already sent settle through their request
+   */
+  dropPendingRequests() {
+    const error = () => new SpotifyApiError('Request cancelled because the Spotify login changed', { code: 'network_error', retryable: true });
+
+    const queued = this.requestQueue;
+    this.requestQueue = [];
+    queued.forEach(request => request.reject(error()));
+    this.inFlightRequests.clear();
+    if (this.dispatchTimeout) {
+      clearTimeout(this.dispatchTimeout);
+      this.dispatchTimeout = null;
+    }
+
+    const pendingAlbums = Array.from(this.pendingAlbumRequests.values());
+    this.pendingAlbumRequests.clear();
+    this.inFlightAlbumRequests.clear();
+    if (this.albumBatchTimeout) {
+      clearTimeout(this.albumBatchTimeout);
+      this.albumBatchTimeout = null;
+    }
+    pendingAlbums.flat().forEach(waiter => waiter.reject(error()));
+  }
+
+  /**
+   * Get access token using client credentials flow, or the logged in user's token
    */
   async getAccessToken() {
     if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
       return this.accessToken;
     }
 
-    if (!this.clientId || !this.clientSecret) {
+    if (this.authMode !== 'login' && (!this.clientId || !this.clientSecret)) {
       throw new Error('Spotify API credentials not configured');
     }
 
+    // Concurrent requests share a single token request
+    if (!this.tokenRequest) {
+      const tokenRequest = this.authMode === 'login' ? this.requestUserAccessToken() : this.requestAccessToken();
+      this.tokenRequest = tokenRequest.finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  /**
+   * Request a new access token from the accounts service
+   */
+  async requestAccessToken() {
     try {
       const response = await fetch(this.tokenURL, {
         method: 'POST',
@@ -136,20 +218,130 @@ class SpotifyAPI {
     }
   }
 
+  /**
+   * Get the logged in user's token from the provider, which owns refreshing it
+   */
+  async requestUserAccessToken() {
+    if (!this.userTokenProvider) {
+      throw new Error('Not logged in to Spotify');
+    }
+
+    const userToken = await this.userTokenProvider({ rejectedToken: this.rejectedToken });
+    this.accessToken = userToken.accessToken;
+    this.tokenExpiry = userToken.expiresAt - 60000; // Refresh 1 minute early
+    return this.accessToken;
+  }
+
   /**
    * Make a rate-limited API request
+   * options.priority ('high' | 'normal' | 'low') decides its place in the queue
    */
   async makeRequest(url, options = {}) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ url, options, resolve, reject });
+    const { priority = 'normal', ...fetchOptions } = options;
+    const priorityRank = this.priorities[priority] ?? this.priorities.normal;
+
+    // Identical GET requests that are already queued or running share one network call
+    const isGet = !fetchOptions.method || fetchOptions.method.toUpperCase() === 'GET';
+    const requestKey = isGet ? this.normalizeUrl(url) : null;
+    const pending = requestKey && this.inFlightRequests.get(requestKey);
+    if (pending) {
+      this.promoteRequest(pending.request, priorityRank);
+      this.trackCoalescedRequest();
+      return pending.promise;
+    }
+
+    let request;
+    const promise = new Promise((resolve, reject) => {
+      request = {
+        url,
+        options: fetchOptions,
+        priority: priorityRank,
+        sequence: this.requestSequence++,
+        resolve,
+        reject,
+        attempts: 0,
+        rateLimitRetries: 0,
+        notBefore: 0
+      };
+      this.enqueueRequest(request);
       this.processQueue();
     });
+
+    if (requestKey) {
+      this.inFlightRequests.set(requestKey, { request, promise });
+      const release = () => {
+        if (this.inFlightRequests.get(requestKey)?.promise === promise) {
+          this.inFlightRequests.delete(requestKey);
+        }
+      };
+      promise.then(release, release);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Normalize a URL so equivalent requests map to the same key (sorted, re-encoded query)
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.searchParams.sort();
+      return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}?${parsed.searchParams.toString()}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Move a still-queued request up when a more urgent caller joins it
+   */
+  promoteRequest(request, priorityRank) {
+    if (priorityRank >= request.priority) return;
+
+    const index = this.requestQueue.indexOf(request);
+    request.priority = priorityRank;
+    if (index !== -1) {
+      this.requestQueue.splice(index, 1);
+      this.enqueueRequest(request);
+    }
+  }
+
+  /**
+   * Insert a request by priority, keeping arrival order within the same priority
+   */
+  enqueueRequest(request) {
+    const index = this.requestQueue.findIndex(queued =>
+      queued.priority > request.priority ||
+      (queued.priority === request.priority && queued.sequence > request.sequence)
+    );
+
+    if (index === -1) {
+      this.requestQueue.push(request);
+    } else {
+      this.requestQueue.splice(index, 0, request);
+    }
+  }
+
+  /**
+   * Run a stats update after the previous one, so concurrent responses don't overwrite each other
+   */
+  queueStatsUpdate(update) {
+    this.statsUpdate = this.statsUpdate.then(update, update);
+    return this.statsUpdate;
   }
 
   /**
    * Track API call statistics with time-based tracking
    */
   async trackApiCall() {
+    return this.queueStatsUpdate(() => this.updateApiCallStats());
+  }
+
+  /**
+   * Update the daily, hourly and per-minute call counters
+   */
+  async updateApiCallStats() {
     if (this.shutdownInitiated) return;
     
     try {
@@ -189,6 +381,7 @@ class SpotifyAPI {
       const oneMinuteAgo = now - 60000;
       recentApiCalls = recentApiCalls.filter(timestamp => timestamp > oneMinuteAgo);
       recentApiCalls.push(now);
+      this.recentCallsLastMinute = recentApiCalls.length;
       
       // Update all counters
       apiCallsToday++;
@@ -207,14 +400,21 @@ class SpotifyAPI {
   /**
    * Track cache hit
    */
-  async trackCacheHit() {
+  async trackCacheHit(count = 1) {
+    return this.queueStatsUpdate(() => this.updateCacheHitStats(count));
+  }
+
+  /**
+   * Increment the cache hit counter
+   */
+  async updateCacheHitStats(count = 1) {
     if (this.shutdownInitiated) return;
     
     try {
       const result = await this.safeStorageOperation(() => chrome.storage.local.get(['cacheHits']));
       if (!result || this.shutdownInitiated) return; // Context invalidated or shutdown
       
-      const cacheHits = (result.cacheHits || 0) + 1;
+      const cacheHits = (result.cacheHits || 0) + count;
       await this.safeStorageOperation(() => chrome.storage.local.set({ cacheHits }));
     } catch (error) {
       if (!this.shutdownInitiated) {
@@ -223,10 +423,43 @@ class SpotifyAPI {
     }
   }
 
+  /**
+   * Track a request that was served by an identical pending request
+   */
+  async trackCoalescedRequest() {
+    return this.queueStatsUpdate(() => this.updateCoalescedStats());
+  }
+
+  /**
+   * Increment the coalesced request counter
+   */
+  async updateCoalescedStats() {
+    if (this.shutdownInitiated) return;
+
+    try {
+      const result = await this.safeStorageOperation(() => chrome.storage.local.get(['coalescedRequests']));
+      if (!result || this.shutdownInitiated) return; // Context invalidated or shutdown
+
+      const coalescedRequests = (result.coalescedRequests || 0) + 1;
+      await this.safeStorageOperation(() => chrome.storage.local.set({ coalescedRequests }));
+    } catch (error) {
+      if (!this.shutdownInitiated) {
+        console.error('Failed to track coalesced request:', error);
+      }
+    }
+  }
+
   /**
    * Track rate limit hit with retry-after information
    */
   async trackRateLimitHit(retryAfter = null) {
+    return this.queueStatsUpdate(() => this.updateRateLimitStats(retryAfter));
+  }
+
+  /**
+   * Record a rate limit hit and its retry-after window
+   */
+  async updateRateLimitStats(retryAfter) {
     if (this.shutdownInitiated) return;
     
     try {
@@ -249,85 +482,270 @@ class SpotifyAPI {
   }
 
   /**
-   * Process the request queue with rate limiting
+   * Read a response from the persistent cache, tracking cache hits
    */
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
-      return;
+  async getCachedResponse(cacheKey) {
+    const cached = await this.cache.get(cacheKey);
+    if (cached !== null) {
+      await this.trackCacheHit();
     }
+    return cached;
+  }
 
-    this.isProcessingQueue = true;
+  /**
+   * Read several responses from the persistent cache with one storage read, tracking their hits at once
+   * @returns {Promise<Map<string, *>>} cache key -> response of the keys found
+   */
+  async getCachedResponses(cacheKeys) {
+    const cached = await this.cache.getMany(cacheKeys);
+    if (cached.size > 0) {
+      await this.trackCacheHit(cached.size);
+    }
+    return cached;
+  }
 
-    while (this.requestQueue.length > 0) {
-      const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-      if (timeSinceLastRequest < this.minRequestInterval) {
-        await new Promise(resolve => setTimeout(resolve, this.minRequestInterval - timeSinceLastRequest));
+  /**
+   * Dispatch queued requests while there are free slots in the pool
+   */
+  processQueue() {
+    if (this.dispatchTimeout) {
+      clearTimeout(this.dispatchTimeout);
+      this.dispatchTimeout = null;
+    }
+
+    while (this.activeRequests < this.concurrency && this.requestQueue.length > 0) {
+      // A 429 pauses the whole pool; pressure on the rolling window spaces dispatches out
+      const now = Date.now();
+      const waitTime = Math.max(this.pausedUntil - now, this.lastRequestTime + this.getDispatchInterval() - now);
+      if (waitTime > 0) {
+        this.scheduleDispatch(waitTime);
+        return;
       }
 
-      const { url, options, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        const token = await this.getAccessToken();
-        const response = await fetch(url, {
-          ...options,
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-          }
-        });
+      const request = this.takeNextRequest();
+      if (!request) {
+        // Everything left is backing off - wake up for the earliest one
+        const nextReadyTime = Math.min(...this.requestQueue.map(queued => queued.notBefore));
+        this.scheduleDispatch(nextReadyTime - now);
+        return;
+      }
+
+      this.lastRequestTime = now;
+      this.activeRequests++;
+      this.executeRequest(request).finally(() => {
+        this.activeRequests--;
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * Wake the dispatcher up after a delay
+   */
+  scheduleDispatch(delay) {
+    this.dispatchTimeout = setTimeout(() => {
+      this.dispatchTimeout = null;
+      this.processQueue();
+    }, Math.max(0, delay));
+  }
 
-        this.lastRequestTime = Date.now();
+  /**
+   * Spacing between dispatches, growing as the rolling window nears the budget
+   */
+  getDispatchInterval() {
+    const pressure = this.recentCallsLastMinute / this.callsPerMinuteBudget;
+    if (pressure < 0.7) {
+      return this.minRequestInterval;
+    }
 
-        if (!response.ok) {
-          if (response.status === 429) {
-            // Rate limit hit - extract retry-after header
-            const retryAfter = response.headers.get('Retry-After');
-            await this.trackRateLimitHit(retryAfter ? parseInt(retryAfter) : null);
-          }
-          throw new Error(`API request failed: ${response.status}`);
+    // Near the budget, spread the remaining calls over the minute
+    return Math.max(this.minRequestInterval, Math.round(pressure * 60000 / this.callsPerMinuteBudget));
+  }
+
+  /**
+   * Grow the pool after a run of successful responses (additive increase)
+   * Not while the rolling window is under pressure - the dispatch interval is already slowing down
+   */
+  recordRequestSuccess() {
+    this.successStreak++;
+
+    const underPressure = this.recentCallsLastMinute >= this.callsPerMinuteBudget * 0.7;
+    if (!underPressure && this.successStreak >= 20 && this.concurrency < this.maxConcurrency) {
+      this.concurrency++;
+      this.successStreak = 0;
+    }
+  }
+
+  /**
+   * Halve the pool after a 429 (multiplicative decrease)
+   */
+  recordRateLimited() {
+    this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2));
+    this.successStreak = 0;
+  }
+
+  /**
+   * Send a single request, re-enqueueing it on 429 and transient failures
+   */
+  async executeRequest(request) {
+    let token;
+    try {
+      token = await this.getAccessToken();
+    } catch (error) {
+      // Missing or rejected credentials won't fix themselves by retrying
+      request.reject(error);
+      return;
+    }
+
+    let response;
+    request.attempts++;
+    try {
+      response = await fetch(request.url, {
+        ...request.options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...request.options.headers
         }
+      });
+    } catch (error) {
+      this.retryOrReject(request, new SpotifyApiError(`Network request failed: ${error.message}`, {
+        code: 'network_error',
+        url: request.url,
+        attempts: request.attempts,
+        retryable: true
+      }));
+      return;
+    }
 
-        // Track successful API call
-        await this.trackApiCall();
+    if (response.status === 429) {
+      // Rate limit hit - pause everything for Retry-After, shrink the pool and put the request back
+      const retryAfter = parseInt(response.headers.get('Retry-After')) || this.defaultRetryAfter;
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+      this.recordRateLimited();
+      this.trackRateLimitHit(retryAfter);
+      request.rateLimitRetries++;
 
-        const data = await response.json();
-        resolve(data);
-      } catch (error) {
-        reject(error);
+      if (request.rateLimitRetries > this.maxRateLimitRetries) {
+        request.reject(new SpotifyApiError('API rate limit exceeded', {
+          code: 'rate_limited',
+          status: 429,
+          url: request.url,
+          attempts: request.attempts,
+          retryable: true
+        }));
+      } else {
+        console.warn(`Rate limited, pausing queue for ${retryAfter}s (concurrency ${this.concurrency})`);
+        this.enqueueRequest(request);
       }
+      return;
+    }
+
+    if (response.status === 401 && !request.tokenRefreshed) {
+      // Token expired or was revoked early - fetch a fresh one and try once more
+      this.accessToken = null;
+      this.tokenExpiry = null;
+      this.rejectedToken = token; // A user token is refreshed even if it hasn't expired yet
+      request.tokenRefreshed = true;
+      this.enqueueRequest(request);
+      return;
+    }
+
+    if (response.status >= 500) {
+      this.retryOrReject(request, new SpotifyApiError(`API request failed: ${response.status}`, {
+        code: 'server_error',
+        status: response.status,
+        url: request.url,
+        attempts: request.attempts,
+        retryable: true
+      }));
+      return;
+    }
+
+    if (!response.ok) {
+      request.reject(new SpotifyApiError(`API request failed: ${response.status}`, {
+        code: 'client_error',
+        status: response.status,
+        url: request.url,
+        attempts: request.attempts
+      }));
+      return;
+    }
+
+    try {
+      const data = await response.json();
+      this.recordRequestSuccess();
+      request.resolve(data);
+
+      // Track successful API call (also refreshes the rolling window)
+      this.trackApiCall();
+    } catch (error) {
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Take the first queued request that isn't waiting out a backoff delay
+   */
+  takeNextRequest() {
+    const now = Date.now();
+    const index = this.requestQueue.findIndex(request => request.notBefore <= now);
+    return index === -1 ? null : this.requestQueue.splice(index, 1)[0];
+  }
+
+  /**
+   * Re-enqueue a transient failure with exponential backoff, or reject once retries run out
+   * Only GETs are retried: a write may have been applied before the failure, so sending it again could
+   * create a second playlist or add tracks twice. Callers such as PlaylistBuilder resume those themselves
+   */
+  retryOrReject(request, error) {
+    const method = (request.options.method || 'GET').toUpperCase();
+    if (method !== 'GET') {
+      console.warn(`${method} ${request.url} failed, not retrying a write:`, error.message);
+      request.reject(error);
+      return;
+    }
+
+    if (request.attempts > this.maxRetries) {
+      console.warn(`Giving up on ${request.url} after ${request.attempts} attempts:`, error.message);
+      request.reject(error);
+      return;
     }
 
-    this.isProcessingQueue = false;
+    const delay = this.getRetryDelay(request.attempts);
+    console.warn(`${error.message} - retrying in ${delay}ms (attempt ${request.attempts}/${this.maxRetries})`);
+    request.notBefore = Date.now() + delay;
+    this.enqueueRequest(request);
+  }
+
+  /**
+   * Exponential backoff with jitter: half the step plus a random part of the other half
+   */
+  getRetryDelay(attempt) {
+    const step = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt - 1));
+    return Math.round(step / 2 + Math.random() * step / 2);
   }
 
   /**
    * Search for albums by label
    */
-  async searchByLabel(labelName, limit = 50, offset = 0) {
+  async searchByLabel(labelName, limit = 50, offset = 0, requestOptions = {}) {
     const cacheKey = `label:${labelName}:${limit}:${offset}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) { // 24 hour cache
-        await this.trackCacheHit();
-        return cached.data;
-      }
-      this.cache.delete(cacheKey);
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      return cached;
     }
 
     try {
       const query = encodeURIComponent(`label:"${labelName}"`);
       const url = `${this.baseURL}/search?q=${query}&type=album&limit=${limit}&offset=${offset}`;
       
-      const data = await this.makeRequest(url);
+      const data = await this.makeRequest(url, requestOptions);
       
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: data,
-        timestamp: Date.now()
-      });
+      await this.cache.set(cacheKey, data);
 
       return data;
     } catch (error) {
@@ -339,29 +757,22 @@ class SpotifyAPI {
   /**
    * Get artist albums
    */
-  async getArtistAlbums(artistId, limit = 50, offset = 0) {
+  async getArtistAlbums(artistId, limit = 50, offset = 0, requestOptions = {}) {
     const cacheKey = `artist-albums:${artistId}:${limit}:${offset}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) { // 24 hour cache
-        await this.trackCacheHit();
-        return cached.data;
-      }
-      this.cache.delete(cacheKey);
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      return cached;
     }
 
     try {
       const url = `${this.baseURL}/artists/${artistId}/albums?include_groups=album,single&limit=${limit}&offset=${offset}`;
       
-      const data = await this.makeRequest(url);
+      const data = await this.makeRequest(url, requestOptions);
       
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: data,
-        timestamp: Date.now()
-      });
+      await this.cache.set(cacheKey, data);
 
       return data;
     } catch (error) {
@@ -373,29 +784,22 @@ class SpotifyAPI {
   /**
    * Get artist details including images
    */
-  async getArtist(artistId) {
+  async getArtist(artistId, requestOptions = {}) {
     const cacheKey = `artist-details:${artistId}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) { // 24 hour cache
-        await this.trackCacheHit();
-        return cached.data;
-      }
-      this.cache.delete(cacheKey);
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      return cached;
     }
 
     try {
       const url = `${this.baseURL}/artists/${artistId}`;
       
-      const data = await this.makeRequest(url);
+      const data = await this.makeRequest(url, requestOptions);
       
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: data,
-        timestamp: Date.now()
-      });
+      await this.cache.set(cacheKey, data);
 
       return data;
     } catch (error) {
@@ -404,54 +808,184 @@ class SpotifyAPI {
     }
   }
 
+  /**
+   * Get full artist objects (with genres), 50 IDs per request
+   * Shares the cache of getArtist; unknown artists give null
+   */
+  async getArtistsDetails(artistIds, requestOptions = {}) {
+    const artists = new Map();
+    const missingIds = [];
+
+    const cached = await this.getCachedResponses(artistIds.map(artistId => `artist-details:${artistId}`));
+    artistIds.forEach((artistId) => {
+      const artist = cached.get(`artist-details:${artistId}`);
+      if (artist !== undefined) {
+        artists.set(artistId, artist);
+      } else {
+        missingIds.push(artistId);
+      }
+    });
+
+    const batches = [];
+    for (let i = 0; i < missingIds.length; i += 50) {
+      batches.push(missingIds.slice(i, i + 50));
+    }
+
+    await Promise.all(batches.map(async (batchIds) => {
+      const data = await this.makeRequest(`${this.baseURL}/artists?ids=${batchIds.join(',')}`, requestOptions);
+      const found = (data.artists || []).filter(Boolean);
+      found.forEach(artist => artists.set(artist.id, artist));
+      await this.cache.setMany(found.map(artist => [`artist-details:${artist.id}`, artist]));
+    }));
+
+    return artistIds.map(artistId => artists.get(artistId) || null);
+  }
+
   /**
    * Get detailed album information including label
+   * Concurrent calls are coalesced into multi-ID /albums requests
    */
-  async getAlbumDetails(albumId) {
+  async getAlbumDetails(albumId, requestOptions = {}) {
     const cacheKey = `album-details:${albumId}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) { // 24 hour cache
-        await this.trackCacheHit();
-        return cached.data;
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, priority: requestOptions.priority || 'normal' };
+
+      // Join a batch that is already on the wire or still waiting to be sent
+      const waiters = this.inFlightAlbumRequests.get(albumId) || this.pendingAlbumRequests.get(albumId);
+      if (waiters) {
+        waiters.push(waiter);
+        this.trackCoalescedRequest();
+        return;
       }
-      this.cache.delete(cacheKey);
+
+      this.pendingAlbumRequests.set(albumId, [waiter]);
+      this.scheduleAlbumBatch();
+    });
+  }
+
+  /**
+   * Get details for several albums, batched 20 IDs per request
+   * Albums Spotify doesn't know give null; failed requests reject
+   */
+  async getAlbumsDetails(albumIds, requestOptions = {}) {
+    return Promise.all(albumIds.map(albumId => this.getAlbumDetails(albumId, requestOptions).catch((error) => {
+      // Only "album not found" comes without a queue error code
+      if (error.code) throw error;
+      return null;
+    })));
+  }
+
+  /**
+   * Schedule a flush of pending album lookups
+   */
+  scheduleAlbumBatch() {
+    // Flush right away once a full batch is waiting
+    if (this.pendingAlbumRequests.size >= this.albumBatchSize) {
+      this.flushAlbumBatch();
+      return;
+    }
+
+    if (!this.albumBatchTimeout) {
+      this.albumBatchTimeout = setTimeout(() => {
+        this.albumBatchTimeout = null;
+        this.flushAlbumBatch();
+      }, this.albumBatchDelay);
+    }
+  }
+
+  /**
+   * Send all pending album lookups as multi-ID requests
+   */
+  flushAlbumBatch() {
+    if (this.albumBatchTimeout) {
+      clearTimeout(this.albumBatchTimeout);
+      this.albumBatchTimeout = null;
+    }
+
+    while (this.pendingAlbumRequests.size > 0) {
+      const batchIds = Array.from(this.pendingAlbumRequests.keys()).slice(0, this.albumBatchSize);
+      const waiters = new Map();
+
+      batchIds.forEach(albumId => {
+        waiters.set(albumId, this.pendingAlbumRequests.get(albumId));
+        this.pendingAlbumRequests.delete(albumId);
+      });
+
+      this.fetchAlbumBatch(waiters);
     }
+  }
+
+  /**
+   * Fetch one batch of albums and settle the waiting callers
+   */
+  async fetchAlbumBatch(waiters) {
+    const albumIds = Array.from(waiters.keys());
+
+    // The batch goes out at the most urgent priority among its callers
+    const priority = Array.from(waiters.values()).flat()
+      .map(waiter => waiter.priority)
+      .reduce((best, current) => this.priorities[current] < this.priorities[best] ? current : best, 'low');
+
+    albumIds.forEach(albumId => this.inFlightAlbumRequests.set(albumId, waiters.get(albumId)));
 
     try {
-      const url = `${this.baseURL}/albums/${albumId}`;
-      
-      const data = await this.makeRequest(url);
-      
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: data,
-        timestamp: Date.now()
+      const url = `${this.baseURL}/albums?ids=${albumIds.join(',')}`;
+      const data = await this.makeRequest(url, { priority });
+      const albums = data.albums || [];
+      this.releaseAlbumBatch(waiters);
+
+      // The response keeps the order of the requested IDs, with null for unknown albums
+      albumIds.forEach((albumId, index) => {
+        const album = albums[index];
+        if (album) {
+          waiters.get(albumId).forEach(waiter => waiter.resolve(album));
+        } else {
+          const error = new Error(`Album not found: ${albumId}`);
+          waiters.get(albumId).forEach(waiter => waiter.reject(error));
+        }
       });
 
-      return data;
+      // Fill the per-album cache from the batch response
+      await this.cache.setMany(albumIds
+        .map((albumId, index) => [`album-details:${albumId}`, albums[index]])
+        .filter(([, album]) => album));
     } catch (error) {
       console.error('Failed to get album details:', error);
-      throw error;
+      this.releaseAlbumBatch(waiters);
+      waiters.forEach(callers => callers.forEach(waiter => waiter.reject(error)));
     }
   }
 
+  /**
+   * Stop routing new lookups to a batch that is about to be settled
+   */
+  releaseAlbumBatch(waiters) {
+    waiters.forEach((callers, albumId) => {
+      if (this.inFlightAlbumRequests.get(albumId) === callers) {
+        this.inFlightAlbumRequests.delete(albumId);
+      }
+    });
+  }
+
   /**
    * Get all labels for an artist by analyzing their discography
    */
-  async getArtistLabels(artistId) {
+  async getArtistLabels(artistId, requestOptions = {}) {
     const cacheKey = `artist-labels:${artistId}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) { // 24 hour cache
-        await this.trackCacheHit();
-        return cached.data;
-      }
-      this.cache.delete(cacheKey);
+    await this.labelNormalizer.load();
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      // Spellings are merged on every call so alias changes apply to cached results
+      return this.labelNormalizer.mergeLabelEntries(cached);
     }
 
     try {
@@ -463,53 +997,42 @@ class SpotifyAPI {
       // Note: Album processing limit removed to show ALL albums as requested
 
       while (hasMore) {
-        const albumsResponse = await this.getArtistAlbums(artistId, limit, offset);
+        const albumsResponse = await this.getArtistAlbums(artistId, limit, offset, requestOptions);
         
         if (!albumsResponse.items || albumsResponse.items.length === 0) {
           break;
         }
 
-        // Process albums in batches of 10 to avoid overwhelming the API
-        const batchSize = 10;
+        // Request all album details at once - getAlbumDetails batches them 20 IDs per call
         const albums = albumsResponse.items;
-        
-        for (let i = 0; i < albums.length; i += batchSize) {
-          const batch = albums.slice(i, i + batchSize);
-          
-          // Process batch with some delay to respect rate limits
-          const batchPromises = batch.map(async (album) => {
-            try {
-              const albumDetails = await this.getAlbumDetails(album.id);
-              if (albumDetails.label) {
-                const labelName = albumDetails.label;
-                if (!labels.has(labelName)) {
-                  labels.set(labelName, {
-                    name: labelName,
-                    albums: [],
-                    enabled: true // Default to enabled
-                  });
-                }
-                labels.get(labelName).albums.push({
-                  id: album.id,
-                  name: album.name,
-                  release_date: album.release_date,
-                  images: album.images,
-                  external_urls: album.external_urls,
-                  artists: album.artists
-                });
-              }
-            } catch (error) {
-              console.warn(`Failed to get details for album ${album.id}:`, error);
+        const albumDetailsList = await Promise.all(albums.map(album =>
+          this.getAlbumDetails(album.id, requestOptions).catch(error => {
+            console.warn(`Failed to get details for album ${album.id}:`, error);
+            return null;
+          })
+        ));
+
+        albums.forEach((album, index) => {
+          const albumDetails = albumDetailsList[index];
+          if (albumDetails && albumDetails.label) {
+            const labelName = albumDetails.label;
+            if (!labels.has(labelName)) {
+              labels.set(labelName, {
+                name: labelName,
+                albums: [],
+                enabled: true // Default to enabled
+              });
             }
-          });
-          
-          await Promise.all(batchPromises);
-          
-          // Small delay between batches to be nice to the API
-          if (i + batchSize < albums.length) {
-            await new Promise(resolve => setTimeout(resolve, 100));
+            labels.get(labelName).albums.push({
+              id: album.id,
+              name: album.name,
+              release_date: album.release_date,
+              images: album.images,
+              external_urls: album.external_urls,
+              artists: album.artists
+            });
           }
-        }
+        });
 
         processedAlbums += albums.length;
         hasMore = albumsResponse.items.length === limit;
@@ -518,19 +1041,116 @@ class SpotifyAPI {
 
       const result = Array.from(labels.values());
       
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      // Cache the labels as Spotify spells them
+      await this.cache.set(cacheKey, result);
 
-      return result;
+      return this.labelNormalizer.mergeLabelEntries(result);
     } catch (error) {
       console.error('Failed to get artist labels:', error);
       throw error;
     }
   }
 
+  /**
+   * Get all tracks of an album page by page (album details only include the first 50)
+   */
+  async getAlbumTracks(albumId, limit = 50, offset = 0, requestOptions = {}) {
+    const cacheKey = `album-tracks:${albumId}:${limit}:${offset}`;
+
+    // Check cache first
+    const cached = await this.getCachedResponse(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    try {
+      const url = `${this.baseURL}/albums/${albumId}/tracks?limit=${limit}&offset=${offset}`;
+
+      const data = await this.makeRequest(url, requestOptions);
+
+      // Cache the result
+      await this.cache.set(cacheKey, data);
+
+      return data;
+    } catch (error) {
+      console.error('Failed to get album tracks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get full track objects (with popularity), 50 IDs per request
+   */
+  async getTracksDetails(trackIds, requestOptions = {}) {
+    const tracks = new Map();
+    const missingIds = [];
+
+    const cached = await this.getCachedResponses(trackIds.map(trackId => `track-details:${trackId}`));
+    trackIds.forEach((trackId) => {
+      const track = cached.get(`track-details:${trackId}`);
+      if (track !== undefined) {
+        tracks.set(trackId, track);
+      } else {
+        missingIds.push(trackId);
+      }
+    });
+
+    const batches = [];
+    for (let i = 0; i < missingIds.length; i += 50) {
+      batches.push(missingIds.slice(i, i + 50));
+    }
+
+    await Promise.all(batches.map(async (batchIds) => {
+      const data = await this.makeRequest(`${this.baseURL}/tracks?ids=${batchIds.join(',')}`, requestOptions);
+      const found = (data.tracks || []).filter(Boolean);
+      found.forEach(track => tracks.set(track.id, track));
+      await this.cache.setMany(found.map(track => [`track-details:${track.id}`, track]));
+    }));
+
+    return trackIds.map(trackId => tracks.get(trackId) || null);
+  }
+
+  /**
+   * Make sure requests run with the logged in user's token
+   */
+  requireUserLogin() {
+    if (this.authMode !== 'login') {
+      throw new SpotifyApiError('Log in with Spotify in the scatalog popup to use your account', { code: 'login_required' });
+    }
+  }
+
+  /**
+   * Get the logged in user's profile
+   */
+  async getCurrentUser() {
+    this.requireUserLogin();
+    return this.makeRequest(`${this.baseURL}/me`, { priority: 'high' });
+  }
+
+  /**
+   * Create a playlist for the logged in user
+   */
+  async createPlaylist(userId, name, description = '', isPublic = false) {
+    this.requireUserLogin();
+    return this.makeRequest(`${this.baseURL}/users/${encodeURIComponent(userId)}/playlists`, {
+      method: 'POST',
+      priority: 'high',
+      body: JSON.stringify({ name, description, public: isPublic })
+    });
+  }
+
+  /**
+   * Append up to 100 tracks to a playlist
+   */
+  async addTracksToPlaylist(playlistId, trackUris) {
+    this.requireUserLogin();
+    return this.makeRequest(`${this.baseURL}/playlists/${playlistId}/tracks`, {
+      method: 'POST',
+      priority: 'high',
+      body: JSON.stringify({ uris: trackUris })
+    });
+  }
+
   /**
    * Test API connection
    */
@@ -538,7 +1158,7 @@ class SpotifyAPI {
     try {
       await this.getAccessToken();
       // Make a simple search to test the connection
-      await this.makeRequest(`${this.baseURL}/search?q=test&type=album&limit=1`);
+      await this.makeRequest(`${this.baseURL}/search?q=test&type=album&limit=1`, { priority: 'high' });
       return true;
     } catch (error) {
       console.error('Connection test failed:', error);
@@ -549,276 +1169,87 @@ class SpotifyAPI {
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.clear();
-  }
-
-  /**
-   * Get cache size for debugging
-   */
-  getCacheSize() {
-    return this.cache.size;
+  async clearCache() {
+    await this.cache.clear();
   }
 
   /**
-   * Get current rate limit status with time-based analysis
+   * Change the persistent cache byte budget
    */
-  async getRateLimitStatus() {
-    try {
-      const now = Date.now();
-      const result = await chrome.storage.local.get([
-        'apiCallsToday',
-        'apiCallsThisHour', 
-        'recentApiCalls',
-        'rateLimitHits',
-        'lastRateLimitTime',
-        'rateLimitRetryAfter',
-        'hourlyResetTime'
-      ]);
-
-      const recentApiCalls = result.recentApiCalls || [];
-      const callsLastMinute = recentApiCalls.filter(timestamp => timestamp > now - 60000).length;
-      const callsThisHour = result.apiCallsThisHour || 0;
-      const lastRateLimitTime = result.lastRateLimitTime || 0;
-      const retryAfter = result.rateLimitRetryAfter || 0;
-
-      // Check if we're currently in a rate limit period
-      const isCurrentlyLimited = lastRateLimitTime && (now - lastRateLimitTime < (retryAfter * 1000));
-
-      // Determine status based on current usage
-      let status = 'Normal';
-      let level = 'normal';
-      let details = '';
-
-      if (isCurrentlyLimited) {
-        status = 'Rate Limited';
-        level = 'error';
-        const remainingTime = Math.ceil((retryAfter * 1000 - (now - lastRateLimitTime)) / 1000);
-        details = `Wait ${remainingTime}s`;
-      } else if (callsLastMinute >= 90) {
-        status = 'Critical';
-        level = 'error';
-        details = `${callsLastMinute}/100 per minute`;
-      } else if (callsLastMinute >= 70) {
-        status = 'High Usage';
-        level = 'warning';
-        details = `${callsLastMinute}/100 per minute`;
-      } else if (callsThisHour >= 5000) {
-        status = 'High Hourly';
-        level = 'warning';
-        details = `${callsThisHour} this hour`;
-      } else if (callsLastMinute >= 50) {
-        status = 'Moderate';
-        level = 'warning';
-        details = `${callsLastMinute}/100 per minute`;
-      } else {
-        details = `${callsLastMinute}/100 per minute`;
-      }
-
-      return {
-        status,
-        level,
-        details,
-        callsLastMinute,
-        callsThisHour,
-        callsToday: result.apiCallsToday || 0,
-        rateLimitHits: result.rateLimitHits || 0,
-        isCurrentlyLimited
-      };
-    } catch (error) {
-      console.error('Failed to get rate limit status:', error);
-      return {
-        status: 'Unknown',
-        level: 'normal',
-        details: 'Error checking status',
-        callsLastMinute: 0,
-        callsThisHour: 0,
-        callsToday: 0,
-        rateLimitHits: 0,
-        isCurrentlyLimited: false
-      };
-    }
+  async setCacheMaxBytes(maxBytes) {
+    await this.cache.setMaxBytes(maxBytes);
   }
 
   /**
-   * Search for all albums by a label using intelligent strategy selection
+   * Get the live state of the request pool (clients show rate limit pauses and the per-minute budget from it)
    */
-  async searchAllAlbumsByLabel(labelName, progressCallback = null) {
-    console.log(`🔍 Starting intelligent search for label: "${labelName}"`);
-    
-    // Strategy 1: Always start with direct search
-    if (progressCallback) progressCallback('Searching label catalog...', false);
-    
-    const directResults = await this.searchDirectlyByLabel(labelName);
-    console.log(`📊 Direct search: Found ${directResults.length} albums`);
-    
-    // Check if we likely hit API limitations (90+ results suggests we hit the ~100 limit)
-    const hitLimitations = directResults.length >= 90;
-    
-    if (!hitLimitations) {
-      console.log(`✅ Small/medium label detected (${directResults.length} < 90). Using direct results only for speed.`);
-      return {
-        albums: {
-          items: directResults,
-          total: directResults.length
-        }
-      };
-    }
-    
-    console.log(`🚨 Large label detected (${directResults.length} >= 90). Using advanced strategies to find more releases...`);
-    
-    // Notify about extended search
-    if (progressCallback) {
-      progressCallback(`Large catalog detected (${directResults.length} releases found).<br/>Searching comprehensively... This may take 30-60 seconds.`, true);
-    }
-    
-    // Strategy 2: Search with label variations (only for large labels)
-    if (progressCallback) progressCallback('Searching label variations...', true);
-    const variationResults = await this.searchByLabelVariations(labelName);
-    console.log(`📊 Variations: Found ${variationResults.length} additional albums`);
-    
-    // Strategy 3: Temporal search (only for large labels)
-    if (progressCallback) progressCallback('Searching by year ranges...', true);
-    const temporalResults = await this.searchByLabelAndYear(labelName);
-    console.log(`📊 Temporal: Found ${temporalResults.length} additional albums`);
-    
-    // Final processing
-    if (progressCallback) progressCallback('Combining and organizing results...', true);
-    
-    // Combine and deduplicate all results
-    const allAlbums = this.deduplicateAlbums([...directResults, ...variationResults, ...temporalResults]);
-    
-    console.log(`✅ Multi-strategy search completed for "${labelName}": found ${allAlbums.length} unique albums`);
-    console.log(`📈 Breakdown: Direct=${directResults.length}, Variations=${variationResults.length}, Temporal=${temporalResults.length}, Final=${allAlbums.length}`);
-    
+  getQueueStatus() {
     return {
-      albums: {
-        items: allAlbums,
-        total: allAlbums.length
-      }
+      pausedUntil: this.pausedUntil,
+      activeRequests: this.activeRequests,
+      queuedRequests: this.requestQueue.length,
+      concurrency: this.concurrency,
+      callsPerMinuteBudget: this.callsPerMinuteBudget
     };
   }
 
   /**
-   * Original direct label search method
+   * Get persistent cache statistics (entries, bytes, budget, per-type breakdown)
    */
-  async searchDirectlyByLabel(labelName) {
-    const allAlbums = [];
-    let offset = 0;
-    const limit = 50;
-    let hasMore = true;
-    
-    console.log(`🎯 Direct search for: "${labelName}"`);
-    
-    while (hasMore) {
-      try {
-        const results = await this.searchByLabel(labelName, limit, offset);
-        const albums = results.albums?.items || [];
-        
-        if (albums.length === 0) break;
-        
-        allAlbums.push(...albums);
-        hasMore = albums.length === limit && offset + limit < (results.albums?.total || 0);
-        offset += limit;
-        
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 150));
-        }
-      } catch (error) {
-        console.warn(`Direct search failed at offset ${offset}:`, error);
-        break;
-      }
-    }
-    
-    return allAlbums;
+  async getCacheStats() {
+    return this.cache.getStats();
   }
 
   /**
-   * Search using label name variations to catch more results
+   * Search for all albums by a label; the search planner splits catalogs too large for one search
+   * requestOptions.searchMode ('quick', 'thorough' or 'exhaustive') overrides the mode chosen in the popup;
+   * requestOptions.bypassCache fetches every page fresh, e.g. to look for new releases
    */
-  async searchByLabelVariations(labelName) {
-    const variations = this.generateLabelVariations(labelName);
-    const allAlbums = [];
-    
-    console.log(`🔄 Testing ${variations.length} label variations:`, variations);
-    
-    for (const variation of variations) {
-      try {
-        console.log(`🔍 Searching variation: "${variation}"`);
-        const results = await this.searchDirectlyByLabel(variation);
-        allAlbums.push(...results);
-        
-        // Small delay between variations
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.warn(`Variation search failed for "${variation}":`, error);
-      }
-    }
-    
-    return allAlbums;
+  async searchAllAlbumsByLabel(labelName, progressCallback = null, requestOptions = {}) {
+    const { searchMode = null, ...options } = requestOptions;
+    const mode = searchMode ? this.searchPlanner.resolveMode(searchMode) : await this.getSearchMode();
+    console.log(`🔍 Starting ${mode} search for label: "${labelName}"`);
+
+    await this.labelNormalizer.load(); // Aliases add spellings to search
+    return this.searchPlanner.run(this, labelName, { mode, progressCallback, requestOptions: options });
   }
 
   /**
-   * Search by label and year ranges to overcome API limits
+   * Search mode chosen in the popup
    */
-  async searchByLabelAndYear(labelName) {
-    const allAlbums = [];
-    const currentYear = new Date().getFullYear();
-    const startYear = 1950;
-    const yearRangeSize = 5; // Search in 5-year chunks
-    
-    console.log(`📅 Temporal search from ${startYear} to ${currentYear} in ${yearRangeSize}-year chunks`);
-    
-    for (let year = startYear; year <= currentYear; year += yearRangeSize) {
-      const endYear = Math.min(year + yearRangeSize - 1, currentYear);
-      
-      try {
-        console.log(`🔍 Searching ${year}-${endYear} for "${labelName}"`);
-        const yearResults = await this.searchByLabelAndYearRange(labelName, year, endYear);
-        allAlbums.push(...yearResults);
-        
-        // Delay between year ranges
-        await new Promise(resolve => setTimeout(resolve, 300));
-      } catch (error) {
-        console.warn(`Year range search failed for ${year}-${endYear}:`, error);
-      }
+  async getSearchMode() {
+    try {
+      const result = await chrome.storage.local.get([this.searchModeKey]);
+      return this.searchPlanner.resolveMode(result[this.searchModeKey]);
+    } catch (error) {
+      console.warn('Failed to read search mode:', error);
+      return this.searchPlanner.defaultMode;
     }
-    
-    return allAlbums;
   }
 
   /**
-   * Search for a specific year range
+   * One page of an album search with a raw query, e.g. 'label:"Warp" year:1990-1999'
+   * With requestOptions.bypassCache the cached page is skipped, and the fresh one replaces it
    */
-  async searchByLabelAndYearRange(labelName, startYear, endYear) {
-    const allAlbums = [];
-    let offset = 0;
-    const limit = 50;
-    let hasMore = true;
-    
-    while (hasMore && offset < 200) { // Limit to 200 per year range to avoid infinite loops
-      try {
-        const query = encodeURIComponent(`label:"${labelName}" year:${startYear}-${endYear}`);
-        const url = `${this.baseURL}/search?q=${query}&type=album&limit=${limit}&offset=${offset}`;
-        const data = await this.makeRequest(url);
-        
-        const albums = data.albums?.items || [];
-        if (albums.length === 0) break;
-        
-        allAlbums.push(...albums);
-        hasMore = albums.length === limit;
-        offset += limit;
-        
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      } catch (error) {
-        console.warn(`Year range search failed for ${startYear}-${endYear} at offset ${offset}:`, error);
-        break;
+  async searchAlbums(query, limit = 50, offset = 0, requestOptions = {}) {
+    const { bypassCache = false, ...options } = requestOptions;
+    const cacheKey = `label:query:${query}:${limit}:${offset}`;
+
+    // Check cache first
+    if (!bypassCache) {
+      const cached = await this.getCachedResponse(cacheKey);
+      if (cached !== null) {
+        return cached;
       }
     }
-    
-    return allAlbums;
+
+    const url = `${this.baseURL}/search?q=${encodeURIComponent(query)}&type=album&limit=${limit}&offset=${offset}`;
+    const data = await this.makeRequest(url, options);
+
+    // Cache the result
+    await this.cache.set(cacheKey, data);
+
+    return data;
   }
 
   /**
@@ -830,6 +1261,9 @@ class SpotifyAPI {
     // Original name
     variations.add(labelName);
     
+    // Cleaned and base spellings ("Warp Records Ltd." -> "Warp Records", "Warp") and the user's aliases come first
+    this.labelNormalizer.getSearchVariants(labelName).forEach(variant => variations.add(variant));
+    
     // Common variations for major labels
     const commonVariations = {
       'Atlantic Records': ['Atlantic', 'Atlantic Recording Corporation', 'Atlantic Records LLC'],
@@ -844,43 +1278,25 @@ class SpotifyAPI {
       'Epic Records': ['Epic', 'Epic Records Group']
     };
     
-    if (commonVariations[labelName]) {
-      commonVariations[labelName].forEach(variant => variations.add(variant));
-    }
-    
-    // Generic transformations
-    if (labelName.includes('Records')) {
-      variations.add(labelName.replace(' Records', ''));
-      variations.add(labelName.replace('Records', ''));
-    }
-    
-    if (labelName.includes('Music')) {
-      variations.add(labelName.replace(' Music', ''));
-      variations.add(labelName.replace('Music', ''));
+    // Major labels match by key, so "Atlantic" finds the "Atlantic Records" entry as well
+    const labelKey = this.labelNormalizer.getKey(labelName);
+    const major = Object.keys(commonVariations).find(name => this.labelNormalizer.getKey(name) === labelKey);
+    if (major) {
+      [major, ...commonVariations[major]].forEach(variant => variations.add(variant));
     }
     
-    // Remove the original to avoid duplicate searches
-    variations.delete(labelName);
-    
-    return Array.from(variations).slice(0, 5); // Limit to 5 variations to avoid too many API calls
-  }
-
-  /**
-   * Deduplicate albums by ID
-   */
-  deduplicateAlbums(albums) {
-    const seen = new Set();
-    return albums.filter(album => {
-      if (seen.has(album.id)) {
-        return false;
+    // Remove the original (in any case) to avoid duplicate searches
+    variations.forEach((variant) => {
+      if (variant.toLowerCase() === labelName.toLowerCase()) {
+        variations.delete(variant);
       }
-      seen.add(album.id);
-      return true;
     });
+    
+    return Array.from(variations).slice(0, 5); // Limit to 5 variations to avoid too many API calls
   }
 }
 
-// Make SpotifyAPI available globally for content script
+// Make SpotifyAPI available globally (the background service worker loads it with importScripts)
 if (typeof window !== 'undefined') {
   window.SpotifyAPI = SpotifyAPI;
 } 
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Small inline SVG charts (returned as markup strings) for the stats view
+ * Charts scale to their container width through their viewBox; hovering a mark shows its <title>
+ */
+class SvgCharts {
+  constructor() {
+    this.accentColor = '#1db954';
+    this.textColor = '#b3b3b3';
+    this.mutedColor = '#6a6a6a';
+    this.trackColor = '#282828';
+    this.fontSize = 11;
+  }
+
+  /**
+   * Vertical bars, e.g. releases per year
+   * @param {Array<{ label, value }>} data
+   */
+  columnChart(data, { width = 600, height = 140, color = this.accentColor, unit = 'releases' } = {}) {
+    if (data.length === 0) {
+      return '';
+    }
+
+    const axisHeight = 16;
+    const chartHeight = height - axisHeight;
+    const max = Math.max(1, ...data.map(entry => entry.value));
+    const slot = width / data.length;
+    const barWidth = Math.max(1, slot * 0.8);
+    const labelEvery = Math.ceil(data.length / Math.max(1, Math.floor(width / 48))); // Keep axis labels ~48px apart
+
+    const bars = data.map((entry, index) => {
+      const barHeight = (entry.value / max) * (chartHeight - 4);
+      const x = index * slot + (slot - barWidth) / 2;
+      return `
+        <rect x="${x.toFixed(1)}" y="${(chartHeight - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="1" fill="${color}">
+          <title>${escapeHtml(entry.label)}: ${entry.value} ${unit}</title>
+        </rect>`;
+    }).join('');
+
+    const labels = data.map((entry, index) => (index % labelEvery === 0 || index === data.length - 1
+      ? `<text x="${(index * slot + slot / 2).toFixed(1)}" y="${height - 3}" text-anchor="middle" fill="${this.mutedColor}" font-size="${this.fontSize}">${escapeHtml(entry.label)}</text>`
+      : '')).join('');
+
+    return `
+      <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+        <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" stroke="${this.trackColor}" />
+        ${bars}
+        ${labels}
+        <text x="0" y="${this.fontSize}" fill="${this.mutedColor}" font-size="${this.fontSize}">max ${max}</text>
+      </svg>`;
+  }
+
+  /**
+   * Horizontal bars with a label and value per row, e.g. top artists
+   * @param {Array<{ label, value, color? }>} data
+   */
+  barList(data, { width = 360, rowHeight = 22, labelWidth = 140 } = {}) {
+    if (data.length === 0) {
+      return '';
+    }
+
+    const max = Math.max(1, ...data.map(entry => entry.value));
+    const valueWidth = 36;
+    const barSpace = width - labelWidth - valueWidth;
+    const height = data.length * rowHeight;
+
+    const rows = data.map((entry, index) => {
+      const y = index * rowHeight;
+      const barWidth = Math.max(2, (entry.value / max) * barSpace);
+      const label = entry.label.length > 22 ? `${entry.label.slice(0, 21)}…` : entry.label;
+      return `
+        <g>
+          <title>${escapeHtml(entry.label)}: ${entry.value}</title>
+          <text x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end" fill="${this.textColor}" font-size="${this.fontSize + 1}">${escapeHtml(label)}</text>
+          <rect x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="2" fill="${entry.color || this.accentColor}" />
+          <text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + rowHeight / 2 + 4}" fill="${this.mutedColor}" font-size="${this.fontSize}">${entry.value}</text>
+        </g>`;
+    }).join('');
+
+    return `<svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">${rows}</svg>`;
+  }
+
+  /**
+   * One bar split into shares with a legend below, e.g. the release type split
+   * @param {Array<{ label, value, color }>} segments
+   */
+  stackedBar(segments, { width = 360, barHeight = 18 } = {}) {
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+    if (total === 0) {
+      return '';
+    }
+
+    let x = 0;
+    const bars = segments.filter(segment => segment.value > 0).map((segment) => {
+      const segmentWidth = (segment.value / total) * width;
+      const rect = `
+        <rect x="${x.toFixed(1)}" y="0" width="${segmentWidth.toFixed(1)}" height="${barHeight}" fill="${segment.color}">
+          <title>${escapeHtml(segment.label)}: ${segment.value} (${Math.round((segment.value / total) * 100)}%)</title>
+        </rect>`;
+      x += segmentWidth;
+      return rect;
+    }).join('');
+
+    const legendSlot = width / segments.length;
+    const legend = segments.map((segment, index) => `
+      <rect x="${index * legendSlot}" y="${barHeight + 10}" width="10" height="10" rx="2" fill="${segment.color}" />
+      <text x="${index * legendSlot + 16}" y="${barHeight + 19}" fill="${this.textColor}" font-size="${this.fontSize + 1}">${escapeHtml(segment.label)} ${segment.value} (${Math.round((segment.value / total) * 100)}%)</text>
+    `).join('');
+
+    return `
+      <svg class="svg-chart" viewBox="0 0 ${width} ${barHeight + 26}" width="100%" role="img">
+        <clipPath id="stacked-bar-clip"><rect width="${width}" height="${barHeight}" rx="4" /></clipPath>
+        <g clip-path="url(#stacked-bar-clip)">${bars}</g>
+        ${legend}
+      </svg>`;
+  }
+
+  /**
+   * Symmetric matrix of counts between items, shaded by value, e.g. artists shared between labels
+   * @param {string[]} labels
+   * @param {Function} valueOf - (indexA, indexB) => number, only called for indexA !== indexB
+   */
+  matrix(labels, valueOf, { cellSize = 44, labelWidth = 140 } = {}) {
+    const size = labels.length;
+    const values = [];
+    let max = 1;
+    for (let row = 0; row < size; row++) {
+      values.push([]);
+      for (let column = 0; column < size; column++) {
+        const value = row === column ? null : valueOf(row, column);
+        values[row].push(value);
+        if (value !== null) max = Math.max(max, value);
+      }
+    }
+
+    const shorten = label => (label.length > 18 ? `${label.slice(0, 17)}…` : label);
+    const headerHeight = 20;
+    const width = labelWidth + size * cellSize;
+    const height = headerHeight + size * cellSize;
+
+    const columnHeaders = labels.map((label, column) => `
+      <text x="${labelWidth + column * cellSize + cellSize / 2}" y="${headerHeight - 6}" text-anchor="middle" fill="${this.mutedColor}" font-size="${this.fontSize}">${column + 1}</text>
+    `).join('');
+
+    const rows = labels.map((label, row) => {
+      const y = headerHeight + row * cellSize;
+      const cells = values[row].map((value, column) => {
+        const x = labelWidth + column * cellSize;
+        if (value === null) {
+          return `<rect x="${x + 2}" y="${y + 2}" width="${cellSize - 4}" height="${cellSize - 4}" rx="4" fill="${this.trackColor}" opacity="0.4" />`;
+        }
+        const opacity = 0.15 + (value / max) * 0.85;
+        return `
+          <g>
+            <title>${escapeHtml(labels[row])} ∩ ${escapeHtml(labels[column])}: ${value}</title>
+            <rect x="${x + 2}" y="${y + 2}" width="${cellSize - 4}" height="${cellSize - 4}" rx="4" fill="${this.accentColor}" opacity="${opacity.toFixed(2)}" />
+            <text x="${x + cellSize / 2}" y="${y + cellSize / 2 + 4}" text-anchor="middle" fill="#ffffff" font-size="${this.fontSize + 1}">${value}</text>
+          </g>`;
+      }).join('');
+      return `
+        <text x="${labelWidth - 8}" y="${y + cellSize / 2 + 4}" text-anchor="end" fill="${this.textColor}" font-size="${this.fontSize + 1}">${row + 1}. ${escapeHtml(shorten(label))}</text>
+        ${cells}`;
+    }).join('');
+
+    return `
+      <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" style="max-width: ${width}px;" role="img">
+        ${columnHeaders}
+        ${rows}
+      </svg>`;
+  }
+}
+
+// Make SvgCharts available globally for content script
+if (typeof window !== 'undefined') {
+  window.SvgCharts = SvgCharts;
+}
@@ -0,0 +1,211 @@
+/**
+ * Windowed CSS grid for long item lists
+ * Only the rows near the viewport of the scrolling ancestor are in the DOM; the rows above and below
+ * are stood in for by the grid's padding. Card elements are reused as the window moves, and a single
+ * delegated listener handles clicks for every item
+ *
+ * The grid keeps its own CSS (grid-template-columns, gap): column count and gaps are read from the
+ * computed style, row height is measured from the rendered cards
+ */
+class VirtualGrid {
+  /**
+   * @param {HTMLElement} element - Grid element (display: grid)
+   * @param {Object} options
+   * @param {Function} options.renderItem - (item, index) => HTML string with one root element
+   * @param {Function} [options.onItemClick] - (item, index, event) => void
+   * @param {number} [options.overscanRows] - Rows rendered above and below the viewport
+   */
+  constructor(element, { renderItem, onItemClick = null, overscanRows = 3 } = {}) {
+    this.element = element;
+    this.renderItem = renderItem;
+    this.onItemClick = onItemClick;
+    this.overscanRows = overscanRows;
+    this.items = [];
+    this.nodes = []; // Rendered card elements, reused in order
+    this.rowHeight = 0; // Measured card height, 0 until the first render
+    this.template = document.createElement('template');
+    this.basePaddingBottom = parseFloat(getComputedStyle(element).paddingBottom) || 0;
+    this.scrollParent = this.findScrollParent(element);
+    this.frame = null;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.scheduleRender = this.scheduleRender.bind(this);
+
+    this.element.addEventListener('click', this.handleClick);
+    this.scrollParent.addEventListener('scroll', this.scheduleRender, { passive: true });
+    this.resizeObserver = new ResizeObserver(this.scheduleRender);
+    this.resizeObserver.observe(this.scrollParent);
+  }
+
+  /**
+   * Nearest ancestor that scrolls vertically (the document when there is none)
+   */
+  findScrollParent(element) {
+    for (let node = element.parentElement; node; node = node.parentElement) {
+      const overflowY = getComputedStyle(node).overflowY;
+      if (overflowY === 'auto' || overflowY === 'scroll') {
+        return node;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Show a new list of items (already filtered and sorted)
+   */
+  setItems(items) {
+    this.items = items;
+    this.nodes.forEach((node) => { node.virtualItem = null; }); // Force an update of every reused card
+    this.render();
+  }
+
+  /**
+   * Re-render the visible cards, e.g. after something their HTML depends on changed
+   */
+  refresh() {
+    this.setItems(this.items);
+  }
+
+  /**
+   * Render on the next animation frame, at most once per frame
+   */
+  scheduleRender() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Number of columns the grid currently lays out
+   */
+  getColumnCount() {
+    const columns = getComputedStyle(this.element).gridTemplateColumns;
+    if (!columns || columns === 'none') {
+      return 1;
+    }
+    return Math.max(1, columns.split(' ').filter(Boolean).length);
+  }
+
+  /**
+   * Put the cards for the rows in and around the viewport into the grid
+   */
+  render() {
+    if (!this.element.isConnected) {
+      return;
+    }
+
+    const count = this.items.length;
+    const columns = this.getColumnCount();
+    const rowCount = Math.ceil(count / columns);
+    const rowGap = parseFloat(getComputedStyle(this.element).rowGap) || 0;
+    const stride = this.rowHeight + rowGap;
+
+    let firstRow = 0;
+    let lastRow = Math.min(rowCount - 1, 0); // Only one row until the row height is known
+    if (this.rowHeight > 0) {
+      const gridTop = this.element.getBoundingClientRect().top - this.scrollParent.getBoundingClientRect().top;
+      const viewTop = -gridTop;
+      const viewBottom = viewTop + this.scrollParent.clientHeight;
+      firstRow = Math.max(0, Math.floor(viewTop / stride) - this.overscanRows);
+      lastRow = Math.min(rowCount - 1, Math.floor(viewBottom / stride) + this.overscanRows);
+      if (lastRow < firstRow) {
+        // Viewport is past the end of the grid (the list just got shorter)
+        firstRow = Math.max(0, rowCount - 1 - this.overscanRows);
+        lastRow = rowCount - 1;
+      }
+    }
+
+    const start = firstRow * columns;
+    const end = Math.min(count, (lastRow + 1) * columns);
+
+    this.element.style.paddingTop = `${firstRow * (this.rowHeight > 0 ? stride : 0)}px`;
+    this.element.style.paddingBottom = `${this.basePaddingBottom + Math.max(0, rowCount - 1 - lastRow) * stride}px`;
+
+    for (let index = start; index < end; index++) {
+      this.updateNode(index - start, index);
+    }
+    this.nodes.splice(Math.max(0, end - start)).forEach(node => node.remove());
+
+    this.measure();
+  }
+
+  /**
+   * Show item `index` in the card at `position`, creating the card if needed
+   */
+  updateNode(position, index) {
+    const item = this.items[index];
+    let node = this.nodes[position];
+    if (node && node.virtualItem === item && node.dataset.virtualIndex === String(index)) {
+      return;
+    }
+
+    this.template.innerHTML = this.renderItem(item, index).trim();
+    const fresh = this.template.content.firstElementChild;
+
+    if (!node) {
+      node = fresh;
+      this.nodes.push(node);
+      this.element.appendChild(node);
+    } else {
+      // Reuse the element: take over attributes and content of the freshly rendered card
+      Array.from(node.attributes).forEach((attribute) => {
+        if (!fresh.hasAttribute(attribute.name)) node.removeAttribute(attribute.name);
+      });
+      Array.from(fresh.attributes).forEach((attribute) => {
+        node.setAttribute(attribute.name, attribute.value);
+      });
+      node.innerHTML = fresh.innerHTML;
+    }
+
+    node.dataset.virtualIndex = String(index);
+    node.virtualItem = item;
+  }
+
+  /**
+   * Measure the row height from the rendered cards and re-render when it changed
+   */
+  measure() {
+    if (this.nodes.length === 0) {
+      return;
+    }
+    const height = Math.max(...this.nodes.map(node => node.offsetHeight));
+    if (height > 0 && Math.abs(height - this.rowHeight) > 1) {
+      this.rowHeight = height;
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Delegated click handler for all cards
+   */
+  handleClick(event) {
+    if (!this.onItemClick) return;
+    const node = event.target.closest('[data-virtual-index]');
+    if (!node || !this.element.contains(node)) return;
+
+    const index = parseInt(node.dataset.virtualIndex, 10);
+    if (index < this.items.length) {
+      this.onItemClick(this.items[index], index, event);
+    }
+  }
+
+  /**
+   * Remove listeners; the grid element is left as it is
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.handleClick);
+    this.scrollParent.removeEventListener('scroll', this.scheduleRender);
+    this.resizeObserver.disconnect();
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+}
+
+// Make VirtualGrid available globally for content script
+if (typeof window !== 'undefined') {
+  window.VirtualGrid = VirtualGrid;
+}